@@ -1,12 +1,105 @@
 // Banking Transactions Manager - Frontend Application
 
+// Statement file types accepted by /api/upload
+const SUPPORTED_EXTENSIONS = ['.csv', '.cod', '.xml', '.sta', '.940'];
+
+// Maximum number of rows rendered in the import preview table
+const PREVIEW_DISPLAY_LIMIT = 500;
+
+// Transaction fields offered by the column-mapping wizard (required ones marked *)
+const MAPPING_FIELDS = {
+    accountNumber: 'Account number *',
+    bookingDate: 'Booking date *',
+    amount: 'Amount *',
+    valueDate: 'Value date',
+    currency: 'Currency',
+    counterpartAccount: 'Counterpart account',
+    counterpartName: 'Counterpart name',
+    counterpartAddress: 'Counterpart address',
+    counterpartPostalCity: 'Counterpart postal code + city',
+    transactionType: 'Transaction type',
+    description: 'Description',
+    referenceNumber: 'Reference',
+    transactionNumber: 'Transaction number',
+    statementNumber: 'Statement number',
+    bic: 'BIC',
+    countryCode: 'Country code'
+};
+
+// Transaction fields and operators offered by the categorization rules editor
+const RULE_FIELDS = {
+    counterpart_name: 'Counterpart name',
+    counterpart_account: 'Counterpart IBAN',
+    description: 'Description',
+    transaction_type: 'Transaction type',
+    reference_number: 'Reference',
+    account_number: 'Own account',
+    currency: 'Currency',
+    amount: 'Amount'
+};
+
+const RULE_TEXT_OPERATORS = {
+    contains: 'contains',
+    not_contains: 'does not contain',
+    equals: 'equals',
+    starts_with: 'starts with',
+    ends_with: 'ends with'
+};
+
+const RULE_NUMBER_OPERATORS = {
+    equals: '=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+// Transaction filters and the filters panel controls they are read from; categories is a multi-select
+const FILTER_CONTROLS = {
+    account: 'accountFilter',
+    startDate: 'startDate',
+    endDate: 'endDate',
+    minAmount: 'minAmount',
+    maxAmount: 'maxAmount',
+    direction: 'directionFilter',
+    transactionType: 'typeFilter',
+    counterparty: 'counterpartyFilter',
+    currency: 'currencyFilter',
+    search: 'searchText'
+};
+
+// Sortable transaction columns and the order a first click sorts them in
+const SORT_DEFAULT_ORDERS = {
+    date: 'desc',
+    amount: 'desc',
+    counterparty: 'asc',
+    type: 'asc'
+};
+
+const PAGE_SIZES = [25, 50, 100, 250, 500];
+
+// Export choices: query parameters of /api/transactions/export and their labels
+const EXPORT_FORMATS = [
+    { format: 'csv', style: 'be', label: 'CSV (Belgian: ; and decimal comma)' },
+    { format: 'csv', style: 'intl', label: 'CSV (international: , and decimal point)' },
+    { format: 'xlsx', label: 'Excel (.xlsx)' },
+    { format: 'ofx', label: 'OFX (accounting software)' },
+    { format: 'qif', label: 'QIF (accounting software)' }
+];
+
 class BankingApp {
     constructor() {
         this.currentPage = 1;
         this.itemsPerPage = 50;
+        this.currentSort = { sort: 'date', order: 'desc' };
+        // Fast paging fetches the page after a cursor instead of counting; cursors[n] starts page n + 1
+        this.keysetPaging = false;
+        this.cursors = [];
         this.currentFilters = {};
+        this.highlightTerms = [];
         this.transactions = [];
         this.accounts = [];
+        this.savedViews = [];
 
         this.init();
     }
@@ -14,6 +107,8 @@ class BankingApp {
     async init() {
         this.setupEventListeners();
         await this.loadCategories();
+        this.restoreStateFromUrl();
+        this.loadSavedViews();
         this.loadInitialData();
     }
 
@@ -38,6 +133,126 @@ class BankingApp {
         // Pagination
         document.getElementById('prevPage').addEventListener('click', () => this.changePage(this.currentPage - 1));
         document.getElementById('nextPage').addEventListener('click', () => this.changePage(this.currentPage + 1));
+        document.getElementById('pageSize').addEventListener('change', (e) => {
+            this.itemsPerPage = parseInt(e.target.value);
+            this.reloadFirstPage();
+        });
+        document.getElementById('keysetPaging').addEventListener('change', (e) => {
+            this.keysetPaging = e.target.checked;
+            this.reloadFirstPage();
+        });
+
+        // Export
+        document.getElementById('exportBtn').addEventListener('click', this.showExportOptions.bind(this));
+
+        // Sorting
+        document.querySelector('#transactionsTable thead').addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) {
+                this.sortBy(header.dataset.sort);
+            }
+        });
+
+        // Category suggestions
+        document.getElementById('suggestionsBtn').addEventListener('click', this.showSuggestions.bind(this));
+        document.getElementById('closeSuggestionsModal').addEventListener('click', () => {
+            document.getElementById('suggestionsModal').classList.remove('show');
+        });
+        document.getElementById('suggestionConfidence').addEventListener('change', this.previewSuggestions.bind(this));
+        document.getElementById('acceptSuggestionsBtn').addEventListener('click', this.acceptSuggestions.bind(this));
+
+        // Category settings
+        document.getElementById('categoriesBtn').addEventListener('click', this.showCategories.bind(this));
+        document.getElementById('closeCategoriesModal').addEventListener('click', () => {
+            document.getElementById('categoriesModal').classList.remove('show');
+        });
+        document.getElementById('categoriesModalBody').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-category-action]');
+            if (actionBtn) {
+                this.handleCategoryAction(actionBtn.dataset.categoryAction, actionBtn.dataset.id);
+            }
+        });
+
+        // Saved views
+        document.getElementById('savedViewSelect').addEventListener('change', (e) => this.applySavedView(e.target.value));
+        document.getElementById('saveViewBtn').addEventListener('click', this.showSaveViewForm.bind(this));
+        document.getElementById('deleteViewBtn').addEventListener('click', this.deleteSavedView.bind(this));
+
+        // Cash-flow forecast
+        document.getElementById('forecastDays').addEventListener('change', this.loadForecast.bind(this));
+
+        // Recurring payments
+        document.getElementById('recurringBtn').addEventListener('click', this.showRecurringPayments.bind(this));
+        document.getElementById('closeRecurringModal').addEventListener('click', () => {
+            document.getElementById('recurringModal').classList.remove('show');
+        });
+
+        // Budgets
+        document.getElementById('budgetsBtn').addEventListener('click', this.showBudgets.bind(this));
+        document.getElementById('closeBudgetsModal').addEventListener('click', () => {
+            document.getElementById('budgetsModal').classList.remove('show');
+        });
+        document.getElementById('budgetsModalBody').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-budget-action]');
+            if (actionBtn) {
+                this.handleBudgetAction(actionBtn.dataset.budgetAction, actionBtn.dataset.id);
+            }
+        });
+
+        // Categorization rules
+        document.getElementById('rulesBtn').addEventListener('click', this.showRules.bind(this));
+        document.getElementById('closeRulesModal').addEventListener('click', () => {
+            document.getElementById('rulesModal').classList.remove('show');
+        });
+        document.getElementById('rulesModalBody').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-rule-action]');
+            if (actionBtn) {
+                this.handleRuleAction(actionBtn.dataset.ruleAction, actionBtn);
+            }
+        });
+        document.getElementById('rulesModalBody').addEventListener('change', (e) => {
+            if (e.target.classList.contains('rule-field')) {
+                this.updateRuleOperators(e.target.closest('.rule-condition'));
+            }
+        });
+
+        // Duplicate review
+        document.getElementById('duplicatesBtn').addEventListener('click', this.showDuplicateReview.bind(this));
+        document.getElementById('closeDuplicatesModal').addEventListener('click', () => {
+            document.getElementById('duplicatesModal').classList.remove('show');
+        });
+        document.getElementById('duplicatesModalBody').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-duplicate-action]');
+            if (actionBtn) {
+                this.resolveDuplicate(actionBtn.dataset.id, actionBtn.dataset.duplicateAction);
+            } else if (e.target.closest('#scanDuplicatesBtn')) {
+                this.scanDuplicates();
+            }
+        });
+
+        // Import history
+        document.getElementById('historyBtn').addEventListener('click', this.showImportHistory.bind(this));
+        document.getElementById('closeHistoryModal').addEventListener('click', () => {
+            document.getElementById('historyModal').classList.remove('show');
+        });
+        document.getElementById('historyModalBody').addEventListener('click', (e) => {
+            const undoBtn = e.target.closest('.undo-import-btn');
+            if (undoBtn) {
+                this.undoImport(undoBtn.dataset.id, undoBtn.dataset.filename);
+                return;
+            }
+
+            const historyRow = e.target.closest('.history-row');
+            if (historyRow) {
+                this.showImportDetails(historyRow.dataset.id);
+            }
+        });
+
+        document.getElementById('uploadResults').addEventListener('click', (e) => {
+            if (e.target.closest('.review-duplicates-btn')) {
+                this.showDuplicateReview();
+            }
+        });
 
         //Categories
         document.addEventListener('click', (e) => {
@@ -45,13 +260,25 @@ class BankingApp {
                 const transactionId = e.target.closest('.add-category-btn').dataset.id;
                 this.showCategorySelector(transactionId);
             }
+
+            const splitBtn = e.target.closest('.split-transaction-btn');
+            if (splitBtn) {
+                this.showSplitEditor(splitBtn.dataset.id);
+            }
+
+            const removeBtn = e.target.closest('.remove-category-btn');
+            if (removeBtn) {
+                this.removeCategory(removeBtn.dataset.id, removeBtn.dataset.categoryId);
+            }
         });
 
         // Search on Enter
-        document.getElementById('searchText').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.applyFilters();
-            }
+        ['searchText', 'counterpartyFilter', 'minAmount', 'maxAmount'].forEach(id => {
+            document.getElementById(id).addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.applyFilters();
+                }
+            });
         });
     }
 
@@ -60,7 +287,10 @@ class BankingApp {
             await Promise.all([
                 this.loadTransactions(),
                 this.loadStatistics(),
-                this.loadAccounts()
+                this.loadAccounts(),
+                this.loadFilterOptions(),
+                this.loadForecast(),
+                this.loadCharts()
             ]);
         } catch (error) {
             this.showToast('Error loading data', error.message, 'error');
@@ -69,9 +299,9 @@ class BankingApp {
 
     // File Upload Handlers
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.uploadFile(file);
+        const files = [...event.target.files];
+        if (files.length > 0) {
+            this.handleFiles(files);
         }
     }
 
@@ -88,14 +318,30 @@ class BankingApp {
         event.preventDefault();
         event.currentTarget.classList.remove('dragover');
 
-        const files = event.dataTransfer.files;
+        const files = [...event.dataTransfer.files];
         if (files.length > 0) {
-            const file = files[0];
-            if (file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv')) {
-                this.uploadFile(file);
-            } else {
-                this.showToast('Invalid file type', 'Please select a CSV file', 'error');
-            }
+            this.handleFiles(files);
+        }
+    }
+
+    // A single statement gets the preview step, several files or a ZIP archive are imported as a batch
+    handleFiles(files) {
+        const isArchive = (file) => file.name.toLowerCase().endsWith('.zip');
+        const validFiles = files.filter(file => {
+            const name = file.name.toLowerCase();
+            return file.type === 'text/csv' || isArchive(file) ||
+                SUPPORTED_EXTENSIONS.some(extension => name.endsWith(extension));
+        });
+
+        if (validFiles.length < files.length) {
+            this.showToast('Invalid file type',
+                'Please select CSV, CODA, CAMT.053 or MT940 files or a ZIP archive', 'error');
+        }
+
+        if (validFiles.length === 1 && !isArchive(validFiles[0])) {
+            this.uploadFile(validFiles[0]);
+        } else if (validFiles.length > 0) {
+            this.uploadBatch(validFiles);
         }
     }
 
@@ -115,25 +361,275 @@ class BankingApp {
             const formData = new FormData();
             formData.append('csvFile', file);
 
-            // Simulate progress
-            progressFill.style.width = '30%';
             progressText.textContent = 'Uploading file...';
 
-            const response = await fetch('/api/upload', {
+            const response = await fetch('/api/upload/preview', {
                 method: 'POST',
                 body: formData
             });
+            const job = await response.json();
 
-            progressFill.style.width = '70%';
-            progressText.textContent = 'Processing transactions...';
+            if (!response.ok) {
+                throw new Error(job.error || 'Upload failed');
+            }
 
-            const result = await response.json();
+            const result = await this.followImportJob(job.jobId);
 
-            if (!response.ok) {
-                throw new Error(result.error || 'Upload failed');
+            // Unknown CSV layout: let the user map the columns, then upload again
+            if (result.needsMapping) {
+                progressContainer.style.display = 'none';
+                this.showMappingWizard(file, result.preview);
+                return;
             }
 
             // Complete progress
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Preview ready - review and confirm the import';
+
+            this.showImportPreview(result);
+
+        } catch (error) {
+            console.error('Upload error:', error);
+            this.showToast('Upload failed', error.message, 'error');
+            progressContainer.style.display = 'none';
+        }
+    }
+
+    async uploadBatch(files) {
+        const progressContainer = document.getElementById('uploadProgress');
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+
+        progressContainer.style.display = 'block';
+        document.getElementById('uploadResults').style.display = 'none';
+        progressFill.style.width = '0%';
+        progressText.textContent = `Uploading ${files.length} file${files.length !== 1 ? 's' : ''}...`;
+
+        try {
+            const formData = new FormData();
+            files.forEach(file => formData.append('statementFiles', file));
+
+            const response = await fetch('/api/upload/batch', {
+                method: 'POST',
+                body: formData
+            });
+            const job = await response.json();
+
+            if (!response.ok) {
+                throw new Error(job.error || 'Upload failed');
+            }
+
+            const result = await this.followImportJob(job.jobId);
+
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Upload complete!';
+
+            setTimeout(() => {
+                this.showBatchResults(result);
+                this.loadInitialData(); // Refresh data
+            }, 500);
+
+            const { summary } = result;
+            this.showToast(summary.failed > 0 ? 'Batch imported with problems' : 'Batch imported',
+                `${summary.imported} of ${summary.files} files imported, ${summary.transactions.imported} transactions`,
+                summary.failed > 0 ? 'warning' : 'success');
+
+        } catch (error) {
+            console.error('Batch upload error:', error);
+            this.showToast('Upload failed', error.message, 'error');
+            progressContainer.style.display = 'none';
+        }
+    }
+
+    // Follow a server-side preview or import job until it finishes
+    followImportJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(`/api/upload/jobs/${jobId}/events`);
+
+            events.onmessage = (event) => {
+                const job = JSON.parse(event.data);
+                this.showJobProgress(job);
+
+                if (job.status === 'completed') {
+                    events.close();
+                    resolve(job.result);
+                } else if (job.status === 'failed') {
+                    events.close();
+                    reject(new Error(job.error || 'Import failed'));
+                }
+            };
+
+            // EventSource reconnects by itself unless the stream is gone for good
+            events.onerror = () => {
+                if (events.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to the import job'));
+                }
+            };
+        });
+    }
+
+    showJobProgress(job) {
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+        const { total, processed, imported, skipped, errors, file, files, currentFile } = job.progress;
+
+        // Batches advance per file, single files per row
+        if (files) {
+            const fileShare = total > 0 ? processed / total : 0;
+            progressFill.style.width = `${Math.round((file - 1 + fileShare) / files * 100)}%`;
+        } else {
+            progressFill.style.width = total > 0 ? `${Math.round(processed / total * 100)}%` : '0%';
+        }
+
+        let text;
+        switch (job.phase) {
+        case 'parsing':
+            text = `Parsing ${currentFile || job.filename}...`;
+            break;
+        case 'classifying':
+            text = `Checking ${total} rows for duplicates...`;
+            break;
+        case 'importing':
+            text = `Processed ${processed} of ${total} rows: ` +
+                `${imported} imported, ${skipped} skipped, ${errors} errors`;
+            break;
+        default:
+            text = 'Waiting for the server...';
+        }
+
+        progressText.textContent = files ? `File ${file} of ${files} - ${text}` : text;
+    }
+
+    showImportPreview(preview) {
+        const resultsContainer = document.getElementById('uploadResults');
+        const resultsSummary = document.getElementById('resultsSummary');
+        const resultsErrors = document.getElementById('resultsErrors');
+
+        resultsSummary.innerHTML = `
+            <p class="results-format">
+                <i class="fas fa-university"></i> ${this.escapeHtml(preview.filename)} -
+                detected format: <strong>${this.escapeHtml(preview.format.name)}</strong>
+            </p>
+            <div class="results-summary">
+                <div class="result-stat">
+                    <div class="number">${preview.summary.totalRecords}</div>
+                    <div class="label">Total Records</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--success-color)">${preview.summary.new}</div>
+                    <div class="label">New</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--warning-color)">${preview.summary.duplicates}</div>
+                    <div class="label">Duplicates</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--danger-color)">${preview.summary.errors}</div>
+                    <div class="label">Errors</div>
+                </div>
+            </div>
+        `;
+
+        resultsErrors.innerHTML = `
+            <div class="preview-toolbar">
+                <div class="preview-filters">
+                    <button class="btn btn-outline active" data-status="">All</button>
+                    <button class="btn btn-outline" data-status="new">New</button>
+                    <button class="btn btn-outline" data-status="duplicate">Duplicates</button>
+                    <button class="btn btn-outline" data-status="error">Errors</button>
+                </div>
+                <div class="preview-actions">
+                    <button class="btn btn-primary" id="confirmImportBtn">
+                        <i class="fas fa-check"></i> Import ${preview.summary.new} new
+                    </button>
+                    <button class="btn btn-outline" id="cancelImportBtn">
+                        <i class="fas fa-times"></i> Cancel
+                    </button>
+                </div>
+            </div>
+            <div class="table-container import-preview">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Status</th>
+                            <th>Date</th>
+                            <th>Counterpart</th>
+                            <th>Description</th>
+                            <th>Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody id="importPreviewBody"></tbody>
+                </table>
+            </div>
+        `;
+
+        this.renderImportPreviewRows(preview.rows, '');
+
+        resultsErrors.querySelectorAll('.preview-filters .btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                resultsErrors.querySelectorAll('.preview-filters .btn').forEach(other => other.classList.remove('active'));
+                btn.classList.add('active');
+                this.renderImportPreviewRows(preview.rows, btn.dataset.status);
+            });
+        });
+
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.commitImport(preview.previewId));
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.cancelImport(preview.previewId));
+
+        resultsContainer.style.display = 'block';
+    }
+
+    renderImportPreviewRows(rows, status) {
+        const tbody = document.getElementById('importPreviewBody');
+        const filtered = status ? rows.filter(row => row.status === status) : rows;
+        const statusLabels = { new: 'New', duplicate: 'Duplicate', error: 'Error' };
+
+        tbody.innerHTML = filtered.slice(0, PREVIEW_DISPLAY_LIMIT).map(row => {
+            const transaction = row.transaction;
+
+            return `
+            <tr class="preview-row ${row.status}">
+                <td>${row.row}</td>
+                <td><span class="status-badge ${row.status}">${statusLabels[row.status]}</span></td>
+                ${transaction ? `
+                <td>${this.formatDate(transaction.bookingDate)}</td>
+                <td>${this.escapeHtml(transaction.counterpartName || transaction.counterpartAccount || 'N/A')}</td>
+                <td title="${this.escapeHtml(transaction.description || '')}">${this.escapeHtml(this.truncateText(transaction.description || 'N/A', 50))}</td>
+                <td>
+                    <span class="amount ${transaction.amount >= 0 ? 'positive' : 'negative'}">
+                        ${this.formatAmount(transaction.amount, transaction.currency)}
+                    </span>
+                </td>` : `
+                <td colspan="4" style="color: var(--danger-color);">${this.escapeHtml(row.error)}</td>`}
+            </tr>
+        `;
+        }).join('') + (filtered.length > PREVIEW_DISPLAY_LIMIT ? `
+            <tr class="no-data">
+                <td colspan="6">Showing the first ${PREVIEW_DISPLAY_LIMIT} of ${filtered.length} rows</td>
+            </tr>
+        ` : '');
+    }
+
+    async commitImport(previewId) {
+        const progressContainer = document.getElementById('uploadProgress');
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+
+        progressContainer.style.display = 'block';
+        progressFill.style.width = '0%';
+        progressText.textContent = 'Starting import...';
+
+        try {
+            const response = await fetch(`/api/upload/preview/${previewId}/commit`, { method: 'POST' });
+            const job = await response.json();
+
+            if (!response.ok) {
+                throw new Error(job.error || 'Import failed');
+            }
+
+            const result = await this.followImportJob(job.jobId);
+
             progressFill.style.width = '100%';
             progressText.textContent = 'Upload complete!';
 
@@ -147,12 +643,25 @@ class BankingApp {
                 `Imported ${result.summary.imported} transactions`, 'success');
 
         } catch (error) {
-            console.error('Upload error:', error);
-            this.showToast('Upload failed', error.message, 'error');
+            console.error('Import error:', error);
+            this.showToast('Import failed', error.message, 'error');
             progressContainer.style.display = 'none';
         }
     }
 
+    async cancelImport(previewId) {
+        try {
+            await fetch(`/api/upload/preview/${previewId}`, { method: 'DELETE' });
+        } catch (error) {
+            console.error('Cancel import error:', error);
+        }
+
+        document.getElementById('uploadProgress').style.display = 'none';
+        document.getElementById('uploadResults').style.display = 'none';
+        document.getElementById('csvFileInput').value = '';
+        this.showToast('Import cancelled', 'No transactions were imported', 'info');
+    }
+
     showUploadResults(result) {
         const resultsContainer = document.getElementById('uploadResults');
         const resultsSummary = document.getElementById('resultsSummary');
@@ -160,6 +669,10 @@ class BankingApp {
 
         // Show summary
         resultsSummary.innerHTML = `
+            ${result.format ? `
+            <p class="results-format">
+                <i class="fas fa-university"></i> Detected format: <strong>${this.escapeHtml(result.format.name)}</strong>
+            </p>` : ''}
             <div class="results-summary">
                 <div class="result-stat">
                     <div class="number">${result.summary.totalRecords}</div>
@@ -180,6 +693,10 @@ class BankingApp {
             </div>
         `;
 
+        if (result.summary.suspectedDuplicates > 0) {
+            resultsSummary.innerHTML += this.duplicateNotice(result.summary.suspectedDuplicates);
+        }
+
         // Show errors if any
         if (result.errors && result.errors.length > 0) {
             resultsErrors.innerHTML = `
@@ -188,7 +705,7 @@ class BankingApp {
                         <i class="fas fa-exclamation-triangle"></i> Import Errors
                     </h4>
                     <ul style="color: var(--text-secondary); font-size: 0.875rem;">
-                        ${result.errors.map(error => `<li>Row ${error.row}: ${error.error}</li>`).join('')}
+                        ${result.errors.map(error => `<li>Row ${error.row}: ${this.escapeHtml(error.error)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -199,48 +716,336 @@ class BankingApp {
         resultsContainer.style.display = 'block';
     }
 
-    // Data Loading
-    async loadTransactions() {
-        try {
-            const params = new URLSearchParams({
-                page: this.currentPage,
-                limit: this.itemsPerPage,
-                ...this.currentFilters
-            });
+    showBatchResults(result) {
+        const resultsContainer = document.getElementById('uploadResults');
+        const resultsSummary = document.getElementById('resultsSummary');
+        const statusLabels = {
+            imported: 'imported',
+            duplicate: 'already imported',
+            needsMapping: 'needs mapping',
+            failed: 'failed'
+        };
 
-            const response = await fetch(`/api/transactions?${params}`);
-            if (!response.ok) throw new Error('Failed to load transactions');
+        resultsSummary.innerHTML = `
+            <div class="results-summary">
+                <div class="result-stat">
+                    <div class="number">${result.summary.files}</div>
+                    <div class="label">Files</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--success-color)">${result.summary.transactions.imported}</div>
+                    <div class="label">Transactions Imported</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--warning-color)">${result.summary.duplicates}</div>
+                    <div class="label">Files Already Imported</div>
+                </div>
+                <div class="result-stat">
+                    <div class="number" style="color: var(--danger-color)">${result.summary.failed + result.summary.needsMapping}</div>
+                    <div class="label">Files Not Imported</div>
+                </div>
+            </div>
+            <div class="table-container" style="margin-top: 1rem;">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Status</th>
+                            <th>Imported</th>
+                            <th>Skipped</th>
+                            <th>Errors</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.files.map(file => `
+                        <tr>
+                            <td>${this.escapeHtml(file.filename)}</td>
+                            <td><span class="status-badge ${file.status}">${statusLabels[file.status]}</span></td>
+                            <td>${file.summary ? file.summary.imported : '-'}</td>
+                            <td>${file.summary ? file.summary.skipped : '-'}</td>
+                            <td>${file.summary ? file.summary.errors : '-'}</td>
+                            <td>
+                                ${file.format ? this.escapeHtml(file.format.name) : ''}
+                                ${file.importDate ? `Imported on ${this.formatDate(file.importDate)}` : ''}
+                                ${file.error ? this.escapeHtml(file.error) : ''}
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        document.getElementById('resultsErrors').innerHTML = '';
 
-            const data = await response.json();
-            this.transactions = data.transactions;
+        if (result.summary.transactions.suspectedDuplicates > 0) {
+            resultsSummary.innerHTML += this.duplicateNotice(result.summary.transactions.suspectedDuplicates);
+        }
 
-            this.renderTransactions(data.transactions);
-            this.updatePagination(data.pagination);
+        resultsContainer.style.display = 'block';
+    }
 
-        } catch (error) {
-            console.error('Error loading transactions:', error);
-            this.showToast('Error', 'Failed to load transactions', 'error');
-        }
+    duplicateNotice(count) {
+        return `
+            <p class="duplicate-notice">
+                <i class="fas fa-clone"></i>
+                ${count} transaction${count !== 1 ? 's look' : ' looks'} like ${count !== 1 ? 'duplicates' : 'a duplicate'} of transactions from other files.
+                <button class="btn btn-outline review-duplicates-btn" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;">
+                    Review
+                </button>
+            </p>
+        `;
     }
 
-    async loadStatistics() {
-        try {
-            const params = new URLSearchParams(this.currentFilters);
-            const response = await fetch(`/api/transactions/stats?${params}`);
-            if (!response.ok) throw new Error('Failed to load statistics');
+    // Column Mapping Wizard
+    showMappingWizard(file, preview) {
+        const modal = document.createElement('div');
+        modal.className = 'modal mapping-modal show';
+        modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-columns"></i> Map CSV Columns</h3>
+                <button class="modal-close"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="modal-body">
+                <p class="mapping-intro">
+                    <strong>${this.escapeHtml(file.name)}</strong> doesn't match a known bank format.
+                    Map its columns once and files with the same layout will import automatically.
+                </p>
+                <div class="mapping-options">
+                    <div class="filter-group">
+                        <label for="mappingName">Profile name</label>
+                        <input type="text" id="mappingName" class="form-control" placeholder="e.g. Keytrade current account">
+                    </div>
+                    <div class="filter-group">
+                        <label for="mappingDelimiter">Delimiter</label>
+                        <select id="mappingDelimiter" class="form-control">
+                            <option value=";">Semicolon (;)</option>
+                            <option value=",">Comma (,)</option>
+                            <option value="\t">Tab</option>
+                            <option value="|">Pipe (|)</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="mappingHeaderRow">Header row</label>
+                        <input type="number" id="mappingHeaderRow" class="form-control" min="1" step="1">
+                    </div>
+                    <div class="filter-group">
+                        <label for="mappingDateFormat">Date format</label>
+                        <select id="mappingDateFormat" class="form-control">
+                            <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                            <option value="DD-MM-YYYY">DD-MM-YYYY</option>
+                            <option value="DD.MM.YYYY">DD.MM.YYYY</option>
+                            <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                            <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="mappingDecimal">Decimal separator</label>
+                        <select id="mappingDecimal" class="form-control">
+                            <option value=",">Comma (1.234,56)</option>
+                            <option value=".">Dot (1,234.56)</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="table-container mapping-preview" id="mappingPreview"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" id="saveMappingBtn">
+                    <i class="fas fa-save"></i> Save &amp; Import
+                </button>
+                <button class="btn btn-outline modal-close">Cancel</button>
+            </div>
+        </div>
+    `;
 
-            const stats = await response.json();
-            this.renderStatistics(stats);
+        document.body.appendChild(modal);
 
-        } catch (error) {
-            console.error('Error loading statistics:', error);
-        }
-    }
+        let currentPreview = preview;
+        const delimiterSelect = modal.querySelector('#mappingDelimiter');
+        const headerRowInput = modal.querySelector('#mappingHeaderRow');
+        delimiterSelect.value = preview.delimiter;
+        headerRowInput.value = preview.headerRow;
+        this.renderMappingPreview(modal, preview);
 
-    async loadAccounts() {
-        try {
-            const response = await fetch('/api/transactions/accounts');
-            if (!response.ok) throw new Error('Failed to load accounts');
+        // Close modal
+        modal.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => modal.remove());
+        });
+
+        // Re-split the file when the delimiter or the header row changes
+        const reinspect = async () => {
+            try {
+                const formData = new FormData();
+                formData.append('delimiter', delimiterSelect.value);
+                formData.append('headerRow', headerRowInput.value);
+                formData.append('csvFile', file);
+
+                const response = await fetch('/api/upload/inspect', { method: 'POST', body: formData });
+                if (!response.ok) throw new Error('Failed to preview file');
+
+                currentPreview = await response.json();
+                headerRowInput.value = currentPreview.headerRow;
+                this.renderMappingPreview(modal, currentPreview);
+            } catch (error) {
+                console.error('Preview error:', error);
+                this.showToast('Error', 'Failed to preview file', 'error');
+            }
+        };
+        delimiterSelect.addEventListener('change', reinspect);
+        headerRowInput.addEventListener('change', reinspect);
+
+        // Save profile and import the file with it
+        modal.querySelector('#saveMappingBtn').addEventListener('click', async () => {
+            const columns = {};
+            modal.querySelectorAll('.mapping-field').forEach(select => {
+                if (!select.value) return;
+                const header = currentPreview.headers[select.dataset.index];
+                // Several columns mapped to one field are joined (e.g. description parts)
+                columns[select.value] = columns[select.value]
+                    ? [].concat(columns[select.value], header)
+                    : header;
+            });
+
+            try {
+                const response = await fetch('/api/mapping-profiles', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name: modal.querySelector('#mappingName').value,
+                        headers: currentPreview.headers,
+                        delimiter: delimiterSelect.value,
+                        dateFormat: modal.querySelector('#mappingDateFormat').value,
+                        decimalSeparator: modal.querySelector('#mappingDecimal').value,
+                        columns
+                    })
+                });
+                const result = await response.json();
+
+                if (!response.ok) throw new Error(result.error || 'Failed to save mapping');
+
+                this.showToast('Mapping saved', `Profile "${result.name}" will be used for this layout`, 'success');
+                modal.remove();
+                this.uploadFile(file);
+            } catch (error) {
+                console.error('Mapping save error:', error);
+                this.showToast('Error', error.message, 'error');
+            }
+        });
+    }
+
+    renderMappingPreview(modal, preview) {
+        const fieldOptions = '<option value="">Ignore</option>' +
+            Object.entries(MAPPING_FIELDS).map(([field, label]) =>
+                `<option value="${field}">${label}</option>`
+            ).join('');
+
+        modal.querySelector('#mappingPreview').innerHTML = `
+            <table class="transactions-table">
+                <thead>
+                    <tr>
+                        ${preview.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}
+                    </tr>
+                    <tr>
+                        ${preview.headers.map((header, index) => `
+                        <th>
+                            <select class="form-control mapping-field" data-index="${index}">${fieldOptions}</select>
+                        </th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${preview.rows.map(row => `
+                    <tr>
+                        ${preview.headers.map((header, index) =>
+                            `<td>${this.escapeHtml(this.truncateText(row[index] || '', 40))}</td>`
+                        ).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Data Loading
+    async loadTransactions() {
+        this.updateUrl();
+
+        try {
+            const params = new URLSearchParams({
+                limit: this.itemsPerPage,
+                ...this.currentSort,
+                ...this.currentFilters
+            });
+
+            if (this.keysetPaging) {
+                params.set('paging', 'keyset');
+                if (this.cursors[this.currentPage - 1]) {
+                    params.set('cursor', this.cursors[this.currentPage - 1]);
+                }
+            } else {
+                params.set('page', this.currentPage);
+            }
+
+            const response = await fetch(`/api/transactions?${params}`);
+            const data = await response.json();
+
+            // Invalid search syntax comes back as a 400 with an explanation
+            if (!response.ok) throw new Error(data.error || 'Failed to load transactions');
+
+            this.transactions = data.transactions;
+            this.highlightTerms = data.highlight || [];
+
+            this.renderTransactions(data.transactions);
+            this.renderSortIndicators();
+            this.updatePagination(data.pagination);
+
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async loadStatistics() {
+        try {
+            const params = new URLSearchParams(this.currentFilters);
+            const response = await fetch(`/api/transactions/stats?${params}`);
+            if (!response.ok) throw new Error('Failed to load statistics');
+
+            const stats = await response.json();
+            this.renderStatistics(stats);
+
+            const categoryResponse = await fetch(`/api/transactions/stats/categories?${params}`);
+            if (!categoryResponse.ok) throw new Error('Failed to load category statistics');
+
+            const categories = await categoryResponse.json();
+            this.renderCategoryBreakdown(categories);
+            this.renderCategoryChart(categories);
+
+            // Budgets follow their own periods, not the dashboard filters
+            await this.loadBudgetReport();
+
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+        }
+    }
+
+    async loadFilterOptions() {
+        try {
+            const response = await fetch('/api/transactions/filter-options');
+            if (!response.ok) throw new Error('Failed to load filter options');
+
+            const options = await response.json();
+            this.renderSelectOptions('typeFilter', 'All Types', options.transactionTypes, this.currentFilters.transactionType);
+            this.renderSelectOptions('currencyFilter', 'All Currencies', options.currencies, this.currentFilters.currency);
+
+        } catch (error) {
+            console.error('Error loading filter options:', error);
+        }
+    }
+
+    async loadAccounts() {
+        try {
+            const response = await fetch('/api/transactions/accounts');
+            if (!response.ok) throw new Error('Failed to load accounts');
 
             const accounts = await response.json();
             this.accounts = accounts;
@@ -275,15 +1080,15 @@ class BankingApp {
         <tr>
             <td>${this.formatDate(transaction.booking_date)}</td>
             <td>
-                <div style="font-weight: 500;">${transaction.counterpart_name || 'N/A'}</div>
+                <div style="font-weight: 500;">${this.highlight(transaction.counterpart_name || 'N/A')}</div>
                 ${transaction.counterpart_account ?
-                `<div style="font-size: 0.75rem; color: var(--text-muted);">${transaction.counterpart_account}</div>` :
+                `<div style="font-size: 0.75rem; color: var(--text-muted);">${this.highlight(transaction.counterpart_account)}</div>` :
                 ''
             }
             </td>
             <td>
                 <div style="max-width: 300px; overflow: hidden; text-overflow: ellipsis;" 
-                     title="${transaction.description || ''}">${this.truncateText(transaction.description || 'N/A', 50)}</div>
+                     title="${this.escapeHtml(transaction.description || '')}">${this.highlight(this.truncateText(transaction.description || 'N/A', 50))}</div>
             </td>
             <td>
                 <span class="amount ${transaction.amount >= 0 ? 'positive' : 'negative'}">
@@ -298,12 +1103,22 @@ class BankingApp {
             </td>
             <td>
                 <div class="transaction-categories" data-id="${transaction.id}">
-                    ${transaction.categories ? transaction.categories.split(', ')
-                .map(c => `<span class="category-tag">${c}</span>`).join('') : ''}
+                    ${(transaction.categories || []).map(category => this.categoryTag(category.name, category.amount !== null ? `
+                    <span class="category-split-amount">${this.formatAmount(category.amount, transaction.currency)}</span>` : `
+                    <button class="remove-category-btn" data-id="${transaction.id}" data-category-id="${category.id}"
+                            title="Remove category">
+                        <i class="fas fa-times"></i>
+                    </button>`)).join('')}
+                    ${this.isSplit(transaction) ? '' : `
                     <button class="btn btn-small add-category-btn" data-id="${transaction.id}" 
                             style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" 
                             title="Add category">
                         <i class="fas fa-plus"></i>
+                    </button>`}
+                    <button class="btn btn-small split-transaction-btn" data-id="${transaction.id}" 
+                            style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" 
+                            title="Split across categories">
+                        <i class="fas fa-divide"></i>
                     </button>
                 </div>
             </td>
@@ -328,12 +1143,55 @@ class BankingApp {
         document.getElementById('totalTransactions').textContent = stats.total_transactions || 0;
     }
 
+    renderCategoryBreakdown(categories) {
+        const container = document.getElementById('categoryBreakdown');
+        const spent = categories.filter(category => parseFloat(category.total_expenses) > 0);
+
+        if (spent.length === 0) {
+            container.innerHTML = '<p class="history-empty">No categorized expenses</p>';
+            return;
+        }
+
+        const largest = parseFloat(spent[0].total_expenses);
+
+        container.innerHTML = spent.map(category => `
+            <div class="category-breakdown-row">
+                ${this.categoryTag(category.name)}
+                <div class="category-breakdown-bar">
+                    <div style="width: ${(parseFloat(category.total_expenses) / largest * 100).toFixed(1)}%; background: ${/^#[0-9a-f]{6}$/i.test(category.color) ? category.color : 'var(--primary-color)'};"></div>
+                </div>
+                <span class="amount negative">${this.formatAmount(category.total_expenses)}</span>
+            </div>
+        `).join('');
+    }
+
     renderAccountFilter(accounts) {
         const select = document.getElementById('accountFilter');
         select.innerHTML = '<option value="">All Accounts</option>' +
             accounts.map(account =>
                 `<option value="${account.account_number}">${account.account_number} (${account.transaction_count} transactions)</option>`
             ).join('');
+        select.value = this.currentFilters.account || '';
+    }
+
+    renderSelectOptions(selectId, emptyLabel, values, selected = '') {
+        const select = document.getElementById(selectId);
+
+        select.innerHTML = `<option value="">${emptyLabel}</option>` +
+            values.map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+
+        // The options load after the filters are restored from the URL or a saved view
+        select.value = values.includes(selected) ? selected : '';
+    }
+
+    renderCategoryFilter() {
+        const select = document.getElementById('categoryFilter');
+        const selected = [...select.selectedOptions].map(option => option.value);
+
+        select.innerHTML = '<option value="uncategorized">Uncategorized</option>' + this.categoryOptions();
+        [...select.options].forEach(option => {
+            option.selected = selected.includes(option.value);
+        });
     }
 
     updatePagination(pagination) {
@@ -342,37 +1200,53 @@ class BankingApp {
         const prevBtn = document.getElementById('prevPage');
         const nextBtn = document.getElementById('nextPage');
 
-        if (pagination.totalPages <= 1) {
-            paginationContainer.style.display = 'none';
+        paginationContainer.style.display = 'flex';
+
+        // Keyset pages are not counted, only whether another one follows
+        if (this.keysetPaging) {
+            this.cursors[this.currentPage] = pagination.nextCursor;
+            paginationInfo.textContent = `Page ${this.currentPage}${pagination.hasMore ? '' : ' (last)'}`;
+            prevBtn.disabled = this.currentPage <= 1;
+            nextBtn.disabled = !pagination.hasMore;
             return;
         }
 
-        paginationContainer.style.display = 'flex';
-        paginationInfo.textContent = `Page ${pagination.page} of ${pagination.totalPages}`;
+        paginationInfo.textContent = `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)}`;
 
         prevBtn.disabled = pagination.page <= 1;
         nextBtn.disabled = pagination.page >= pagination.totalPages;
     }
 
+    renderSortIndicators() {
+        document.querySelectorAll('#transactionsTable th[data-sort]').forEach(header => {
+            const sorted = header.dataset.sort === this.currentSort.sort;
+            header.classList.toggle('sorted', sorted);
+            header.querySelector('i').className = `fas ${sorted ? (this.currentSort.order === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}`;
+        });
+    }
+
     async loadCategories() {
         const response = await fetch('/api/categories');
         this.categories = await response.json();
+        this.renderCategoryFilter();
     }
 
-    showCategorySelector(transactionId) {
+    async showCategorySelector(transactionId) {
         if (!this.categories || this.categories.length === 0) {
-            this.showToast('No categories', 'Please add categories in the database first', 'warning');
+            this.showToast('No categories', 'Create categories under Categories first', 'warning');
             return;
         }
 
+        // Pre-select the most likely category learned from earlier assignments
+        const suggestions = await this.loadCategorySuggestions(transactionId);
+        const suggestedId = suggestions.length > 0 ? suggestions[0].categoryId : null;
+
         // Build dropdown with categories
-        const options = this.categories.map(c =>
-            `<option value="${c.id}">${c.name}</option>`
-        ).join('');
+        const options = this.categoryOptions(suggestedId);
 
         // Create a simple modal
         const modal = document.createElement('div');
-        modal.className = 'modal category-modal';
+        modal.className = 'modal category-modal show';
         modal.innerHTML = `
         <div class="modal-content">
             <div class="modal-header">
@@ -381,6 +1255,15 @@ class BankingApp {
             </div>
             <div class="modal-body">
                 <select id="categorySelect" class="form-control">${options}</select>
+                ${suggestions.length > 0 ? `
+                <div class="category-suggestions">
+                    <span>Suggested:</span>
+                    ${suggestions.map(suggestion => `
+                    <button class="btn btn-outline suggestion-chip" data-category-id="${suggestion.categoryId}">
+                        ${this.escapeHtml(suggestion.categoryName)} ${Math.round(suggestion.confidence * 100)}%
+                    </button>
+                    `).join('')}
+                </div>` : ''}
             </div>
             <div class="modal-footer">
                 <button class="btn btn-primary" id="saveCategoryBtn">Save</button>
@@ -396,6 +1279,12 @@ class BankingApp {
             btn.addEventListener('click', () => modal.remove());
         });
 
+        modal.querySelectorAll('.suggestion-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                document.getElementById('categorySelect').value = chip.dataset.categoryId;
+            });
+        });
+
         // Save category
         document.getElementById('saveCategoryBtn').addEventListener('click', async () => {
             const categoryId = document.getElementById('categorySelect').value;
@@ -406,127 +1295,2216 @@ class BankingApp {
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ categoryId })
                 });
+                const result = await response.json();
 
-                if (!response.ok) throw new Error('Failed to save category');
+                if (!response.ok) throw new Error(result.error || 'Failed to assign category');
 
                 this.showToast('Success', 'Category assigned successfully', 'success');
                 this.loadTransactions(); // refresh UI
+                this.loadStatistics();
                 modal.remove();
             } catch (error) {
                 console.error('Category assign error:', error);
-                this.showToast('Error', 'Failed to assign category', 'error');
+                this.showToast('Error', error.message, 'error');
             }
         });
     }
 
+    async removeCategory(transactionId, categoryId) {
+        try {
+            const response = await fetch(`/api/transactions/${transactionId}/categories/${categoryId}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (!response.ok) throw new Error(result.error || 'Failed to remove category');
+
+            this.showToast('Success', 'Category removed successfully', 'success');
+            this.loadTransactions(); // refresh UI
+            this.loadStatistics();
+        } catch (error) {
+            console.error('Category remove error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
 
 
-    // Filter and Search
-    applyFilters() {
-        this.currentFilters = {
-            account: document.getElementById('accountFilter').value,
-            startDate: document.getElementById('startDate').value,
-            endDate: document.getElementById('endDate').value,
-            search: document.getElementById('searchText').value
+    isSplit(transaction) {
+        return (transaction.categories || []).some(category => category.amount !== null);
+    }
+
+    showSplitEditor(transactionId) {
+        const transaction = this.transactions.find(t => t.id === parseInt(transactionId));
+        if (!transaction) return;
+
+        if (!this.categories || this.categories.length < 2) {
+            this.showToast('Not enough categories', 'Create at least two categories under Categories first', 'warning');
+            return;
+        }
+
+        // Start from the current split, or the assigned categories with the full amount on the first
+        const assigned = transaction.categories || [];
+        const portions = this.isSplit(transaction)
+            ? assigned.map(category => ({ categoryId: category.id, amount: category.amount }))
+            : [
+                { categoryId: assigned[0] ? assigned[0].id : null, amount: transaction.amount },
+                { categoryId: assigned[1] ? assigned[1].id : null, amount: '' }
+            ];
+
+        const modal = document.createElement('div');
+        modal.className = 'modal category-modal show';
+        modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-divide"></i> Split Transaction</h3>
+                <button class="modal-close"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="modal-body">
+                <p class="mapping-intro">
+                    ${this.escapeHtml(transaction.counterpart_name || 'N/A')}, ${this.formatDate(transaction.booking_date)}:
+                    <strong>${this.formatAmount(transaction.amount, transaction.currency)}</strong>
+                </p>
+                <div id="splitPortions">
+                    ${portions.map(portion => this.renderSplitPortion(portion)).join('')}
+                </div>
+                <button class="btn btn-outline" id="addSplitPortionBtn" style="margin-top: 0.5rem;">
+                    <i class="fas fa-plus"></i> Add category
+                </button>
+                <p class="mapping-intro" id="splitRemaining"></p>
+            </div>
+            <div class="modal-footer">
+                ${this.isSplit(transaction) ? '<button class="btn btn-outline" id="removeSplitBtn">Remove split</button>' : ''}
+                <button class="btn btn-primary" id="saveSplitBtn">Save</button>
+                <button class="btn btn-outline modal-close">Cancel</button>
+            </div>
+        </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        const portionsContainer = modal.querySelector('#splitPortions');
+        const updateRemaining = () => {
+            const assignedCents = [...portionsContainer.querySelectorAll('.split-amount')]
+                .reduce((sum, input) => sum + Math.round((parseFloat(input.value) || 0) * 100), 0);
+            const remaining = (Math.round(parseFloat(transaction.amount) * 100) - assignedCents) / 100;
+
+            modal.querySelector('#splitRemaining').textContent = remaining === 0
+                ? 'The portions add up to the transaction amount'
+                : `Left to assign: ${this.formatAmount(remaining, transaction.currency)}`;
         };
+        updateRemaining();
 
-        // Remove empty filters
-        Object.keys(this.currentFilters).forEach(key => {
-            if (!this.currentFilters[key]) {
-                delete this.currentFilters[key];
+        modal.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => modal.remove());
+        });
+
+        modal.querySelector('#addSplitPortionBtn').addEventListener('click', () => {
+            portionsContainer.insertAdjacentHTML('beforeend', this.renderSplitPortion({ categoryId: null, amount: '' }));
+        });
+
+        portionsContainer.addEventListener('input', updateRemaining);
+        portionsContainer.addEventListener('click', (e) => {
+            if (e.target.closest('.remove-split-portion-btn')) {
+                e.target.closest('.split-portion').remove();
+                updateRemaining();
             }
         });
 
-        this.currentPage = 1;
-        this.loadTransactions();
-        this.loadStatistics();
-    }
+        modal.querySelector('#saveSplitBtn').addEventListener('click', async () => {
+            const splits = [...portionsContainer.querySelectorAll('.split-portion')].map(row => ({
+                categoryId: parseInt(row.querySelector('.split-category').value),
+                amount: row.querySelector('.split-amount').value
+            }));
 
-    clearFilters() {
-        document.getElementById('accountFilter').value = '';
-        document.getElementById('startDate').value = '';
-        document.getElementById('endDate').value = '';
-        document.getElementById('searchText').value = '';
+            try {
+                const response = await fetch(`/api/transactions/${transactionId}/splits`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ splits })
+                });
+                const result = await response.json();
 
-        this.currentFilters = {};
-        this.currentPage = 1;
-        this.loadTransactions();
-        this.loadStatistics();
+                if (!response.ok) throw new Error(result.error || 'Failed to split transaction');
+
+                this.showToast('Success', 'Transaction split successfully', 'success');
+                this.loadTransactions();
+                this.loadStatistics();
+                modal.remove();
+            } catch (error) {
+                console.error('Split error:', error);
+                this.showToast('Error', error.message, 'error');
+            }
+        });
+
+        const removeSplitBtn = modal.querySelector('#removeSplitBtn');
+        if (removeSplitBtn) {
+            removeSplitBtn.addEventListener('click', async () => {
+                try {
+                    const response = await fetch(`/api/transactions/${transactionId}/splits`, { method: 'DELETE' });
+                    const result = await response.json();
+
+                    if (!response.ok) throw new Error(result.error || 'Failed to remove split');
+
+                    this.showToast('Success', 'Split removed successfully', 'success');
+                    this.loadTransactions();
+                    this.loadStatistics();
+                    modal.remove();
+                } catch (error) {
+                    console.error('Remove split error:', error);
+                    this.showToast('Error', error.message, 'error');
+                }
+            });
+        }
     }
 
-    // Pagination
-    changePage(page) {
-        this.currentPage = page;
-        this.loadTransactions();
+    renderSplitPortion(portion) {
+        return `
+            <div class="split-portion">
+                <select class="form-control split-category">${this.categoryOptions(portion.categoryId)}</select>
+                <input type="number" step="0.01" class="form-control split-amount" value="${portion.amount}">
+                <button class="btn btn-outline remove-split-portion-btn" title="Remove portion">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
     }
 
-    // Transaction Actions
-    async deleteTransaction(id) {
-        if (!confirm('Are you sure you want to delete this transaction?')) {
-            return;
+    async loadCategorySuggestions(transactionId) {
+        try {
+            const response = await fetch(`/api/category-suggestions/transactions/${transactionId}`);
+            if (!response.ok) throw new Error('Failed to load suggestions');
+            return await response.json();
+        } catch (error) {
+            // Suggestions are optional, the selector works without them
+            console.error('Category suggestion error:', error);
+            return [];
         }
+    }
+
+    // Bulk Category Suggestions
+    showSuggestions() {
+        document.getElementById('suggestionsModal').classList.add('show');
+        this.previewSuggestions();
+    }
+
+    async previewSuggestions() {
+        const list = document.getElementById('suggestionsList');
+        const acceptBtn = document.getElementById('acceptSuggestionsBtn');
+        const minConfidence = document.getElementById('suggestionConfidence').value;
+
+        acceptBtn.disabled = true;
+        list.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Finding suggestions...
+            </div>
+        `;
 
         try {
-            const response = await fetch(`/api/transactions/${id}`, {
-                method: 'DELETE'
-            });
+            const response = await fetch(`/api/category-suggestions?minConfidence=${encodeURIComponent(minConfidence)}`);
+            const result = await response.json();
 
             if (!response.ok) {
-                throw new Error('Failed to delete transaction');
+                throw new Error(result.error || 'Failed to load suggestions');
             }
 
-            this.showToast('Success', 'Transaction deleted successfully', 'success');
-            this.loadInitialData(); // Refresh data
+            acceptBtn.disabled = result.total === 0;
+            acceptBtn.innerHTML = `<i class="fas fa-check-double"></i> Accept all ${result.total}`;
+
+            if (result.total === 0) {
+                list.innerHTML = '<p class="history-empty">No uncategorized transactions with a suggestion this confident</p>';
+                return;
+            }
+
+            list.innerHTML = `
+                <div class="table-container">
+                    <table class="transactions-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Counterpart</th>
+                                <th>Amount</th>
+                                <th>Suggestion</th>
+                                <th>Confidence</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.suggestions.map(({ transaction, suggestion }) => `
+                            <tr>
+                                <td>${this.formatDate(transaction.booking_date)}</td>
+                                <td>
+                                    <div style="font-weight: 500;">${this.escapeHtml(transaction.counterpart_name || 'N/A')}</div>
+                                    <div style="font-size: 0.75rem; color: var(--text-muted);">${this.escapeHtml(this.truncateText(transaction.description || '', 50))}</div>
+                                </td>
+                                <td>
+                                    <span class="amount ${transaction.amount >= 0 ? 'positive' : 'negative'}">
+                                        ${this.formatAmount(transaction.amount, transaction.currency)}
+                                    </span>
+                                </td>
+                                <td>${this.categoryTag(suggestion.categoryName)}</td>
+                                <td>${Math.round(suggestion.confidence * 100)}%</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${result.total > result.suggestions.length ? `<p class="mapping-intro" style="margin-top: 0.5rem;">Showing the first ${result.suggestions.length} of ${result.total} suggestions</p>` : ''}
+            `;
 
         } catch (error) {
-            console.error('Delete error:', error);
-            this.showToast('Error', 'Failed to delete transaction', 'error');
+            console.error('Suggestion preview error:', error);
+            list.innerHTML = `<p class="history-empty">${this.escapeHtml(error.message)}</p>`;
         }
     }
 
-    // Utility Methods
-    formatDate(dateString) {
-        if (!dateString) return 'N/A';
+    async acceptSuggestions() {
+        const minConfidence = document.getElementById('suggestionConfidence').value;
+
+        if (!confirm(`Assign the suggested category to every uncategorized transaction with at least ${minConfidence}% confidence?`)) {
+            return;
+        }
 
         try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString('en-GB', {
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric'
+            const response = await fetch('/api/category-suggestions/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ minConfidence })
             });
-        } catch {
-            return dateString;
-        }
-    }
+            const result = await response.json();
 
-    formatAmount(amount, currency = 'EUR') {
-        if (amount === null || amount === undefined) return 'N/A';
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to accept suggestions');
+            }
 
-        const formatter = new Intl.NumberFormat('nl-BE', {
-            style: 'currency',
-            currency: currency,
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
+            this.showToast('Suggestions accepted', `${result.accepted} transactions categorized`, 'success');
+            this.previewSuggestions();
+            this.loadTransactions(); // Refresh categories
 
-        return formatter.format(amount);
+        } catch (error) {
+            console.error('Accept suggestions error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
     }
 
-    truncateText(text, maxLength) {
-        if (!text) return '';
-        return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    // Filter and Search
+    applyFilters() {
+        this.currentFilters = this.readFilterControls();
+        this.currentPage = 1;
+        this.cursors = [];
+        this.loadTransactions();
+        this.loadStatistics();
+        this.loadCharts();
     }
 
-    // Toast Notifications
-    showToast(title, message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
+    clearFilters() {
+        this.setFilterControls({});
+        this.renderSavedViews();
 
-        const iconMap = {
-            success: 'fas fa-check-circle',
-            error: 'fas fa-exclamation-circle',
+        this.currentFilters = {};
+        this.currentPage = 1;
+        this.cursors = [];
+        this.loadTransactions();
+        this.loadStatistics();
+        this.loadCharts();
+    }
+
+    readFilterControls() {
+        const filters = {};
+
+        Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+            filters[key] = document.getElementById(id).value.trim();
+        });
+        filters.categories = [...document.getElementById('categoryFilter').selectedOptions]
+            .map(option => option.value)
+            .join(',');
+
+        // Remove empty filters
+        Object.keys(filters).forEach(key => {
+            if (!filters[key]) {
+                delete filters[key];
+            }
+        });
+
+        return filters;
+    }
+
+    setFilterControls(filters) {
+        Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+            document.getElementById(id).value = filters[key] || '';
+        });
+
+        const categories = (filters.categories || '').split(',');
+        [...document.getElementById('categoryFilter').options].forEach(option => {
+            option.selected = categories.includes(option.value);
+        });
+    }
+
+    // Filters and page live in the URL so a view can be bookmarked or shared
+    restoreStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const filters = {};
+
+        [...Object.keys(FILTER_CONTROLS), 'categories'].forEach(key => {
+            if (params.get(key)) {
+                filters[key] = params.get(key);
+            }
+        });
+
+        this.currentFilters = filters;
+        this.currentPage = Math.max(parseInt(params.get('page')) || 1, 1);
+        this.setFilterControls(filters);
+
+        if (SORT_DEFAULT_ORDERS[params.get('sort')]) {
+            const order = ['asc', 'desc'].includes(params.get('order')) ? params.get('order') : SORT_DEFAULT_ORDERS[params.get('sort')];
+            this.currentSort = { sort: params.get('sort'), order };
+        }
+
+        if (PAGE_SIZES.includes(parseInt(params.get('pageSize')))) {
+            this.itemsPerPage = parseInt(params.get('pageSize'));
+        }
+        document.getElementById('pageSize').value = this.itemsPerPage;
+
+        // A shared keyset page starts from its cursor; Previous from there returns to the first page
+        this.keysetPaging = params.get('paging') === 'keyset';
+        document.getElementById('keysetPaging').checked = this.keysetPaging;
+        if (this.keysetPaging && params.get('cursor')) {
+            this.cursors[this.currentPage - 1] = params.get('cursor');
+        } else if (this.keysetPaging) {
+            this.currentPage = 1;
+        }
+    }
+
+    updateUrl() {
+        const params = new URLSearchParams(this.currentFilters);
+        if (this.currentSort.sort !== 'date' || this.currentSort.order !== 'desc') {
+            params.set('sort', this.currentSort.sort);
+            params.set('order', this.currentSort.order);
+        }
+        if (this.itemsPerPage !== 50) {
+            params.set('pageSize', this.itemsPerPage);
+        }
+        if (this.keysetPaging) {
+            params.set('paging', 'keyset');
+        }
+        if (this.currentPage > 1) {
+            params.set('page', this.currentPage);
+            if (this.keysetPaging && this.cursors[this.currentPage - 1]) {
+                params.set('cursor', this.cursors[this.currentPage - 1]);
+            }
+        }
+
+        const query = params.toString();
+        window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }
+
+    // Saved Views
+    async loadSavedViews() {
+        try {
+            const response = await fetch('/api/saved-views');
+            if (!response.ok) throw new Error('Failed to load saved views');
+
+            this.savedViews = await response.json();
+            this.renderSavedViews();
+
+        } catch (error) {
+            console.error('Error loading saved views:', error);
+        }
+    }
+
+    renderSavedViews(selectedId = '') {
+        const select = document.getElementById('savedViewSelect');
+        select.innerHTML = '<option value="">Saved views...</option>' +
+            this.savedViews.map(view => `<option value="${view.id}">${this.escapeHtml(view.name)}</option>`).join('');
+        select.value = selectedId;
+        document.getElementById('deleteViewBtn').disabled = !selectedId;
+    }
+
+    applySavedView(id) {
+        const view = this.savedViews.find(v => String(v.id) === id);
+        document.getElementById('deleteViewBtn').disabled = !view;
+        if (!view) return;
+
+        this.setFilterControls(view.filters);
+        this.applyFilters();
+    }
+
+    showSaveViewForm() {
+        const filters = this.readFilterControls();
+        const selected = this.savedViews.find(view => String(view.id) === document.getElementById('savedViewSelect').value);
+
+        if (Object.keys(filters).length === 0) {
+            this.showToast('No filters', 'Set some filters before saving a view', 'warning');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal category-modal show';
+        modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-bookmark"></i> Save View</h3>
+                <button class="modal-close"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="modal-body">
+                <div class="filter-group">
+                    <label for="savedViewName">Name</label>
+                    <input type="text" id="savedViewName" class="form-control" maxlength="100"
+                           placeholder="e.g. Joint account - groceries this year">
+                    <small class="filter-hint">Saving under the name of an existing view replaces its filters</small>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" id="saveViewConfirmBtn">Save</button>
+                <button class="btn btn-outline modal-close">Cancel</button>
+            </div>
+        </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        // Suggest overwriting the view the filters were loaded from
+        const nameInput = document.getElementById('savedViewName');
+        nameInput.value = selected ? selected.name : '';
+        nameInput.focus();
+
+        modal.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => modal.remove());
+        });
+
+        document.getElementById('saveViewConfirmBtn').addEventListener('click', async () => {
+            if (await this.saveView(nameInput.value.trim(), filters)) {
+                modal.remove();
+            }
+        });
+    }
+
+    async saveView(name, filters) {
+        const existing = this.savedViews.find(view => view.name.toLowerCase() === name.toLowerCase());
+
+        try {
+            const response = await fetch(existing ? `/api/saved-views/${existing.id}` : '/api/saved-views', {
+                method: existing ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, filters })
+            });
+            const result = await response.json();
+
+            if (!response.ok) throw new Error(result.error || 'Failed to save view');
+
+            this.showToast('Success', `View "${result.name}" saved`, 'success');
+            await this.loadSavedViews();
+            this.renderSavedViews(String(result.id));
+            return true;
+
+        } catch (error) {
+            console.error('Save view error:', error);
+            this.showToast('Error', error.message, 'error');
+            return false;
+        }
+    }
+
+    async deleteSavedView() {
+        const id = document.getElementById('savedViewSelect').value;
+        const view = this.savedViews.find(v => String(v.id) === id);
+        if (!view || !confirm(`Delete the view "${view.name}"? The current filters stay applied.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/saved-views/${id}`, { method: 'DELETE' });
+            const result = await response.json();
+
+            if (!response.ok) throw new Error(result.error || 'Failed to delete view');
+
+            this.showToast('Success', 'View deleted', 'success');
+            this.loadSavedViews();
+
+        } catch (error) {
+            console.error('Delete view error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    // Pagination
+    changePage(page) {
+        // Without the cursor of an earlier page, e.g. after opening a shared link, start over
+        if (this.keysetPaging && page > 1 && !this.cursors[page - 1]) {
+            page = 1;
+        }
+
+        this.currentPage = page;
+        this.loadTransactions();
+    }
+
+    // Export
+    showExportOptions() {
+        const modal = document.createElement('div');
+        modal.className = 'modal category-modal show';
+        modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-file-export"></i> Export Transactions</h3>
+                <button class="modal-close"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="modal-body">
+                <p class="filter-hint">Exports every transaction matching the current filters, in the current sort order, with categories and splits.</p>
+                <div class="filter-group">
+                    <label for="exportFormat">Format</label>
+                    <select id="exportFormat" class="form-control">
+                        ${EXPORT_FORMATS.map((option, index) => `<option value="${index}">${option.label}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" id="exportConfirmBtn"><i class="fas fa-download"></i> Download</button>
+                <button class="btn btn-outline modal-close">Cancel</button>
+            </div>
+        </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => modal.remove());
+        });
+
+        document.getElementById('exportConfirmBtn').addEventListener('click', () => {
+            const { format, style } = EXPORT_FORMATS[document.getElementById('exportFormat').value];
+            this.exportTransactions(format, style);
+            modal.remove();
+        });
+    }
+
+    exportTransactions(format, style) {
+        const params = new URLSearchParams({
+            format,
+            ...(style ? { style } : {}),
+            ...this.currentSort,
+            ...this.currentFilters
+        });
+
+        // The browser downloads the file as the server streams it
+        const link = document.createElement('a');
+        link.href = `/api/transactions/export?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    reloadFirstPage() {
+        this.currentPage = 1;
+        this.cursors = [];
+        this.loadTransactions();
+    }
+
+    sortBy(column) {
+        const order = this.currentSort.sort === column
+            ? (this.currentSort.order === 'asc' ? 'desc' : 'asc')
+            : SORT_DEFAULT_ORDERS[column];
+
+        this.currentSort = { sort: column, order };
+        this.reloadFirstPage();
+    }
+
+    // Category Settings
+    async showCategories() {
+        const body = document.getElementById('categoriesModalBody');
+        document.getElementById('categoriesModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading categories...
+            </div>
+        `;
+
+        try {
+            await this.loadCategories();
+            this.renderCategories();
+        } catch (error) {
+            console.error('Error loading categories:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load categories</p>';
+        }
+    }
+
+    renderCategories() {
+        const body = document.getElementById('categoriesModalBody');
+        const tree = this.categoryTree();
+
+        body.innerHTML = `
+            <div class="duplicates-toolbar">
+                <span>Nest a category under a parent to group it, for example Fuel under Transport.</span>
+                <button class="btn btn-primary" data-category-action="new">
+                    <i class="fas fa-plus"></i> New category
+                </button>
+            </div>
+            ${tree.length === 0 ? '<p class="history-empty">No categories yet</p>' : `
+            <div class="table-container">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Category</th>
+                            <th>Description</th>
+                            <th>Transactions</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tree.map(({ category, depth }) => `
+                        <tr>
+                            <td style="padding-left: ${1 + depth * 1.5}rem;">${this.categoryTag(category.name)}</td>
+                            <td>${this.escapeHtml(category.description || '')}</td>
+                            <td>${category.transaction_count}</td>
+                            <td style="white-space: nowrap;">
+                                <button class="btn btn-outline" data-category-action="edit" data-id="${category.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Edit category">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn btn-outline" data-category-action="merge" data-id="${category.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Merge into another category">
+                                    <i class="fas fa-compress-alt"></i>
+                                </button>
+                                <button class="btn btn-outline" data-category-action="delete" data-id="${category.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Delete category">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+        `;
+    }
+
+    handleCategoryAction(action, id) {
+        const category = this.categories.find(category => category.id === parseInt(id));
+
+        switch (action) {
+        case 'new':
+            this.showCategoryForm();
+            break;
+        case 'edit':
+            this.showCategoryForm(category);
+            break;
+        case 'save':
+            this.saveCategory(id);
+            break;
+        case 'delete':
+            this.deleteCategory(category);
+            break;
+        case 'merge':
+            this.showMergeForm(category);
+            break;
+        case 'confirm-merge':
+            this.mergeCategory(category);
+            break;
+        case 'back':
+            this.renderCategories();
+            break;
+        }
+    }
+
+    showCategoryForm(category = null) {
+        const body = document.getElementById('categoriesModalBody');
+
+        // A category cannot be nested under itself or one of its subcategories
+        const excluded = category ? this.categoryDescendants(category.id) : new Set();
+
+        body.innerHTML = `
+            <div class="mapping-options">
+                <div class="filter-group">
+                    <label for="categoryName">Name</label>
+                    <input type="text" id="categoryName" class="form-control" value="${this.escapeHtml(category ? category.name : '')}">
+                </div>
+                <div class="filter-group">
+                    <label for="categoryParent">Parent category</label>
+                    <select id="categoryParent" class="form-control">
+                        <option value="">None</option>
+                        ${this.categoryOptions(category ? category.parent_id : null, excluded)}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="categoryColor">Color</label>
+                    <input type="color" id="categoryColor" class="form-control" value="${category && category.color ? category.color : '#607D8B'}">
+                </div>
+                <div class="filter-group">
+                    <label for="categoryIcon">Icon (e.g. fa-car)</label>
+                    <input type="text" id="categoryIcon" class="form-control" value="${this.escapeHtml(category && category.icon ? category.icon : '')}">
+                </div>
+            </div>
+            <div class="filter-group">
+                <label for="categoryDescription">Description</label>
+                <input type="text" id="categoryDescription" class="form-control" value="${this.escapeHtml(category && category.description ? category.description : '')}">
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" data-category-action="save" data-id="${category ? category.id : ''}">Save category</button>
+                <button class="btn btn-outline" data-category-action="back">Cancel</button>
+            </div>
+        `;
+    }
+
+    async saveCategory(id) {
+        const category = {
+            name: document.getElementById('categoryName').value,
+            parentId: document.getElementById('categoryParent').value || null,
+            color: document.getElementById('categoryColor').value,
+            icon: document.getElementById('categoryIcon').value.trim(),
+            description: document.getElementById('categoryDescription').value.trim()
+        };
+
+        try {
+            const response = await fetch(id ? `/api/categories/${id}` : '/api/categories', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(category)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save category');
+            }
+
+            this.showToast('Success', 'Category saved successfully', 'success');
+            await this.showCategories();
+            this.loadTransactions(); // Refresh category colors
+
+        } catch (error) {
+            console.error('Save category error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async deleteCategory(category) {
+        if (!confirm(`Delete ${category.name}? It is removed from ${category.transaction_count} transactions together with its rules, and its subcategories move to the top level.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/categories/${category.id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete category');
+
+            this.showToast('Success', 'Category deleted successfully', 'success');
+            await this.showCategories();
+            this.loadTransactions(); // Refresh categories
+
+        } catch (error) {
+            console.error('Delete category error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    showMergeForm(category) {
+        const body = document.getElementById('categoriesModalBody');
+
+        body.innerHTML = `
+            <p class="mapping-intro">
+                Merge ${this.categoryTag(category.name)} into another category. Its ${category.transaction_count} transactions,
+                rules and subcategories move to the category you pick, then ${this.escapeHtml(category.name)} is deleted.
+            </p>
+            <div class="filter-group">
+                <label for="mergeTarget">Merge into</label>
+                <select id="mergeTarget" class="form-control">
+                    ${this.categoryOptions(null, new Set([category.id]))}
+                </select>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" data-category-action="confirm-merge" data-id="${category.id}">Merge</button>
+                <button class="btn btn-outline" data-category-action="back">Cancel</button>
+            </div>
+        `;
+    }
+
+    async mergeCategory(category) {
+        const targetId = parseInt(document.getElementById('mergeTarget').value);
+
+        try {
+            const response = await fetch(`/api/categories/${category.id}/merge`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targetId })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to merge categories');
+            }
+
+            this.showToast('Categories merged', `${category.name} merged, ${result.movedAssignments} transactions and ${result.movedBudgets} budgets moved`, 'success');
+            await this.showCategories();
+            this.loadTransactions(); // Refresh categories
+
+        } catch (error) {
+            console.error('Merge categories error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    categoryTree() {
+        const categories = Array.isArray(this.categories) ? this.categories : [];
+        const ids = new Set(categories.map(category => category.id));
+        const tree = [];
+
+        // Categories arrive sorted by name, so every level stays alphabetical
+        const addLevel = (parentId, depth) => {
+            categories
+                .filter(category => parentId === null
+                    ? category.parent_id === null || !ids.has(category.parent_id)
+                    : category.parent_id === parentId)
+                .forEach(category => {
+                    tree.push({ category, depth });
+                    addLevel(category.id, depth + 1);
+                });
+        };
+        addLevel(null, 0);
+
+        return tree;
+    }
+
+    categoryDescendants(id) {
+        const descendants = new Set([id]);
+        let found = true;
+
+        while (found) {
+            found = false;
+            this.categories.forEach(category => {
+                if (descendants.has(category.parent_id) && !descendants.has(category.id)) {
+                    descendants.add(category.id);
+                    found = true;
+                }
+            });
+        }
+
+        return descendants;
+    }
+
+    categoryPath(category) {
+        const byId = new Map(this.categories.map(c => [c.id, c]));
+        const names = [category.name];
+        let parent = byId.get(category.parent_id);
+
+        while (parent && names.length < this.categories.length) {
+            names.unshift(parent.name);
+            parent = byId.get(parent.parent_id);
+        }
+
+        return names.join(' > ');
+    }
+
+    categoryOptions(selectedId = null, excluded = new Set()) {
+        return this.categoryTree()
+            .filter(({ category }) => !excluded.has(category.id))
+            .map(({ category }) => `
+                <option value="${category.id}" ${category.id === selectedId ? 'selected' : ''}>${this.escapeHtml(this.categoryPath(category))}</option>
+            `).join('');
+    }
+
+    categoryTag(name, extra = '') {
+        const category = (this.categories || []).find(c => c.name === name);
+        const color = category && /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : null;
+        const icon = category && /^fa-[a-z0-9-]+$/.test(category.icon) ? `<i class="fas ${category.icon}"></i> ` : '';
+        const style = color ? ` style="background: ${color}; color: ${this.tagTextColor(color)};"` : '';
+
+        return `<span class="category-tag"${style}>${icon}${this.escapeHtml(name)}${extra}</span>`;
+    }
+
+    tagTextColor(color) {
+        // Dark text on light backgrounds, white on dark ones
+        const [red, green, blue] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+        return (red * 299 + green * 587 + blue * 114) / 1000 > 150 ? '#333' : '#fff';
+    }
+
+    // Recurring Payments
+    async showRecurringPayments() {
+        const body = document.getElementById('recurringModalBody');
+        document.getElementById('recurringModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Detecting recurring payments...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/recurring');
+            if (!response.ok) throw new Error('Failed to load recurring payments');
+
+            this.renderRecurringPayments(await response.json());
+        } catch (error) {
+            console.error('Error loading recurring payments:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load recurring payments</p>';
+        }
+    }
+
+    renderRecurringPayments(payments) {
+        const body = document.getElementById('recurringModalBody');
+        const kinds = { direct_debit: 'Direct debit', standing_order: 'Standing order', other: 'Recurring' };
+
+        if (payments.length === 0) {
+            body.innerHTML = '<p class="history-empty">No recurring payments found</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="table-container">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Counterpart</th>
+                            <th>Type</th>
+                            <th>Last payment</th>
+                            <th>Next expected</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${payments.map(payment => `
+                        <tr>
+                            <td>
+                                <div style="font-weight: 500;">${this.escapeHtml(payment.counterpartName || 'N/A')}</div>
+                                ${payment.counterpartAccount ? `<div class="budget-scope">${this.escapeHtml(payment.counterpartAccount)}</div>` : ''}
+                            </td>
+                            <td>
+                                ${kinds[payment.kind]}
+                                <div class="budget-scope">${payment.frequency}, ${payment.occurrences} times</div>
+                            </td>
+                            <td>
+                                ${this.formatDate(payment.lastDate)}
+                                <div class="amount ${payment.lastAmount >= 0 ? 'positive' : 'negative'}">${this.formatAmount(payment.lastAmount, payment.currency)}</div>
+                            </td>
+                            <td>
+                                ${this.formatDate(payment.nextDate)}
+                                <div class="amount ${payment.expectedAmount >= 0 ? 'positive' : 'negative'}">${this.formatAmount(payment.expectedAmount, payment.currency)}</div>
+                            </td>
+                            <td>
+                                ${payment.missed ? '<span class="status-badge missed">Missed</span>' : ''}
+                                ${payment.amountChanged ? `<span class="status-badge changed">Amount changed</span>
+                                <div class="budget-scope">was ${this.formatAmount(payment.previousAmount, payment.currency)}</div>` : ''}
+                                ${!payment.missed && !payment.amountChanged ? '<span class="status-badge scheduled">On schedule</span>' : ''}
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Charts
+    async loadCharts() {
+        const params = new URLSearchParams(this.currentFilters);
+
+        try {
+            const [monthly, counterparties, balance] = await Promise.all(['monthly', 'counterparties', 'balance'].map(async (chart) => {
+                const response = await fetch(`/api/charts/${chart}?${params}`);
+                if (!response.ok) throw new Error(`Failed to load ${chart} chart`);
+                return response.json();
+            }));
+
+            this.renderMonthlyChart(monthly);
+            this.renderCounterpartyChart(counterparties);
+            this.renderBalanceChart(balance);
+
+        } catch (error) {
+            console.error('Error loading charts:', error);
+        }
+    }
+
+    renderChart(canvasId, config) {
+        // Chart.js is served from node_modules; without it the dashboard still works
+        if (typeof Chart === 'undefined') return;
+
+        this.charts = this.charts || {};
+        if (this.charts[canvasId]) {
+            this.charts[canvasId].destroy();
+        }
+
+        this.charts[canvasId] = new Chart(document.getElementById(canvasId), {
+            ...config,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                ...config.options
+            }
+        });
+    }
+
+    renderMonthlyChart(months) {
+        this.renderChart('monthlyChart', {
+            type: 'bar',
+            data: {
+                labels: months.map(month => month.month),
+                datasets: [
+                    { label: 'Income', data: months.map(month => parseFloat(month.income)), backgroundColor: '#16a34a' },
+                    { label: 'Expenses', data: months.map(month => parseFloat(month.expenses)), backgroundColor: '#dc2626' }
+                ]
+            },
+            options: {
+                // Clicking a month narrows the filters to it
+                onClick: (event, elements) => {
+                    if (elements.length > 0) {
+                        this.filterMonth(months[elements[0].index].month);
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: { label: (item) => `${item.dataset.label}: ${this.formatAmount(item.raw)}` }
+                    }
+                }
+            }
+        });
+    }
+
+    renderCategoryChart(categories) {
+        const spent = categories.filter(category => parseFloat(category.total_expenses) > 0);
+
+        this.renderChart('categoryChart', {
+            type: 'doughnut',
+            data: {
+                labels: spent.map(category => category.name),
+                datasets: [{
+                    data: spent.map(category => parseFloat(category.total_expenses)),
+                    backgroundColor: spent.map(category => (/^#[0-9a-f]{6}$/i.test(category.color) ? category.color : '#607D8B'))
+                }]
+            },
+            options: {
+                plugins: {
+                    legend: { position: 'right' },
+                    tooltip: {
+                        callbacks: { label: (item) => `${item.label}: ${this.formatAmount(item.raw)}` }
+                    }
+                }
+            }
+        });
+    }
+
+    renderCounterpartyChart(counterparties) {
+        this.renderChart('counterpartyChart', {
+            type: 'bar',
+            data: {
+                labels: counterparties.map(counterparty => this.truncateText(counterparty.counterparty, 25)),
+                datasets: [{
+                    label: 'Spent',
+                    data: counterparties.map(counterparty => parseFloat(counterparty.total)),
+                    backgroundColor: '#2563eb'
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${this.formatAmount(item.raw)} in ${counterparties[item.dataIndex].transaction_count} transactions`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    renderBalanceChart(days) {
+        this.renderChart('balanceChart', {
+            type: 'line',
+            data: {
+                labels: days.map(day => this.formatDate(day.date)),
+                datasets: [{
+                    label: 'Balance',
+                    data: days.map(day => day.balance),
+                    borderColor: '#2563eb',
+                    pointRadius: 0,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: { label: (item) => this.formatAmount(item.raw) }
+                    }
+                }
+            }
+        });
+    }
+
+    filterMonth(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const lastDay = new Date(year, monthNumber, 0).getDate();
+
+        document.getElementById('startDate').value = `${month}-01`;
+        document.getElementById('endDate').value = `${month}-${String(lastDay).padStart(2, '0')}`;
+        this.applyFilters();
+    }
+
+    // Cash-flow Forecast
+    async loadForecast() {
+        const days = document.getElementById('forecastDays').value;
+
+        try {
+            const response = await fetch(`/api/forecast?days=${days}`);
+            if (!response.ok) throw new Error('Failed to load forecast');
+
+            const forecast = await response.json();
+            this.renderForecast(forecast);
+            this.notifyNegativeForecast(forecast);
+
+        } catch (error) {
+            console.error('Error loading forecast:', error);
+        }
+    }
+
+    renderForecast(forecast) {
+        const container = document.getElementById('forecastOverview');
+
+        if (forecast.accounts.length === 0) {
+            container.innerHTML = '<p class="history-empty">No accounts to forecast</p>';
+            return;
+        }
+
+        container.innerHTML = forecast.accounts.map(account => `
+            <div class="forecast-account">
+                <div class="forecast-summary">
+                    <strong>${this.escapeHtml(account.accountNumber)}</strong>
+                    <span>Now ${this.formatAmount(account.currentBalance)}</span>
+                    <span>In ${forecast.days} days ${this.formatAmount(account.endBalance)}</span>
+                    <span>Lowest ${this.formatAmount(account.lowestBalance)} on ${this.formatDate(account.lowestDate)}</span>
+                </div>
+                ${account.negativeOn ? `
+                <div class="forecast-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Projected to go below zero on ${this.formatDate(account.negativeOn)}
+                </div>` : ''}
+                ${this.renderForecastLine(account.projection)}
+                <div class="forecast-axis">
+                    <span>${this.formatDate(account.projection[0].date)}</span>
+                    <span>${account.recurring.length} recurring items, ${this.formatAmount(account.dailyVariable)} per day otherwise</span>
+                    <span>${this.formatDate(account.projection[account.projection.length - 1].date)}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderForecastLine(projection) {
+        const width = 600;
+        const height = 120;
+        const balances = projection.map(point => point.balance);
+        const min = Math.min(...balances);
+        const max = Math.max(...balances);
+        const range = max - min || 1;
+
+        const x = (index) => (index * width / Math.max(1, projection.length - 1)).toFixed(1);
+        const y = (balance) => (4 + (max - balance) * (height - 8) / range).toFixed(1);
+        const points = projection.map((point, index) => `${x(index)},${y(point.balance)}`).join(' ');
+
+        return `
+            <svg class="forecast-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                ${min < 0 && max > 0 ? `<line class="forecast-zero" x1="0" x2="${width}" y1="${y(0)}" y2="${y(0)}"></line>` : ''}
+                <polyline class="forecast-line ${min < 0 ? 'negative' : ''}" points="${points}"></polyline>
+            </svg>
+        `;
+    }
+
+    notifyNegativeForecast(forecast) {
+        // Warn once per account and horizon, not on every refresh
+        this.notifiedForecasts = this.notifiedForecasts || new Set();
+
+        forecast.accounts.filter(account => account.negativeOn).forEach(account => {
+            const key = `${account.accountNumber}:${forecast.days}`;
+            if (this.notifiedForecasts.has(key)) return;
+
+            this.notifiedForecasts.add(key);
+            this.showToast(
+                'Negative balance ahead',
+                `${account.accountNumber} is projected to go below zero on ${this.formatDate(account.negativeOn)}`,
+                'warning'
+            );
+        });
+    }
+
+    // Budgets
+    async loadBudgetReport() {
+        try {
+            const response = await fetch('/api/budgets/report');
+            if (!response.ok) throw new Error('Failed to load budgets');
+
+            const report = await response.json();
+            this.renderBudgetOverview(report);
+            this.notifyOverspending(report);
+
+        } catch (error) {
+            console.error('Error loading budgets:', error);
+        }
+    }
+
+    renderBudgetOverview(report) {
+        const container = document.getElementById('budgetOverview');
+
+        if (report.length === 0) {
+            container.innerHTML = '<p class="history-empty">No budgets yet</p>';
+            return;
+        }
+
+        container.innerHTML = report.map(budget => `
+            <div class="budget-row ${budget.overspent ? 'overspent' : ''}">
+                <div class="budget-label">
+                    ${this.categoryTag(budget.categoryName)}
+                    <span class="budget-scope">${budget.period === 'yearly' ? 'This year' : 'This month'}${budget.accountNumber ? `, ${this.escapeHtml(budget.accountNumber)}` : ''}</span>
+                </div>
+                <div class="budget-bar">
+                    <div style="width: ${Math.min(budget.percentUsed, 100)}%;"></div>
+                </div>
+                <span class="budget-amounts">
+                    ${this.formatAmount(budget.spent)} of ${this.formatAmount(budget.available)}
+                    ${budget.carriedOver > 0 ? `<span class="budget-scope">(${this.formatAmount(budget.carriedOver)} rolled over)</span>` : ''}
+                </span>
+            </div>
+        `).join('');
+    }
+
+    notifyOverspending(report) {
+        // Warn once per budget and period, not on every refresh
+        this.notifiedBudgets = this.notifiedBudgets || new Set();
+
+        report.filter(budget => budget.overspent).forEach(budget => {
+            const key = `${budget.id}:${budget.periodStart}`;
+            if (this.notifiedBudgets.has(key)) return;
+
+            this.notifiedBudgets.add(key);
+            this.showToast(
+                'Budget exceeded',
+                `${budget.categoryName} is ${this.formatAmount(-budget.remaining)} over its ${budget.period} budget`,
+                'warning'
+            );
+        });
+    }
+
+    async showBudgets() {
+        const body = document.getElementById('budgetsModalBody');
+        document.getElementById('budgetsModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading budgets...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/budgets');
+            if (!response.ok) throw new Error('Failed to load budgets');
+
+            this.budgets = await response.json();
+            await this.loadCategories();
+            this.renderBudgets();
+        } catch (error) {
+            console.error('Error loading budgets:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load budgets</p>';
+        }
+    }
+
+    renderBudgets() {
+        const body = document.getElementById('budgetsModalBody');
+
+        body.innerHTML = `
+            <div class="duplicates-toolbar">
+                <span>Budgets limit the net spending of a category and its subcategories per month or year.</span>
+                <button class="btn btn-primary" data-budget-action="new">
+                    <i class="fas fa-plus"></i> New budget
+                </button>
+            </div>
+            ${this.budgets.length === 0 ? '<p class="history-empty">No budgets yet</p>' : `
+            <div class="table-container">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Category</th>
+                            <th>Account</th>
+                            <th>Period</th>
+                            <th>Amount</th>
+                            <th>Rollover</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.budgets.map(budget => `
+                        <tr>
+                            <td>${this.categoryTag(budget.categoryName)}</td>
+                            <td>${budget.accountNumber ? this.escapeHtml(budget.accountNumber) : 'All accounts'}</td>
+                            <td>${budget.period === 'yearly' ? 'Yearly' : 'Monthly'}</td>
+                            <td>${this.formatAmount(budget.amount)}</td>
+                            <td>${budget.rollover ? 'Yes' : 'No'}</td>
+                            <td style="white-space: nowrap;">
+                                <button class="btn btn-outline" data-budget-action="edit" data-id="${budget.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Edit budget">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn btn-outline" data-budget-action="delete" data-id="${budget.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Delete budget">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+        `;
+    }
+
+    handleBudgetAction(action, id) {
+        switch (action) {
+        case 'new':
+            this.showBudgetForm();
+            break;
+        case 'edit':
+            this.showBudgetForm(this.budgets.find(budget => budget.id === parseInt(id)));
+            break;
+        case 'save':
+            this.saveBudget(id);
+            break;
+        case 'delete':
+            this.deleteBudget(id);
+            break;
+        case 'back':
+            this.renderBudgets();
+            break;
+        }
+    }
+
+    showBudgetForm(budget = null) {
+        const body = document.getElementById('budgetsModalBody');
+        const accounts = Array.isArray(this.accounts) ? this.accounts : [];
+
+        body.innerHTML = `
+            <div class="mapping-options">
+                <div class="filter-group">
+                    <label for="budgetCategory">Category</label>
+                    <select id="budgetCategory" class="form-control">
+                        ${this.categoryOptions(budget ? budget.categoryId : null)}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="budgetAccount">Account</label>
+                    <select id="budgetAccount" class="form-control">
+                        <option value="">All accounts</option>
+                        ${accounts.map(account => `
+                        <option value="${this.escapeHtml(account.account_number)}" ${budget && budget.accountNumber === account.account_number ? 'selected' : ''}>${this.escapeHtml(account.account_number)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="budgetPeriod">Period</label>
+                    <select id="budgetPeriod" class="form-control">
+                        <option value="monthly">Monthly</option>
+                        <option value="yearly" ${budget && budget.period === 'yearly' ? 'selected' : ''}>Yearly</option>
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="budgetAmount">Amount</label>
+                    <input type="number" id="budgetAmount" class="form-control" min="0" step="0.01" value="${budget ? budget.amount : ''}">
+                </div>
+                <div class="filter-group">
+                    <label for="budgetRollover">Roll unused budget over</label>
+                    <input type="checkbox" id="budgetRollover" ${budget && budget.rollover ? 'checked' : ''}>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" data-budget-action="save" data-id="${budget ? budget.id : ''}">Save budget</button>
+                <button class="btn btn-outline" data-budget-action="back">Cancel</button>
+            </div>
+        `;
+    }
+
+    async saveBudget(id) {
+        const budget = {
+            categoryId: parseInt(document.getElementById('budgetCategory').value),
+            accountNumber: document.getElementById('budgetAccount').value || null,
+            period: document.getElementById('budgetPeriod').value,
+            amount: document.getElementById('budgetAmount').value,
+            rollover: document.getElementById('budgetRollover').checked
+        };
+
+        try {
+            const response = await fetch(id ? `/api/budgets/${id}` : '/api/budgets', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(budget)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save budget');
+            }
+
+            this.showToast('Success', 'Budget saved successfully', 'success');
+            this.showBudgets();
+            this.loadBudgetReport();
+
+        } catch (error) {
+            console.error('Save budget error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async deleteBudget(id) {
+        if (!confirm('Delete this budget?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/budgets/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete budget');
+
+            this.showToast('Success', 'Budget deleted successfully', 'success');
+            this.showBudgets();
+            this.loadBudgetReport();
+
+        } catch (error) {
+            console.error('Delete budget error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    // Categorization Rules
+    async showRules() {
+        const body = document.getElementById('rulesModalBody');
+        document.getElementById('rulesModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading rules...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/category-rules');
+            if (!response.ok) throw new Error('Failed to load rules');
+
+            this.rules = await response.json();
+            await this.loadCategories();
+            this.renderRules();
+        } catch (error) {
+            console.error('Error loading rules:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load rules</p>';
+        }
+    }
+
+    renderRules() {
+        const body = document.getElementById('rulesModalBody');
+
+        body.innerHTML = `
+            <div class="duplicates-toolbar">
+                <span>Rules are tried from the highest priority down; the first match sets the category.
+                    Categories you assign by hand are never changed.</span>
+                <div class="card-actions">
+                    <button class="btn btn-outline" data-rule-action="preview">
+                        <i class="fas fa-sync"></i> Re-run rules
+                    </button>
+                    <button class="btn btn-primary" data-rule-action="new">
+                        <i class="fas fa-plus"></i> New rule
+                    </button>
+                </div>
+            </div>
+            ${this.rules.length === 0 ? '<p class="history-empty">No rules yet</p>' : `
+            <div class="table-container">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Priority</th>
+                            <th>Name</th>
+                            <th>Conditions</th>
+                            <th>Category</th>
+                            <th>Active</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.rules.map(rule => `
+                        <tr>
+                            <td>${rule.priority}</td>
+                            <td>${this.escapeHtml(rule.name)}</td>
+                            <td>${rule.conditions.map(condition => this.describeCondition(condition)).join('<br>and ')}</td>
+                            <td>${this.categoryTag(rule.categoryName)}</td>
+                            <td>${rule.isActive ? 'Yes' : 'No'}</td>
+                            <td style="white-space: nowrap;">
+                                <button class="btn btn-outline" data-rule-action="edit" data-id="${rule.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Edit rule">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn btn-outline" data-rule-action="delete" data-id="${rule.id}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Delete rule">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+        `;
+    }
+
+    describeCondition(condition) {
+        const operators = condition.field === 'amount' ? RULE_NUMBER_OPERATORS : RULE_TEXT_OPERATORS;
+        return `${RULE_FIELDS[condition.field]} ${operators[condition.operator]} <strong>"${this.escapeHtml(condition.value)}"</strong>`;
+    }
+
+    handleRuleAction(action, button) {
+        const id = button.dataset.id;
+
+        switch (action) {
+        case 'new':
+            this.showRuleForm();
+            break;
+        case 'edit':
+            this.showRuleForm(this.rules.find(rule => rule.id === parseInt(id)));
+            break;
+        case 'delete':
+            this.deleteRule(id);
+            break;
+        case 'add-condition':
+            document.getElementById('ruleConditions').insertAdjacentHTML('beforeend', this.renderRuleCondition());
+            break;
+        case 'remove-condition':
+            button.closest('.rule-condition').remove();
+            break;
+        case 'save':
+            this.saveRule(id);
+            break;
+        case 'preview':
+            this.previewRules();
+            break;
+        case 'apply':
+            this.applyRules();
+            break;
+        case 'back':
+            this.renderRules();
+            break;
+        }
+    }
+
+    showRuleForm(rule = null) {
+        const body = document.getElementById('rulesModalBody');
+        const conditions = rule ? rule.conditions : [{ field: 'counterpart_name', operator: 'contains', value: '' }];
+
+        body.innerHTML = `
+            <div class="mapping-options">
+                <div class="filter-group">
+                    <label for="ruleName">Name</label>
+                    <input type="text" id="ruleName" class="form-control" value="${this.escapeHtml(rule ? rule.name : '')}">
+                </div>
+                <div class="filter-group">
+                    <label for="ruleCategory">Category</label>
+                    <select id="ruleCategory" class="form-control">
+                        ${this.categoryOptions(rule ? rule.categoryId : null)}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="rulePriority">Priority</label>
+                    <input type="number" id="rulePriority" class="form-control" value="${rule ? rule.priority : 0}">
+                </div>
+                <div class="filter-group">
+                    <label for="ruleActive">Active</label>
+                    <input type="checkbox" id="ruleActive" ${!rule || rule.isActive ? 'checked' : ''}>
+                </div>
+            </div>
+            <p class="mapping-intro">All conditions must match:</p>
+            <div id="ruleConditions">
+                ${conditions.map(condition => this.renderRuleCondition(condition)).join('')}
+            </div>
+            <button class="btn btn-outline" data-rule-action="add-condition" style="margin-top: 0.5rem;">
+                <i class="fas fa-plus"></i> Add condition
+            </button>
+            <div class="modal-footer">
+                <button class="btn btn-primary" data-rule-action="save" data-id="${rule ? rule.id : ''}">Save rule</button>
+                <button class="btn btn-outline" data-rule-action="back">Cancel</button>
+            </div>
+        `;
+    }
+
+    renderRuleCondition(condition = { field: 'description', operator: 'contains', value: '' }) {
+        const operators = condition.field === 'amount' ? RULE_NUMBER_OPERATORS : RULE_TEXT_OPERATORS;
+
+        return `
+            <div class="rule-condition">
+                <select class="form-control rule-field">
+                    ${Object.entries(RULE_FIELDS).map(([field, label]) => `
+                    <option value="${field}" ${condition.field === field ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <select class="form-control rule-operator">
+                    ${Object.entries(operators).map(([operator, label]) => `
+                    <option value="${operator}" ${condition.operator === operator ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="form-control rule-value" value="${this.escapeHtml(condition.value)}">
+                <button class="btn btn-outline" data-rule-action="remove-condition" title="Remove condition">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    updateRuleOperators(row) {
+        const field = row.querySelector('.rule-field').value;
+        const operators = field === 'amount' ? RULE_NUMBER_OPERATORS : RULE_TEXT_OPERATORS;
+
+        row.querySelector('.rule-operator').innerHTML = Object.entries(operators)
+            .map(([operator, label]) => `<option value="${operator}">${label}</option>`)
+            .join('');
+    }
+
+    async saveRule(id) {
+        const rule = {
+            name: document.getElementById('ruleName').value,
+            categoryId: parseInt(document.getElementById('ruleCategory').value),
+            priority: parseInt(document.getElementById('rulePriority').value) || 0,
+            isActive: document.getElementById('ruleActive').checked,
+            conditions: [...document.querySelectorAll('#ruleConditions .rule-condition')].map(row => ({
+                field: row.querySelector('.rule-field').value,
+                operator: row.querySelector('.rule-operator').value,
+                value: row.querySelector('.rule-value').value
+            }))
+        };
+
+        try {
+            const response = await fetch(id ? `/api/category-rules/${id}` : '/api/category-rules', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(rule)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save rule');
+            }
+
+            this.showToast('Rule saved', 'Re-run the rules to apply it to existing transactions', 'success');
+            this.showRules();
+
+        } catch (error) {
+            console.error('Save rule error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async deleteRule(id) {
+        if (!confirm('Delete this rule? Categories it assigned are removed on the next re-run.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/category-rules/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete rule');
+
+            this.showToast('Success', 'Rule deleted successfully', 'success');
+            this.showRules();
+
+        } catch (error) {
+            console.error('Delete rule error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async previewRules() {
+        const body = document.getElementById('rulesModalBody');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Checking transactions...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/category-rules/preview');
+            if (!response.ok) throw new Error('Failed to preview rules');
+
+            const preview = await response.json();
+            const { summary } = preview;
+
+            body.innerHTML = `
+                <div class="duplicates-toolbar">
+                    <span>
+                        ${summary.total} transaction${summary.total !== 1 ? 's' : ''} would change:
+                        ${summary.add} categorized, ${summary.change} re-categorized, ${summary.remove} uncategorized
+                    </span>
+                    <div class="card-actions">
+                        <button class="btn btn-outline" data-rule-action="back">Back</button>
+                        <button class="btn btn-primary" data-rule-action="apply" ${summary.total === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-check"></i> Apply changes
+                        </button>
+                    </div>
+                </div>
+                ${preview.changes.length > 0 ? `
+                <div class="table-container">
+                    <table class="transactions-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Counterpart</th>
+                                <th>Amount</th>
+                                <th>Current</th>
+                                <th>New</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${preview.changes.map(change => `
+                            <tr>
+                                <td>${this.formatDate(change.transaction.booking_date)}</td>
+                                <td>
+                                    <div style="font-weight: 500;">${this.escapeHtml(change.transaction.counterpart_name || 'N/A')}</div>
+                                    <div style="font-size: 0.75rem; color: var(--text-muted);">${this.escapeHtml(this.truncateText(change.transaction.description || '', 50))}</div>
+                                </td>
+                                <td>
+                                    <span class="amount ${change.transaction.amount >= 0 ? 'positive' : 'negative'}">
+                                        ${this.formatAmount(change.transaction.amount, change.transaction.currency)}
+                                    </span>
+                                </td>
+                                <td>${change.fromCategory ? this.categoryTag(change.fromCategory) : '-'}</td>
+                                <td>${change.toCategory ? this.categoryTag(change.toCategory) : '-'}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${summary.total > preview.changes.length ? `<p class="mapping-intro" style="margin-top: 0.5rem;">Showing the first ${preview.changes.length} of ${summary.total} changes</p>` : ''}
+                ` : ''}
+            `;
+
+        } catch (error) {
+            console.error('Preview rules error:', error);
+            this.showToast('Error', error.message, 'error');
+            this.renderRules();
+        }
+    }
+
+    async applyRules() {
+        try {
+            const response = await fetch('/api/category-rules/apply', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to apply rules');
+            }
+
+            this.showToast('Rules applied', `${result.changed} transactions updated`, 'success');
+            this.renderRules();
+            this.loadTransactions(); // Refresh categories
+
+        } catch (error) {
+            console.error('Apply rules error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    // Duplicate Review
+    async showDuplicateReview() {
+        const body = document.getElementById('duplicatesModalBody');
+        document.getElementById('duplicatesModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading suspected duplicates...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/duplicates');
+            if (!response.ok) throw new Error('Failed to load suspected duplicates');
+
+            this.renderDuplicateReview(await response.json());
+        } catch (error) {
+            console.error('Error loading suspected duplicates:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load suspected duplicates</p>';
+        }
+    }
+
+    renderDuplicateReview(candidates) {
+        const body = document.getElementById('duplicatesModalBody');
+        const fields = [
+            ['File', t => this.escapeHtml(t.filename || 'N/A')],
+            ['Booking date', t => this.formatDate(t.booking_date)],
+            ['Value date', t => this.formatDate(t.value_date)],
+            ['Amount', t => `<span class="amount ${t.amount >= 0 ? 'positive' : 'negative'}">${this.formatAmount(t.amount, t.currency)}</span>`],
+            ['Counterpart', t => this.escapeHtml(t.counterpart_name || t.counterpart_account || 'N/A')],
+            ['Description', t => this.escapeHtml(t.description || 'N/A')],
+            ['Transaction no.', t => this.escapeHtml(t.transaction_number || 'N/A')],
+            ['Reference', t => this.escapeHtml(t.reference_number || 'N/A')]
+        ];
+
+        body.innerHTML = `
+            <div class="duplicates-toolbar">
+                <span>${candidates.length} suspected duplicate${candidates.length !== 1 ? 's' : ''} to review</span>
+                <button class="btn btn-outline" id="scanDuplicatesBtn">
+                    <i class="fas fa-search"></i> Scan all transactions
+                </button>
+            </div>
+            ${candidates.length === 0 ? '<p class="history-empty">No suspected duplicates</p>' : ''}
+            ${candidates.map(candidate => `
+            <div class="duplicate-pair">
+                <div class="duplicate-pair-header">
+                    <strong>Match score ${candidate.score}%</strong>
+                    <div class="card-actions">
+                        <button class="btn btn-primary" data-duplicate-action="merge" data-id="${candidate.id}"
+                                style="padding: 0.375rem 0.75rem;" title="Delete the later copy and keep the original">
+                            <i class="fas fa-compress-alt"></i> Merge
+                        </button>
+                        <button class="btn btn-outline" data-duplicate-action="keep" data-id="${candidate.id}"
+                                style="padding: 0.375rem 0.75rem;" title="These are two separate payments">
+                            <i class="fas fa-check"></i> Keep both
+                        </button>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="transactions-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Original</th>
+                                <th>Suspected duplicate</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${fields.map(([label, render]) => `
+                            <tr>
+                                <th>${label}</th>
+                                <td>${render(candidate.duplicateOf)}</td>
+                                <td>${render(candidate.transaction)}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            `).join('')}
+        `;
+    }
+
+    async resolveDuplicate(id, action) {
+        try {
+            const response = await fetch(`/api/duplicates/${id}/${action}`, { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to update suspected duplicate');
+            }
+
+            this.showToast('Success', result.message, 'success');
+            this.showDuplicateReview();
+            if (action === 'merge') {
+                this.loadInitialData(); // Refresh data
+            }
+
+        } catch (error) {
+            console.error('Duplicate review error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    async scanDuplicates() {
+        try {
+            const response = await fetch('/api/duplicates/scan', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to scan for duplicates');
+            }
+
+            this.showToast('Scan complete', `${result.flagged} new suspected duplicates found`, 'info');
+            this.showDuplicateReview();
+
+        } catch (error) {
+            console.error('Duplicate scan error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    // Import History
+    async showImportHistory() {
+        const body = document.getElementById('historyModalBody');
+        document.getElementById('historyModal').classList.add('show');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading history...
+            </div>
+        `;
+
+        try {
+            const response = await fetch('/api/upload/history');
+            if (!response.ok) throw new Error('Failed to load import history');
+
+            this.renderImportHistory(await response.json());
+        } catch (error) {
+            console.error('Error loading import history:', error);
+            body.innerHTML = '<p class="history-empty">Failed to load import history</p>';
+        }
+    }
+
+    renderImportHistory(imports) {
+        const body = document.getElementById('historyModalBody');
+
+        if (imports.length === 0) {
+            body.innerHTML = '<p class="history-empty">No imports yet</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="table-container">
+                <table class="transactions-table history-table">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Date</th>
+                            <th>Status</th>
+                            <th>Total</th>
+                            <th>Imported</th>
+                            <th>Skipped</th>
+                            <th>Errors</th>
+                            <th>Duration</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${imports.map(log => {
+                            const status = this.importDisplayStatus(log);
+                            return `
+                        <tr class="history-row ${status}" data-id="${log.id}" title="Show import details">
+                            <td>
+                                <div style="font-weight: 500;">${this.escapeHtml(log.filename)}</div>
+                                ${log.file_format ? `<div style="font-size: 0.75rem; color: var(--text-muted);">${this.escapeHtml(log.file_format)}</div>` : ''}
+                            </td>
+                            <td>${this.formatDate(log.imported_at)}</td>
+                            <td><span class="status-badge ${status}">${status}</span></td>
+                            <td>${log.total_records || 0}</td>
+                            <td>${log.imported_records || 0}</td>
+                            <td>${log.skipped_records || 0}</td>
+                            <td>${log.error_records || 0}</td>
+                            <td>${this.formatDuration(log.duration_seconds)}</td>
+                            <td>
+                                ${log.import_status === 'completed' ? `
+                                <button class="btn btn-outline undo-import-btn" data-id="${log.id}"
+                                        data-filename="${this.escapeHtml(log.filename)}"
+                                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem;"
+                                        title="Undo import">
+                                    <i class="fas fa-undo"></i> Undo
+                                </button>` : ''}
+                            </td>
+                        </tr>
+                        `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // A completed import that logged row errors only partially succeeded
+    importDisplayStatus(log) {
+        if (log.import_status === 'completed' && (log.error_records > 0 || log.has_errors)) {
+            return 'partial';
+        }
+        return log.import_status;
+    }
+
+    async showImportDetails(id) {
+        const body = document.getElementById('historyModalBody');
+        body.innerHTML = `
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i> Loading import...
+            </div>
+        `;
+
+        try {
+            const response = await fetch(`/api/upload/history/${id}`);
+            if (!response.ok) throw new Error('Failed to load import details');
+
+            this.renderImportDetails(await response.json());
+        } catch (error) {
+            console.error('Error loading import details:', error);
+            this.showToast('Error', error.message, 'error');
+            this.showImportHistory();
+        }
+    }
+
+    renderImportDetails(log) {
+        const body = document.getElementById('historyModalBody');
+        const status = this.importDisplayStatus({ ...log, has_errors: log.errors.length > 0 });
+
+        body.innerHTML = `
+            <button class="btn btn-outline" id="historyBackBtn" style="margin-bottom: 1rem;">
+                <i class="fas fa-arrow-left"></i> Back to history
+            </button>
+            <div class="history-details ${status}">
+                <h4>${this.escapeHtml(log.filename)} <span class="status-badge ${status}">${status}</span></h4>
+                <p class="history-meta">
+                    ${log.file_format ? `${this.escapeHtml(log.file_format)} &middot; ` : ''}
+                    ${this.formatDate(log.imported_at)} &middot;
+                    ${log.total_records || 0} records: ${log.imported_records || 0} imported,
+                    ${log.skipped_records || 0} skipped, ${log.error_records || 0} errors &middot;
+                    ${this.formatDuration(log.duration_seconds)}
+                </p>
+            </div>
+
+            <h4 class="history-section-title">Errors (${log.errors.length})</h4>
+            ${log.errors.length > 0 ? `
+            <ul class="history-errors">
+                ${log.errors.map(error => `
+                <li>${error.row !== null && error.row !== undefined ? `<strong>Row ${error.row}:</strong> ` : ''}${this.escapeHtml(error.error)}</li>
+                `).join('')}
+            </ul>` : '<p class="history-empty">No errors</p>'}
+
+            <h4 class="history-section-title">Transactions from this file (${log.transactions.length})</h4>
+            ${log.transactions.length > 0 ? `
+            <div class="table-container">
+                <table class="transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Counterpart</th>
+                            <th>Description</th>
+                            <th>Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${log.transactions.map(transaction => `
+                        <tr>
+                            <td>${this.formatDate(transaction.booking_date)}</td>
+                            <td>${this.escapeHtml(transaction.counterpart_name || transaction.counterpart_account || 'N/A')}</td>
+                            <td>${this.escapeHtml(this.truncateText(transaction.description || 'N/A', 60))}</td>
+                            <td>
+                                <span class="amount ${transaction.amount >= 0 ? 'positive' : 'negative'}">
+                                    ${this.formatAmount(transaction.amount, transaction.currency)}
+                                </span>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : `<p class="history-empty">${log.import_status === 'reverted' ? 'This import was undone' : 'No transactions were imported from this file'}</p>`}
+        `;
+
+        document.getElementById('historyBackBtn').addEventListener('click', this.showImportHistory.bind(this));
+    }
+
+    async undoImport(id, filename) {
+        if (!confirm(`Undo the import of ${filename}? All transactions from this file and their categories will be deleted.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/upload/history/${id}`, { method: 'DELETE' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to undo import');
+            }
+
+            this.showToast('Import reverted',
+                `Deleted ${result.deletedTransactions} transactions from ${filename}`, 'success');
+            this.showImportHistory();
+            this.loadInitialData(); // Refresh data
+
+        } catch (error) {
+            console.error('Undo import error:', error);
+            this.showToast('Error', error.message, 'error');
+        }
+    }
+
+    // Transaction Actions
+    async deleteTransaction(id) {
+        if (!confirm('Are you sure you want to delete this transaction?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/transactions/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to delete transaction');
+            }
+
+            this.showToast('Success', 'Transaction deleted successfully', 'success');
+            this.loadInitialData(); // Refresh data
+
+        } catch (error) {
+            console.error('Delete error:', error);
+            this.showToast('Error', 'Failed to delete transaction', 'error');
+        }
+    }
+
+    // Utility Methods
+    formatDate(dateString) {
+        if (!dateString) return 'N/A';
+
+        try {
+            const date = new Date(dateString);
+            return date.toLocaleDateString('en-GB', {
+                day: '2-digit',
+                month: '2-digit',
+                year: 'numeric'
+            });
+        } catch {
+            return dateString;
+        }
+    }
+
+    formatAmount(amount, currency = 'EUR') {
+        if (amount === null || amount === undefined) return 'N/A';
+
+        const formatter = new Intl.NumberFormat('nl-BE', {
+            style: 'currency',
+            currency: currency,
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+
+        return formatter.format(amount);
+    }
+
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+
+    truncateText(text, maxLength) {
+        if (!text) return '';
+        return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        // innerHTML leaves quotes as they are, which would end an attribute value
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text and mark the terms of the current search
+     * @param {string} text - Text to render
+     * @returns {string} HTML with matches wrapped in <mark>
+     */
+    highlight(text) {
+        const terms = (this.highlightTerms || []).filter(Boolean);
+        if (!text || terms.length === 0) return this.escapeHtml(text);
+
+        // Longest first so a phrase wins over the words inside it
+        const pattern = new RegExp(`(${terms
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|')})`, 'gi');
+
+        // Splitting on a capturing group puts the matches at the odd indexes
+        return text.split(pattern)
+            .map((part, index) => (index % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+            .join('');
+    }
+
+    // Toast Notifications
+    showToast(title, message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const iconMap = {
+            success: 'fas fa-check-circle',
+            error: 'fas fa-exclamation-circle',
             warning: 'fas fa-exclamation-triangle',
             info: 'fas fa-info-circle'
         };
@@ -534,14 +3512,18 @@ class BankingApp {
         toast.innerHTML = `
             <i class="${iconMap[type]}"></i>
             <div class="toast-content">
-                <div class="toast-title">${title}</div>
-                <div class="toast-message">${message}</div>
+                <div class="toast-title"></div>
+                <div class="toast-message"></div>
             </div>
             <button class="toast-close">
                 <i class="fas fa-times"></i>
             </button>
         `;
 
+        // Messages often repeat names and server errors, so they are set as text, never as markup
+        toast.querySelector('.toast-title').textContent = title;
+        toast.querySelector('.toast-message').textContent = message;
+
         // Add event listener for close button
         toast.querySelector('.toast-close').addEventListener('click', () => {
             this.removeToast(toast);
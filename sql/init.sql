@@ -1,5 +1,5 @@
 -- Banking Transactions Database Schema
--- Designed for Belgian bank statement format (Belfius)
+-- Designed for Belgian bank statement formats (Belfius, KBC, ING, BNP Paribas Fortis, Argenta)
 
 CREATE DATABASE IF NOT EXISTS banking_transactions CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 USE banking_transactions;
@@ -34,6 +34,7 @@ CREATE TABLE IF NOT EXISTS transactions (
     country_code VARCHAR(2),
     description TEXT,
     reference_number VARCHAR(100),
+    end_to_end_id VARCHAR(35), -- SEPA end-to-end reference (CAMT.053, MT940, CODA)
     
     -- Metadata
     file_hash VARCHAR(64), -- To prevent duplicate imports
@@ -46,6 +47,9 @@ CREATE TABLE IF NOT EXISTS transactions (
     INDEX idx_amount (amount),
     INDEX idx_booking_date (booking_date),
     INDEX idx_file_hash (file_hash),
+    INDEX idx_counterpart_name (counterpart_name, id), -- Keyset paging when sorted by counterparty
+    INDEX idx_transaction_type (transaction_type, id), -- Keyset paging when sorted by type
+    FULLTEXT INDEX ft_search (description, counterpart_name, counterpart_account, reference_number),
     
     -- Unique constraint to prevent exact duplicates
     UNIQUE KEY unique_transaction (
@@ -62,11 +66,12 @@ CREATE TABLE IF NOT EXISTS import_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
     filename VARCHAR(255) NOT NULL,
     file_hash VARCHAR(64) NOT NULL UNIQUE,
+    file_format VARCHAR(50), -- Detected bank format (belfius, kbc, ing, ...)
     total_records INT DEFAULT 0,
     imported_records INT DEFAULT 0,
     skipped_records INT DEFAULT 0,
     error_records INT DEFAULT 0,
-    import_status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+    import_status ENUM('pending', 'processing', 'completed', 'failed', 'reverted') DEFAULT 'pending',
     error_message TEXT,
     imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP NULL,
@@ -75,26 +80,171 @@ CREATE TABLE IF NOT EXISTS import_logs (
     INDEX idx_imported_at (imported_at)
 ) ENGINE=InnoDB;
 
--- Table for categorization (future feature)
+-- Upgrade tables created before multi-format support
+-- MySQL has no ADD COLUMN IF NOT EXISTS, so each upgrade step checks information_schema and
+-- runs its statement, or a no-op, as a prepared statement
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'import_logs' AND COLUMN_NAME = 'file_format') = 0,
+    'ALTER TABLE import_logs ADD COLUMN file_format VARCHAR(50) AFTER file_hash', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND COLUMN_NAME = 'end_to_end_id') = 0,
+    'ALTER TABLE transactions ADD COLUMN end_to_end_id VARCHAR(35) AFTER reference_number', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+ALTER TABLE import_logs MODIFY import_status ENUM('pending', 'processing', 'completed', 'failed', 'reverted') DEFAULT 'pending';
+
+-- Upgrade transactions created before full-text search
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND INDEX_NAME = 'ft_search') = 0,
+    'CREATE FULLTEXT INDEX ft_search ON transactions (description, counterpart_name, counterpart_account, reference_number)', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+-- Upgrade transactions created before sorting by counterparty and type
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND INDEX_NAME = 'idx_counterpart_name') = 0,
+    'CREATE INDEX idx_counterpart_name ON transactions (counterpart_name, id)', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND INDEX_NAME = 'idx_transaction_type') = 0,
+    'CREATE INDEX idx_transaction_type ON transactions (transaction_type, id)', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+-- Statement balances from CODA, CAMT.053 and MT940 imports
+CREATE TABLE IF NOT EXISTS account_statements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    account_number VARCHAR(50) NOT NULL,
+    statement_number VARCHAR(20),
+    currency VARCHAR(3) DEFAULT 'EUR',
+    opening_balance DECIMAL(12,2),
+    opening_date DATE,
+    closing_balance DECIMAL(12,2),
+    closing_date DATE,
+    file_hash VARCHAR(64),
+    imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_account_closing (account_number, closing_date),
+    INDEX idx_file_hash (file_hash),
+    UNIQUE KEY unique_statement (account_number, statement_number, closing_date)
+) ENGINE=InnoDB;
+
+-- Saved column mappings for CSV layouts that are not built in
+CREATE TABLE IF NOT EXISTS csv_mapping_profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    header_signature VARCHAR(40) NOT NULL UNIQUE, -- SHA-1 of the normalized header row
+    headers TEXT NOT NULL, -- JSON array of header names
+    field_delimiter VARCHAR(2) NOT NULL DEFAULT ';',
+    date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+    decimal_separator CHAR(1) NOT NULL DEFAULT ',',
+    column_mapping TEXT NOT NULL, -- JSON object of transaction field -> header name(s)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- Categories, optionally nested under a parent category
 CREATE TABLE IF NOT EXISTS categories (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(100) NOT NULL UNIQUE,
     description TEXT,
     color VARCHAR(7), -- Hex color code
     icon VARCHAR(50),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    parent_id INT NULL, -- Parent category, e.g. Transport for Fuel
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE SET NULL
 ) ENGINE=InnoDB;
 
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'categories' AND COLUMN_NAME = 'parent_id') = 0,
+    'ALTER TABLE categories ADD COLUMN parent_id INT NULL AFTER icon', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'categories' AND CONSTRAINT_NAME = 'fk_categories_parent') = 0,
+    'ALTER TABLE categories ADD CONSTRAINT fk_categories_parent
+        FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE SET NULL', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
 -- Junction table for transaction categories
 CREATE TABLE IF NOT EXISTS transaction_categories (
     transaction_id BIGINT,
     category_id INT,
+    rule_id INT NULL, -- Categorization rule that assigned it, NULL when assigned by hand
+    amount DECIMAL(12,2) NULL, -- Portion of a split transaction, NULL when not split
     assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (transaction_id, category_id),
     FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transaction_categories' AND COLUMN_NAME = 'rule_id') = 0,
+    'ALTER TABLE transaction_categories ADD COLUMN rule_id INT NULL AFTER category_id', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+SET @upgrade = IF((SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transaction_categories' AND COLUMN_NAME = 'amount') = 0,
+    'ALTER TABLE transaction_categories ADD COLUMN amount DECIMAL(12,2) NULL AFTER rule_id', 'DO 0');
+PREPARE upgrade FROM @upgrade; EXECUTE upgrade; DEALLOCATE PREPARE upgrade;
+
+-- Rules that categorize transactions automatically
+CREATE TABLE IF NOT EXISTS category_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    category_id INT NOT NULL,
+    priority INT NOT NULL DEFAULT 0, -- Higher priority rules are tried first
+    conditions TEXT NOT NULL, -- JSON array of {field, operator, value}, all must match
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_priority (priority),
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Suspected duplicates across imported files, awaiting review
+CREATE TABLE IF NOT EXISTS duplicate_candidates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id BIGINT NOT NULL, -- The later transaction, removed when merged
+    duplicate_of_id BIGINT NOT NULL, -- The earlier transaction it seems to repeat
+    score TINYINT UNSIGNED NOT NULL, -- Match score from 0 to 100
+    review_status ENUM('pending', 'kept') DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP NULL,
+    
+    UNIQUE KEY unique_pair (transaction_id, duplicate_of_id),
+    INDEX idx_review_status (review_status),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (duplicate_of_id) REFERENCES transactions(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Spending limits per category, optionally for one account
+CREATE TABLE IF NOT EXISTS budgets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    category_id INT NOT NULL, -- Subcategories count toward their parent's budget
+    account_number VARCHAR(50) NULL, -- NULL for all accounts
+    period ENUM('monthly', 'yearly') NOT NULL DEFAULT 'monthly',
+    amount DECIMAL(12,2) NOT NULL, -- Limit on net spending per period
+    rollover BOOLEAN DEFAULT FALSE, -- Carry unused budget over to the next period
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Rollover starts in the period the budget was created
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_category (category_id),
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Named filter combinations for the transaction list
+CREATE TABLE IF NOT EXISTS saved_views (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    filters TEXT NOT NULL, -- JSON object of /api/transactions query parameter -> value
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
 -- Insert some default categories
 INSERT INTO categories (name, description, color) VALUES 
 ('Groceries', 'Food and household items', '#4CAF50'),
@@ -124,4 +274,22 @@ FROM transactions t
 LEFT JOIN transaction_categories tc ON t.id = tc.transaction_id
 LEFT JOIN categories c ON tc.category_id = c.id
 GROUP BY t.id
-ORDER BY t.booking_date DESC;
\ No newline at end of file
+ORDER BY t.booking_date DESC;
+
+-- Amount each category accounts for: the split portion, or an equal share of an
+-- unsplit transaction with several categories, so no amount is counted twice
+CREATE OR REPLACE VIEW category_amounts AS
+SELECT
+    tc.transaction_id,
+    tc.category_id,
+    t.account_number,
+    t.booking_date,
+    t.currency,
+    COALESCE(tc.amount, t.amount / shares.category_count) as amount
+FROM transaction_categories tc
+JOIN transactions t ON t.id = tc.transaction_id
+JOIN (
+    SELECT transaction_id, COUNT(*) as category_count
+    FROM transaction_categories
+    GROUP BY transaction_id
+) shares ON shares.transaction_id = tc.transaction_id;
@@ -7,8 +7,19 @@ require('dotenv').config();
 
 // Import database and routes
 const database = require('./config/database');
+const importService = require('./services/importService');
 const transactionRoutes = require('./routes/transactions');
 const uploadRoutes = require('./routes/upload');
+const mappingProfileRoutes = require('./routes/mappingProfiles');
+const duplicateRoutes = require('./routes/duplicates');
+const categoryRoutes = require('./routes/categories');
+const categoryRuleRoutes = require('./routes/categoryRules');
+const categorySuggestionRoutes = require('./routes/categorySuggestions');
+const budgetRoutes = require('./routes/budgets');
+const recurringRoutes = require('./routes/recurring');
+const forecastRoutes = require('./routes/forecast');
+const chartRoutes = require('./routes/charts');
+const savedViewRoutes = require('./routes/savedViews');
 
 // Initialize Express app
 const app = express();
@@ -27,10 +38,12 @@ app.use(helmet({
 }));
 
 // Rate limiting
+// Only requests that change data count: one filter change alone reloads the list, stats and charts
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    skip: (req) => ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
 });
 app.use(limiter);
 
@@ -47,9 +60,22 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Chart.js is served from node_modules, the CSP only allows scripts from this origin
+app.use('/vendor/chart.js', express.static(path.join(__dirname, '../node_modules/chart.js/dist')));
+
 // API Routes
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/mapping-profiles', mappingProfileRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/category-rules', categoryRuleRoutes);
+app.use('/api/category-suggestions', categorySuggestionRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/charts', chartRoutes);
+app.use('/api/saved-views', savedViewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -99,6 +125,9 @@ async function startServer() {
         // Initialize database connection
         await database.initialize();
         
+        // Imports cut off by a crash or restart were rolled back by the database
+        await importService.recoverInterruptedImports();
+        
         // Start HTTP server
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 Banking Transactions App running on port ${PORT}`);
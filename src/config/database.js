@@ -66,6 +66,39 @@ class Database {
         }
     }
 
+    /**
+     * Run work inside a single database transaction
+     * Commits when the callback resolves, rolls back when it throws
+     * @param {Function} work - async (tx) => result, where tx.query(sql, params) runs on the transaction
+     * @returns {*} Result of the callback
+     */
+    async transaction(work) {
+        const connection = await this.getPool().getConnection();
+        
+        try {
+            await connection.beginTransaction();
+            
+            const result = await work({
+                query: async (sql, params = []) => {
+                    const [results] = await connection.query(sql, params);
+                    return results;
+                }
+            });
+            
+            await connection.commit();
+            return result;
+        } catch (error) {
+            try {
+                await connection.rollback();
+            } catch (rollbackError) {
+                console.error('Database rollback error:', rollbackError.message);
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
     async close() {
         if (this.pool) {
             await this.pool.end();
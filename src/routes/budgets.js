@@ -0,0 +1,127 @@
+const express = require('express');
+const database = require('../config/database');
+const budgets = require('../services/budgets');
+
+const router = express.Router();
+
+/**
+ * Convert a budgets row for the API
+ * @param {Object} budget - Database row joined with the category name
+ * @returns {Object} Budget
+ */
+function toBudget(budget) {
+    return {
+        id: budget.id,
+        categoryId: budget.category_id,
+        categoryName: budget.category_name,
+        accountNumber: budget.account_number,
+        period: budget.period,
+        amount: parseFloat(budget.amount),
+        rollover: Boolean(budget.rollover)
+    };
+}
+
+// GET /api/budgets - List budgets
+router.get('/', async (req, res) => {
+    try {
+        const rows = await database.query(
+            `SELECT b.*, c.name as category_name
+            FROM budgets b
+            JOIN categories c ON c.id = b.category_id
+            ORDER BY c.name, b.account_number`
+        );
+
+        res.json(rows.map(toBudget));
+    } catch (error) {
+        console.error('Error fetching budgets:', error);
+        res.status(500).json({ error: 'Failed to fetch budgets' });
+    }
+});
+
+// GET /api/budgets/report?date=YYYY-MM-DD - Budget vs actual for the periods containing date (default today)
+router.get('/report', async (req, res) => {
+    try {
+        const date = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+        }
+
+        res.json(await budgets.report(date));
+    } catch (error) {
+        console.error('Error building budget report:', error);
+        res.status(500).json({ error: 'Failed to build budget report' });
+    }
+});
+
+// POST /api/budgets - Create a budget
+router.post('/', async (req, res) => {
+    try {
+        const validationError = budgets.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { categoryId, accountNumber, period, amount, rollover } = req.body;
+
+        const result = await database.query(
+            'INSERT INTO budgets (category_id, account_number, period, amount, rollover) VALUES (?, ?, ?, ?, ?)',
+            [categoryId, accountNumber || null, period || 'monthly', parseFloat(amount).toFixed(2), Boolean(rollover)]
+        );
+
+        res.status(201).json({ id: result.insertId, message: 'Budget created successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        console.error('Error creating budget:', error);
+        res.status(500).json({ error: 'Failed to create budget' });
+    }
+});
+
+// PUT /api/budgets/:id - Update a budget
+router.put('/:id', async (req, res) => {
+    try {
+        const validationError = budgets.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { categoryId, accountNumber, period, amount, rollover } = req.body;
+
+        const result = await database.query(
+            `UPDATE budgets SET category_id = ?, account_number = ?, period = ?, amount = ?, rollover = ?
+            WHERE id = ?`,
+            [categoryId, accountNumber || null, period || 'monthly', parseFloat(amount).toFixed(2), Boolean(rollover), req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Budget not found' });
+        }
+
+        res.json({ message: 'Budget updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        console.error('Error updating budget:', error);
+        res.status(500).json({ error: 'Failed to update budget' });
+    }
+});
+
+// DELETE /api/budgets/:id - Delete a budget
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await database.query('DELETE FROM budgets WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Budget not found' });
+        }
+
+        res.json({ message: 'Budget deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting budget:', error);
+        res.status(500).json({ error: 'Failed to delete budget' });
+    }
+});
+
+module.exports = router;
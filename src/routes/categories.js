@@ -0,0 +1,147 @@
+const express = require('express');
+const database = require('../config/database');
+const categories = require('../services/categories');
+const categorySuggester = require('../services/categorySuggester');
+
+const router = express.Router();
+
+/**
+ * Read the optional parent category from a request body
+ * @param {*} parentId - Submitted parent id, empty for a top-level category
+ * @returns {number|null} Parent id or null
+ */
+function parseParentId(parentId) {
+    return parentId === undefined || parentId === null || parentId === '' ? null : Number(parentId);
+}
+
+// GET /api/categories - List categories with their number of assigned transactions
+router.get('/', async (req, res) => {
+    try {
+        const rows = await database.query(
+            `SELECT c.*, COUNT(tc.transaction_id) as transaction_count
+            FROM categories c
+            LEFT JOIN transaction_categories tc ON tc.category_id = c.id
+            GROUP BY c.id
+            ORDER BY c.name`
+        );
+        res.json(rows);
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+// POST /api/categories - Create a category
+router.post('/', async (req, res) => {
+    try {
+        const validationError = categories.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, description, color, icon } = req.body;
+
+        const result = await database.query(
+            'INSERT INTO categories (name, description, color, icon, parent_id) VALUES (?, ?, ?, ?, ?)',
+            [name.toString().trim(), description || null, color || null, icon || null, parseParentId(req.body.parentId)]
+        );
+
+        res.status(201).json({ id: result.insertId, message: 'Category created successfully' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A category with this name already exists' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Parent category not found' });
+        }
+        console.error('Error creating category:', error);
+        res.status(500).json({ error: 'Failed to create category' });
+    }
+});
+
+// PUT /api/categories/:id - Update a category
+router.put('/:id', async (req, res) => {
+    try {
+        const validationError = categories.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, description, color, icon } = req.body;
+        const parentId = parseParentId(req.body.parentId);
+
+        if (parentId !== null && await categories.wouldCreateCycle(req.params.id, parentId)) {
+            return res.status(400).json({ error: 'A category cannot be nested under itself or its subcategories' });
+        }
+
+        const result = await database.query(
+            'UPDATE categories SET name = ?, description = ?, color = ?, icon = ?, parent_id = ? WHERE id = ?',
+            [name.toString().trim(), description || null, color || null, icon || null, parentId, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        categorySuggester.invalidate();
+        res.json({ message: 'Category updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A category with this name already exists' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Parent category not found' });
+        }
+        console.error('Error updating category:', error);
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+// DELETE /api/categories/:id - Delete a category with its assignments and rules; subcategories move to the top level
+// and transactions split into it are unsplit
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await categories.remove(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        categorySuggester.invalidate();
+        res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+// POST /api/categories/:id/merge - Move everything in this category to targetId and delete it
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const targetId = Number(req.body.targetId);
+
+        if (!Number.isInteger(targetId) || targetId <= 0) {
+            return res.status(400).json({ error: 'Target category is required' });
+        }
+        if (targetId === Number(req.params.id)) {
+            return res.status(400).json({ error: 'A category cannot be merged into itself' });
+        }
+
+        const result = await categories.merge(req.params.id, targetId);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        categorySuggester.invalidate();
+        res.json({
+            message: 'Categories merged successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error merging categories:', error);
+        res.status(500).json({ error: 'Failed to merge categories' });
+    }
+});
+
+module.exports = router;
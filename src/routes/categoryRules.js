@@ -0,0 +1,167 @@
+const express = require('express');
+const database = require('../config/database');
+const categoryRules = require('../services/categoryRules');
+
+const router = express.Router();
+
+// Changes listed with transaction details in a re-run preview
+const PREVIEW_LIMIT = 200;
+
+/**
+ * Convert a category_rules row for the API
+ * @param {Object} rule - Database row joined with the category name
+ * @returns {Object} Rule
+ */
+function toRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        categoryId: rule.category_id,
+        categoryName: rule.category_name,
+        priority: rule.priority,
+        conditions: JSON.parse(rule.conditions),
+        isActive: Boolean(rule.is_active)
+    };
+}
+
+// GET /api/category-rules - List rules, highest priority first
+router.get('/', async (req, res) => {
+    try {
+        const rules = await database.query(
+            `SELECT r.*, c.name as category_name
+            FROM category_rules r
+            JOIN categories c ON c.id = r.category_id
+            ORDER BY r.priority DESC, r.id`
+        );
+
+        res.json(rules.map(toRule));
+    } catch (error) {
+        console.error('Error fetching category rules:', error);
+        res.status(500).json({ error: 'Failed to fetch category rules' });
+    }
+});
+
+// POST /api/category-rules - Create a rule
+router.post('/', async (req, res) => {
+    try {
+        const validationError = categoryRules.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, categoryId, priority, conditions, isActive } = req.body;
+
+        const result = await database.query(
+            `INSERT INTO category_rules (name, category_id, priority, conditions, is_active)
+            VALUES (?, ?, ?, ?, ?)`,
+            [name.toString().trim(), categoryId, parseInt(priority) || 0, JSON.stringify(conditions), isActive !== false]
+        );
+
+        res.status(201).json({ id: result.insertId, message: 'Rule created successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        console.error('Error creating category rule:', error);
+        res.status(500).json({ error: 'Failed to create category rule' });
+    }
+});
+
+// PUT /api/category-rules/:id - Update a rule
+router.put('/:id', async (req, res) => {
+    try {
+        const validationError = categoryRules.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, categoryId, priority, conditions, isActive } = req.body;
+
+        const result = await database.query(
+            `UPDATE category_rules SET name = ?, category_id = ?, priority = ?, conditions = ?, is_active = ?
+            WHERE id = ?`,
+            [name.toString().trim(), categoryId, parseInt(priority) || 0, JSON.stringify(conditions), isActive !== false, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json({ message: 'Rule updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        console.error('Error updating category rule:', error);
+        res.status(500).json({ error: 'Failed to update category rule' });
+    }
+});
+
+// DELETE /api/category-rules/:id - Delete a rule; its categories go on the next re-run
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await database.query('DELETE FROM category_rules WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json({ message: 'Rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting category rule:', error);
+        res.status(500).json({ error: 'Failed to delete category rule' });
+    }
+});
+
+// GET /api/category-rules/preview - Show what re-running the rules would change
+router.get('/preview', async (req, res) => {
+    try {
+        const changes = await categoryRules.planChanges();
+        const listed = changes.slice(0, PREVIEW_LIMIT);
+
+        const categories = await database.query('SELECT id, name FROM categories');
+        const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+        const transactions = listed.length > 0 ? await database.query(
+            `SELECT id, booking_date, counterpart_name, description, amount, currency
+            FROM transactions WHERE id IN (${listed.map(() => '?').join(', ')})`,
+            listed.map(change => change.transactionId)
+        ) : [];
+        const transactionsById = new Map(transactions.map(transaction => [transaction.id, transaction]));
+
+        res.json({
+            summary: {
+                total: changes.length,
+                add: changes.filter(change => change.action === 'add').length,
+                change: changes.filter(change => change.action === 'change').length,
+                remove: changes.filter(change => change.action === 'remove').length
+            },
+            changes: listed.map(change => ({
+                ...change,
+                fromCategory: categoryNames.get(change.fromCategoryId) || null,
+                toCategory: categoryNames.get(change.toCategoryId) || null,
+                transaction: transactionsById.get(change.transactionId)
+            }))
+        });
+    } catch (error) {
+        console.error('Error previewing category rules:', error);
+        res.status(500).json({ error: 'Failed to preview category rules' });
+    }
+});
+
+// POST /api/category-rules/apply - Re-run the rules over all transactions
+router.post('/apply', async (req, res) => {
+    try {
+        const changed = await categoryRules.applyChanges(await categoryRules.planChanges());
+
+        res.json({
+            message: 'Rules applied successfully',
+            changed
+        });
+    } catch (error) {
+        console.error('Error applying category rules:', error);
+        res.status(500).json({ error: 'Failed to apply category rules' });
+    }
+});
+
+module.exports = router;
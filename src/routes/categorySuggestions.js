@@ -0,0 +1,77 @@
+const express = require('express');
+const database = require('../config/database');
+const categorySuggester = require('../services/categorySuggester');
+
+const router = express.Router();
+
+// Suggestions listed with transaction details before a bulk accept
+const PREVIEW_LIMIT = 200;
+
+/**
+ * Read a confidence percentage from the request
+ * @param {*} value - Percentage from 0 to 100
+ * @returns {number|null} Confidence from 0 to 1, or null if invalid
+ */
+function parseConfidence(value) {
+    const percentage = parseFloat(value);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) return null;
+    return percentage / 100;
+}
+
+// GET /api/category-suggestions?minConfidence=80 - Top suggestions for uncategorized transactions
+router.get('/', async (req, res) => {
+    try {
+        const minConfidence = parseConfidence(req.query.minConfidence ?? 80);
+        if (minConfidence === null) {
+            return res.status(400).json({ error: 'minConfidence must be a percentage between 0 and 100' });
+        }
+
+        const suggestions = await categorySuggester.suggestUncategorized(minConfidence);
+
+        res.json({
+            total: suggestions.length,
+            suggestions: suggestions.slice(0, PREVIEW_LIMIT)
+        });
+    } catch (error) {
+        console.error('Error fetching category suggestions:', error);
+        res.status(500).json({ error: 'Failed to fetch category suggestions' });
+    }
+});
+
+// GET /api/category-suggestions/transactions/:id - Ranked suggestions for one transaction
+router.get('/transactions/:id', async (req, res) => {
+    try {
+        const transactions = await database.query('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.json(await categorySuggester.suggest(transactions[0]));
+    } catch (error) {
+        console.error('Error suggesting categories:', error);
+        res.status(500).json({ error: 'Failed to suggest categories' });
+    }
+});
+
+// POST /api/category-suggestions/accept - Accept every top suggestion at or above minConfidence
+router.post('/accept', async (req, res) => {
+    try {
+        const minConfidence = parseConfidence(req.body.minConfidence);
+        if (minConfidence === null) {
+            return res.status(400).json({ error: 'minConfidence must be a percentage between 0 and 100' });
+        }
+
+        const accepted = await categorySuggester.acceptAbove(minConfidence);
+
+        res.json({
+            message: 'Suggestions accepted successfully',
+            accepted
+        });
+    } catch (error) {
+        console.error('Error accepting category suggestions:', error);
+        res.status(500).json({ error: 'Failed to accept category suggestions' });
+    }
+});
+
+module.exports = router;
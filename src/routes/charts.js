@@ -0,0 +1,113 @@
+const express = require('express');
+const database = require('../config/database');
+const transactionFilters = require('../services/transactionFilters');
+
+const router = express.Router();
+
+// Counterparties shown in the top counterparties chart by default, and at most
+const DEFAULT_COUNTERPARTIES = 10;
+const MAX_COUNTERPARTIES = 50;
+
+// GET /api/charts/monthly - Income and expenses per month
+router.get('/monthly', async (req, res) => {
+    try {
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const { conditions, params } = transactionFilters.build(req.query);
+
+        const months = await database.query(
+            `SELECT
+                DATE_FORMAT(booking_date, '%Y-%m') as month,
+                SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as income,
+                SUM(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as expenses
+            FROM transactions
+            WHERE 1=1 ${conditions}
+            GROUP BY month
+            ORDER BY month`,
+            params
+        );
+
+        res.json(months);
+    } catch (error) {
+        console.error('Error fetching monthly chart:', error);
+        res.status(500).json({ error: 'Failed to fetch monthly totals' });
+    }
+});
+
+// GET /api/charts/counterparties?limit=10 - Counterparties receiving the most money
+router.get('/counterparties', async (req, res) => {
+    try {
+        const limit = Math.max(Math.min(parseInt(req.query.limit) || DEFAULT_COUNTERPARTIES, MAX_COUNTERPARTIES), 1);
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const { conditions, params } = transactionFilters.build(req.query);
+
+        const counterparties = await database.query(
+            `SELECT
+                COALESCE(NULLIF(counterpart_name, ''), counterpart_account, 'Unknown') as counterparty,
+                COUNT(*) as transaction_count,
+                SUM(ABS(amount)) as total
+            FROM transactions
+            WHERE amount < 0 ${conditions}
+            GROUP BY counterparty
+            ORDER BY total DESC
+            LIMIT ${limit}`,
+            params
+        );
+
+        res.json(counterparties);
+    } catch (error) {
+        console.error('Error fetching counterparties chart:', error);
+        res.status(500).json({ error: 'Failed to fetch top counterparties' });
+    }
+});
+
+// GET /api/charts/balance - Balance at the end of every day with transactions
+router.get('/balance', async (req, res) => {
+    try {
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const { conditions, params } = transactionFilters.build(req.query);
+
+        // Without a start date the running total starts from the first transaction
+        let opening = 0;
+        if (req.query.startDate) {
+            // Same filters, only the period differs
+            const before = transactionFilters.build({ ...req.query, startDate: undefined, endDate: undefined });
+            const rows = await database.query(
+                `SELECT COALESCE(SUM(amount), 0) as opening FROM transactions WHERE booking_date < ? ${before.conditions}`,
+                [req.query.startDate, ...before.params]
+            );
+            opening = parseFloat(rows[0].opening);
+        }
+
+        const days = await database.query(
+            `SELECT DATE_FORMAT(booking_date, '%Y-%m-%d') as date, SUM(amount) as net
+            FROM transactions
+            WHERE 1=1 ${conditions}
+            GROUP BY date
+            ORDER BY date`,
+            params
+        );
+
+        let balance = opening;
+        res.json(days.map(day => {
+            balance += parseFloat(day.net);
+            return { date: day.date, balance: Math.round(balance * 100) / 100 };
+        }));
+    } catch (error) {
+        console.error('Error fetching balance chart:', error);
+        res.status(500).json({ error: 'Failed to fetch daily balance' });
+    }
+});
+
+module.exports = router;
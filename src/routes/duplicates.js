@@ -0,0 +1,66 @@
+const express = require('express');
+const duplicateDetector = require('../services/duplicateDetector');
+
+const router = express.Router();
+
+// GET /api/duplicates - List suspected duplicates waiting for review
+router.get('/', async (req, res) => {
+    try {
+        res.json(await duplicateDetector.listPending());
+    } catch (error) {
+        console.error('Error fetching suspected duplicates:', error);
+        res.status(500).json({ error: 'Failed to fetch suspected duplicates' });
+    }
+});
+
+// POST /api/duplicates/scan - Look for suspected duplicates across all transactions
+router.post('/scan', async (req, res) => {
+    try {
+        const flagged = await duplicateDetector.scanAll();
+
+        res.json({
+            message: 'Duplicate scan completed',
+            flagged
+        });
+    } catch (error) {
+        console.error('Error scanning for duplicates:', error);
+        res.status(500).json({ error: 'Failed to scan for duplicates' });
+    }
+});
+
+// POST /api/duplicates/:id/merge - Merge a suspected duplicate into the earlier transaction
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const result = await duplicateDetector.merge(req.params.id);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Suspected duplicate not found or already reviewed' });
+        }
+
+        res.json({
+            message: 'Transactions merged successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error merging duplicate:', error);
+        res.status(500).json({ error: 'Failed to merge transactions' });
+    }
+});
+
+// POST /api/duplicates/:id/keep - Keep both transactions of a suspected duplicate
+router.post('/:id/keep', async (req, res) => {
+    try {
+        const kept = await duplicateDetector.keepBoth(req.params.id);
+
+        if (!kept) {
+            return res.status(404).json({ error: 'Suspected duplicate not found or already reviewed' });
+        }
+
+        res.json({ message: 'Both transactions kept' });
+    } catch (error) {
+        console.error('Error keeping duplicate:', error);
+        res.status(500).json({ error: 'Failed to update suspected duplicate' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const cashFlowForecast = require('../services/cashFlowForecast');
+
+const router = express.Router();
+
+// Forecast horizons offered by the dashboard, in days
+const HORIZONS = [30, 90];
+
+// GET /api/forecast?days=30 - Projected balance per account for the next 30 or 90 days
+router.get('/', async (req, res) => {
+    try {
+        const days = parseInt(req.query.days) || HORIZONS[0];
+        if (!HORIZONS.includes(days)) {
+            return res.status(400).json({ error: `days must be one of: ${HORIZONS.join(', ')}` });
+        }
+
+        res.json({
+            days,
+            accounts: await cashFlowForecast.forecast(days)
+        });
+    } catch (error) {
+        console.error('Error forecasting cash flow:', error);
+        res.status(500).json({ error: 'Failed to forecast cash flow' });
+    }
+});
+
+module.exports = router;
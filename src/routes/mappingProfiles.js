@@ -0,0 +1,87 @@
+const express = require('express');
+const database = require('../config/database');
+const bankFormats = require('../services/bankFormats');
+const mappingProfiles = require('../services/mappingProfiles');
+
+const router = express.Router();
+
+// GET /api/mapping-profiles - List saved CSV column mappings
+router.get('/', async (req, res) => {
+    try {
+        const profiles = await database.query(
+            'SELECT * FROM csv_mapping_profiles ORDER BY name'
+        );
+        
+        res.json(profiles.map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            headers: JSON.parse(profile.headers),
+            delimiter: profile.field_delimiter,
+            dateFormat: profile.date_format,
+            decimalSeparator: profile.decimal_separator,
+            columns: JSON.parse(profile.column_mapping),
+            createdAt: profile.created_at
+        })));
+    } catch (error) {
+        console.error('Error fetching mapping profiles:', error);
+        res.status(500).json({ error: 'Failed to fetch mapping profiles' });
+    }
+});
+
+// POST /api/mapping-profiles - Save a column mapping for a CSV layout
+router.post('/', async (req, res) => {
+    try {
+        const validationError = mappingProfiles.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { name, headers, delimiter, dateFormat, decimalSeparator, columns } = req.body;
+        const signature = bankFormats.headerSignature(headers);
+        
+        const result = await database.query(
+            `INSERT INTO csv_mapping_profiles (
+                name, header_signature, headers, field_delimiter,
+                date_format, decimal_separator, column_mapping
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                name.toString().trim(),
+                signature,
+                JSON.stringify(headers),
+                delimiter,
+                dateFormat,
+                decimalSeparator,
+                JSON.stringify(columns)
+            ]
+        );
+        
+        res.status(201).json({ id: result.insertId, name: name.toString().trim(), signature });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A profile with this name or header layout already exists' });
+        }
+        console.error('Error saving mapping profile:', error);
+        res.status(500).json({ error: 'Failed to save mapping profile' });
+    }
+});
+
+// DELETE /api/mapping-profiles/:id - Delete a saved column mapping
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await database.query(
+            'DELETE FROM csv_mapping_profiles WHERE id = ?',
+            [req.params.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        
+        res.json({ message: 'Mapping profile deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting mapping profile:', error);
+        res.status(500).json({ error: 'Failed to delete mapping profile' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const recurringDetector = require('../services/recurringDetector');
+
+const router = express.Router();
+
+// GET /api/recurring - Detected recurring payments and income with their next expected date and amount
+router.get('/', async (req, res) => {
+    try {
+        res.json(await recurringDetector.detect());
+    } catch (error) {
+        console.error('Error detecting recurring payments:', error);
+        res.status(500).json({ error: 'Failed to detect recurring payments' });
+    }
+});
+
+module.exports = router;
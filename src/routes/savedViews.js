@@ -0,0 +1,91 @@
+const express = require('express');
+const database = require('../config/database');
+const savedViews = require('../services/savedViews');
+const transactionFilters = require('../services/transactionFilters');
+
+const router = express.Router();
+
+// GET /api/saved-views - List saved filter combinations
+router.get('/', async (req, res) => {
+    try {
+        const views = await database.query('SELECT * FROM saved_views ORDER BY name');
+        res.json(views.map(view => savedViews.toView(view)));
+    } catch (error) {
+        console.error('Error fetching saved views:', error);
+        res.status(500).json({ error: 'Failed to fetch saved views' });
+    }
+});
+
+// POST /api/saved-views - Save the current filters under a name
+router.post('/', async (req, res) => {
+    try {
+        const validationError = savedViews.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const name = req.body.name.toString().trim();
+        const filters = transactionFilters.pick(req.body.filters);
+
+        const result = await database.query(
+            'INSERT INTO saved_views (name, filters) VALUES (?, ?)',
+            [name, JSON.stringify(filters)]
+        );
+
+        res.status(201).json({ id: result.insertId, name, filters });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A view with this name already exists' });
+        }
+        console.error('Error saving view:', error);
+        res.status(500).json({ error: 'Failed to save view' });
+    }
+});
+
+// PUT /api/saved-views/:id - Rename a view or replace its filters
+router.put('/:id', async (req, res) => {
+    try {
+        const validationError = savedViews.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const name = req.body.name.toString().trim();
+        const filters = transactionFilters.pick(req.body.filters);
+
+        const result = await database.query(
+            'UPDATE saved_views SET name = ?, filters = ? WHERE id = ?',
+            [name, JSON.stringify(filters), req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Saved view not found' });
+        }
+
+        res.json({ id: Number(req.params.id), name, filters });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A view with this name already exists' });
+        }
+        console.error('Error updating view:', error);
+        res.status(500).json({ error: 'Failed to update view' });
+    }
+});
+
+// DELETE /api/saved-views/:id - Delete a saved view
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await database.query('DELETE FROM saved_views WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Saved view not found' });
+        }
+
+        res.json({ message: 'Saved view deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting saved view:', error);
+        res.status(500).json({ error: 'Failed to delete saved view' });
+    }
+});
+
+module.exports = router;
@@ -1,55 +1,115 @@
 const express = require('express');
 const database = require('../config/database');
+const categorySuggester = require('../services/categorySuggester');
+const transactionSplits = require('../services/transactionSplits');
+const transactionFilters = require('../services/transactionFilters');
+const searchQuery = require('../services/searchQuery');
+const transactionSort = require('../services/transactionSort');
+const transactionExport = require('../services/transactionExport');
 
 const router = express.Router();
 
-// GET /api/transactions - Get all transactions with pagination
+// Rows per page of the transaction list by default, and at most
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Add the assigned categories to each transaction
+ * @param {Array} transactions - Transaction rows
+ * @returns {Array} Transactions with categories as [{id, name, color, icon, ruleId, amount}], amount set when split
+ */
+async function attachCategories(transactions) {
+    if (transactions.length === 0) return transactions;
+
+    const assignments = await database.query(
+        `SELECT tc.transaction_id, tc.rule_id, tc.amount, c.id, c.name, c.color, c.icon
+        FROM transaction_categories tc
+        JOIN categories c ON c.id = tc.category_id
+        WHERE tc.transaction_id IN (${transactions.map(() => '?').join(', ')})
+        ORDER BY c.name`,
+        transactions.map(transaction => transaction.id)
+    );
+
+    return transactions.map(transaction => ({
+        ...transaction,
+        categories: assignments
+            .filter(assignment => assignment.transaction_id === transaction.id)
+            .map(assignment => ({
+                id: assignment.id,
+                name: assignment.name,
+                color: assignment.color,
+                icon: assignment.icon,
+                ruleId: assignment.rule_id,
+                amount: assignment.amount
+            }))
+    }));
+}
+
+// GET /api/transactions - Get transactions, sorted, one page at a time
+// ?sort=date|amount|counterparty|type&order=asc|desc; ?paging=keyset pages with ?cursor instead of ?page and skips the count
 router.get('/', async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
         const offset = (page - 1) * limit;
+        const keyset = req.query.paging === 'keyset' || Boolean(req.query.cursor);
         
-        const accountNumber = req.query.account;
-        const startDate = req.query.startDate;
-        const endDate = req.query.endDate;
-        
-        let whereClause = 'WHERE 1=1';
-        const params = [];
-        
-        if (accountNumber) {
-            whereClause += ' AND account_number = ?';
-            params.push(accountNumber);
+        const filterError = transactionFilters.validate(req.query) || transactionSort.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
         }
-        
-        if (startDate) {
-            whereClause += ' AND booking_date >= ?';
-            params.push(startDate);
-        }
-        
-        if (endDate) {
-            whereClause += ' AND booking_date <= ?';
-            params.push(endDate);
+
+        const { conditions, params } = transactionFilters.build(req.query, 't');
+        const whereClause = `WHERE 1=1 ${conditions}`;
+        const highlight = req.query.search ? searchQuery.highlightTerms(searchQuery.parse(req.query.search)) : [];
+
+        if (keyset) {
+            const after = transactionSort.keysetCondition(req.query, 't');
+
+            // One row more than the page tells whether there is a next page without counting
+            const rows = await database.query(
+                `SELECT t.*, ${transactionSort.sortKey(req.query, 't')} as sort_key FROM transactions t
+                ${whereClause}${after.conditions}
+                ${transactionSort.orderBy(req.query, 't')}
+                LIMIT ?`,
+                [...params, ...after.params, limit + 1]
+            );
+            const hasMore = rows.length > limit;
+            const pageRows = rows.slice(0, limit);
+            const nextCursor = hasMore ? transactionSort.encodeCursor(pageRows[pageRows.length - 1]) : null;
+
+            const transactions = await attachCategories(pageRows.map(({ sort_key, ...transaction }) => transaction));
+
+            return res.json({
+                transactions,
+                highlight,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor
+                }
+            });
         }
         
         // Get total count
-        const countQuery = `SELECT COUNT(*) as total FROM transactions ${whereClause}`;
+        const countQuery = `SELECT COUNT(*) as total FROM transactions t ${whereClause}`;
         const countResult = await database.query(countQuery, params);
         const total = countResult[0].total;
         
         // Get transactions
         const query = `
-            SELECT * FROM transactions 
+            SELECT t.* FROM transactions t
             ${whereClause} 
-            ORDER BY booking_date DESC, id DESC 
+            ${transactionSort.orderBy(req.query, 't')}
             LIMIT ? OFFSET ?
         `;
         params.push(limit, offset);
         
-        const transactions = await database.query(query, params);
+        const transactions = await attachCategories(await database.query(query, params));
         
         res.json({
             transactions,
+            highlight,
             pagination: {
                 page,
                 limit,
@@ -66,15 +126,12 @@ router.get('/', async (req, res) => {
 // GET /api/transactions/stats - Get transaction statistics
 router.get('/stats', async (req, res) => {
     try {
-        const accountNumber = req.query.account;
-        
-        let whereClause = 'WHERE 1=1';
-        const params = [];
-        
-        if (accountNumber) {
-            whereClause += ' AND account_number = ?';
-            params.push(accountNumber);
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
         }
+
+        const { conditions, params } = transactionFilters.build(req.query);
         
         const statsQuery = `
             SELECT 
@@ -86,7 +143,7 @@ router.get('/stats', async (req, res) => {
                 MAX(booking_date) as latest_transaction,
                 AVG(CASE WHEN amount < 0 THEN ABS(amount) ELSE NULL END) as avg_expense,
                 AVG(CASE WHEN amount > 0 THEN amount ELSE NULL END) as avg_income
-            FROM transactions ${whereClause}
+            FROM transactions WHERE 1=1 ${conditions}
         `;
         
         const stats = await database.query(statsQuery, params);
@@ -98,9 +155,51 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// GET /api/transactions/stats/categories - Income and expenses per category, counting split portions
+router.get('/stats/categories', async (req, res) => {
+    try {
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        // Filters apply to the transactions, so the search can look at their descriptions
+        const { conditions, params } = transactionFilters.build(req.query, 't');
+
+        const query = `
+            SELECT 
+                c.id,
+                c.name,
+                c.color,
+                c.parent_id,
+                COUNT(ca.transaction_id) as transaction_count,
+                COALESCE(SUM(CASE WHEN ca.amount > 0 THEN ca.amount ELSE 0 END), 0) as total_income,
+                COALESCE(SUM(CASE WHEN ca.amount < 0 THEN ABS(ca.amount) ELSE 0 END), 0) as total_expenses
+            FROM categories c
+            LEFT JOIN category_amounts ca ON ca.category_id = c.id
+                AND ca.transaction_id IN (SELECT t.id FROM transactions t WHERE 1=1 ${conditions})
+            GROUP BY c.id
+            ORDER BY total_expenses DESC, c.name
+        `;
+
+        const categories = await database.query(query, params);
+        res.json(categories);
+    } catch (error) {
+        console.error('Error fetching category stats:', error);
+        res.status(500).json({ error: 'Failed to fetch category statistics' });
+    }
+});
+
 // GET /api/transactions/accounts - Get list of accounts
 router.get('/accounts', async (req, res) => {
     try {
+        const filterError = transactionFilters.validate(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const { conditions, params } = transactionFilters.build(req.query);
+
         const query = `
             SELECT 
                 account_number,
@@ -109,11 +208,12 @@ router.get('/accounts', async (req, res) => {
                 MAX(booking_date) as last_transaction,
                 SUM(amount) as balance
             FROM transactions 
+            WHERE 1=1 ${conditions}
             GROUP BY account_number
             ORDER BY last_transaction DESC
         `;
         
-        const accounts = await database.query(query);
+        const accounts = await database.query(query, params);
         res.json(accounts);
     } catch (error) {
         console.error('Error fetching accounts:', error);
@@ -121,6 +221,54 @@ router.get('/accounts', async (req, res) => {
     }
 });
 
+// GET /api/transactions/filter-options - Transaction types and currencies to filter on
+router.get('/filter-options', async (req, res) => {
+    try {
+        const types = await database.query(
+            `SELECT DISTINCT transaction_type FROM transactions
+            WHERE transaction_type IS NOT NULL AND transaction_type <> ''
+            ORDER BY transaction_type`
+        );
+        const currencies = await database.query('SELECT DISTINCT currency FROM transactions ORDER BY currency');
+
+        res.json({
+            transactionTypes: types.map(row => row.transaction_type),
+            currencies: currencies.map(row => row.currency)
+        });
+    } catch (error) {
+        console.error('Error fetching filter options:', error);
+        res.status(500).json({ error: 'Failed to fetch filter options' });
+    }
+});
+
+// GET /api/transactions/export?format=csv|xlsx|ofx|qif&style=be|intl - Download the filtered transactions
+router.get('/export', async (req, res) => {
+    try {
+        const validationError = transactionExport.validate(req.query) ||
+            transactionFilters.validate(req.query) ||
+            transactionSort.validate(req.query);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { contentType, extension } = transactionExport.formatOf(req.query.format);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="transactions-${date}.${extension}"`);
+
+        await transactionExport.write(req.query, res);
+        res.end();
+    } catch (error) {
+        console.error('Error exporting transactions:', error);
+        // Once part of the file is sent the status cannot change; dropping the connection fails the download
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({ error: 'Failed to export transactions' });
+    }
+});
+
 // GET /api/transactions/:id - Get single transaction
 router.get('/:id', async (req, res) => {
     try {
@@ -133,13 +281,123 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
         
-        res.json(transactions[0]);
+        const [transaction] = await attachCategories(transactions);
+        res.json(transaction);
     } catch (error) {
         console.error('Error fetching transaction:', error);
         res.status(500).json({ error: 'Failed to fetch transaction' });
     }
 });
 
+// POST /api/transactions/:id/categories - Assign a category by hand
+router.post('/:id/categories', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const categoryId = Number(req.body.categoryId);
+
+        if (!Number.isInteger(categoryId) || categoryId <= 0) {
+            return res.status(400).json({ error: 'Category is required' });
+        }
+
+        const transactions = await database.query('SELECT id FROM transactions WHERE id = ?', [id]);
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        const categories = await database.query('SELECT id FROM categories WHERE id = ?', [categoryId]);
+        if (categories.length === 0) {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+
+        if (await transactionSplits.isSplit(id)) {
+            return res.status(409).json({ error: 'Edit the split to change the categories of a split transaction' });
+        }
+
+        // Choosing a category a rule already assigned makes it manual, so re-running rules keeps it
+        await database.query(
+            `INSERT INTO transaction_categories (transaction_id, category_id) VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE rule_id = NULL`,
+            [id, categoryId]
+        );
+
+        categorySuggester.invalidate();
+        res.status(201).json({ message: 'Category assigned successfully' });
+    } catch (error) {
+        console.error('Error assigning category:', error);
+        res.status(500).json({ error: 'Failed to assign category' });
+    }
+});
+
+// DELETE /api/transactions/:id/categories/:categoryId - Remove a category from a transaction
+router.delete('/:id/categories/:categoryId', async (req, res) => {
+    try {
+        const { id, categoryId } = req.params;
+
+        if (await transactionSplits.isSplit(id)) {
+            return res.status(409).json({ error: 'Edit the split to change the categories of a split transaction' });
+        }
+
+        const result = await database.query(
+            'DELETE FROM transaction_categories WHERE transaction_id = ? AND category_id = ?',
+            [id, categoryId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Category is not assigned to this transaction' });
+        }
+
+        categorySuggester.invalidate();
+        res.json({ message: 'Category removed successfully' });
+    } catch (error) {
+        console.error('Error removing category:', error);
+        res.status(500).json({ error: 'Failed to remove category' });
+    }
+});
+
+// PUT /api/transactions/:id/splits - Split a transaction across categories; portions must add up to its amount
+router.put('/:id/splits', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const transactions = await database.query('SELECT id, amount FROM transactions WHERE id = ?', [id]);
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        const validationError = transactionSplits.validate(req.body.splits, transactions[0].amount);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await transactionSplits.save(id, req.body.splits);
+
+        categorySuggester.invalidate();
+        res.json({ message: 'Transaction split successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+        console.error('Error splitting transaction:', error);
+        res.status(500).json({ error: 'Failed to split transaction' });
+    }
+});
+
+// DELETE /api/transactions/:id/splits - Undo a split; the categories stay assigned without amounts
+router.delete('/:id/splits', async (req, res) => {
+    try {
+        const cleared = await transactionSplits.clear(req.params.id);
+
+        if (cleared === 0) {
+            return res.status(404).json({ error: 'Transaction is not split' });
+        }
+
+        res.json({ message: 'Split removed successfully' });
+    } catch (error) {
+        console.error('Error removing split:', error);
+        res.status(500).json({ error: 'Failed to remove split' });
+    }
+});
+
 // DELETE /api/transactions/:id - Delete single transaction
 router.delete('/:id', async (req, res) => {
     try {
@@ -3,7 +3,17 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const AdmZip = require('adm-zip');
 const csvParser = require('../services/csvParser');
+const bankFormats = require('../services/bankFormats');
+const codaParser = require('../services/codaParser');
+const camtParser = require('../services/camtParser');
+const mt940Parser = require('../services/mt940Parser');
+const mappingProfiles = require('../services/mappingProfiles');
+const importService = require('../services/importService');
+const importJobs = require('../services/importJobs');
+const duplicateDetector = require('../services/duplicateDetector');
+const categoryRules = require('../services/categoryRules');
 const database = require('../config/database');
 
 const router = express.Router();
@@ -19,26 +29,444 @@ const storage = multer.diskStorage({
     }
 });
 
+// Statement file extensions accepted for import
+const ALLOWED_EXTENSIONS = ['.csv', '.cod', '.xml', '.sta', '.940'];
+
+// Files accepted in one batch upload, counting the files inside ZIP archives
+const MAX_BATCH_FILES = 50;
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+
+// Uncompressed bytes accepted in one batch upload, so ZIP archives cannot inflate without bound
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 100 * 1024 * 1024; // 100MB default
+
+// Row errors kept in import_logs.error_message for the import history
+const LOGGED_ERROR_LIMIT = 100;
+
+// Transactions shown when drilling down into an import
+const HISTORY_TRANSACTION_LIMIT = 500;
+
 const fileFilter = (req, file, cb) => {
-    // Accept CSV files only
+    // Accept CSV, CODA, CAMT.053 and MT940 files only
     if (file.mimetype === 'text/csv' || 
         file.mimetype === 'application/csv' ||
-        file.originalname.toLowerCase().endsWith('.csv')) {
+        ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
         cb(null, true);
     } else {
-        cb(new Error('Only CSV files are allowed!'), false);
+        cb(new Error('Only CSV, CODA, CAMT.053 (.xml) and MT940 (.sta, .940) files are allowed!'), false);
     }
 };
 
+/**
+ * Parse an uploaded statement with the parser matching its extension
+ * @param {string} originalName - Original file name
+ * @param {Buffer} fileBuffer - Raw file content
+ * @returns {Object} Parse result with transactions or error
+ */
+async function parseStatementFile(originalName, fileBuffer) {
+    const extension = path.extname(originalName).toLowerCase();
+    
+    if (extension === '.cod') {
+        // CODA files are ISO-8859-1 encoded
+        return codaParser.parseCODA(fileBuffer.toString('latin1'));
+    }
+    
+    if (extension === '.xml') {
+        return camtParser.parseCAMT053(fileBuffer.toString('utf-8'));
+    }
+    
+    if (extension === '.sta' || extension === '.940') {
+        // SWIFT character set, exported as ISO-8859-1 by Belgian banks
+        return mt940Parser.parseMT940(fileBuffer.toString('latin1'));
+    }
+    
+    // Saved column mappings let unknown CSV layouts import automatically
+    const profileFormats = await mappingProfiles.loadFormats();
+    return csvParser.parseBelgianBankCSV(fileBuffer.toString('utf-8'), profileFormats);
+}
+
+/**
+ * Store opening/closing balances of the statements contained in a file
+ * @param {Array} statements - Statements from the parse result
+ * @param {string} fileHash - Hash of the imported file
+ * @param {Object} tx - Transaction handle from database.transaction()
+ */
+async function saveStatements(statements, fileHash, tx) {
+    for (const statement of statements) {
+        await tx.query(
+            `INSERT INTO account_statements (
+                account_number, statement_number, currency,
+                opening_balance, opening_date, closing_balance, closing_date, file_hash
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                opening_balance = VALUES(opening_balance), opening_date = VALUES(opening_date),
+                closing_balance = VALUES(closing_balance), file_hash = VALUES(file_hash)`,
+            [
+                statement.accountNumber,
+                statement.statementNumber,
+                statement.currency,
+                statement.openingBalance,
+                statement.openingDate,
+                statement.closingBalance,
+                statement.closingDate,
+                fileHash
+            ]
+        );
+    }
+}
+
+/**
+ * Read the errors stored in import_logs.error_message
+ * Completed imports store a JSON list of row errors, failed ones a plain message
+ * @param {string|null} errorMessage - Column value
+ * @returns {Array} Errors as {row, error}, row is null for file-level errors
+ */
+function parseLoggedErrors(errorMessage) {
+    if (!errorMessage) return [];
+    
+    try {
+        const errors = JSON.parse(errorMessage);
+        if (Array.isArray(errors)) return errors;
+    } catch {
+        // Not JSON: a single file-level message
+    }
+    
+    return [{ row: null, error: errorMessage }];
+}
+
+/**
+ * Find an earlier import of the same file
+ * Failed and reverted imports left no transactions, so they do not stop a retry
+ * @param {string} fileHash - Hash of the uploaded file
+ * @returns {Array} Matching import_logs rows (empty if the file may be imported)
+ */
+async function findPreviousImport(fileHash) {
+    return database.query(
+        'SELECT * FROM import_logs WHERE file_hash = ? AND import_status NOT IN (?, ?)',
+        [fileHash, 'failed', 'reverted']
+    );
+}
+
+/**
+ * Drop the failed and reverted import logs of a file that is imported again
+ * file_hash is unique, so the new import log can only be added once they are gone
+ * @param {string} fileHash - Hash of the uploaded file
+ */
+async function clearFailedImports(fileHash) {
+    await database.query(
+        'DELETE FROM import_logs WHERE file_hash = ? AND import_status IN (?, ?)',
+        [fileHash, 'failed', 'reverted']
+    );
+}
+
+/**
+ * Insert a parsed file's transactions and statements and complete its import log
+ * The whole file is imported in one database transaction: a fatal error rolls
+ * everything back and marks the import log as failed
+ * @param {Object} parseResult - Successful parse result
+ * @param {string} fileHash - Hash of the imported file
+ * @param {number} logId - import_logs id
+ * @param {Function} report - Import job progress callback
+ * @returns {Object} Response body with format, statements, summary and errors
+ */
+async function completeImport(parseResult, fileHash, logId, report = () => {}) {
+    const transactions = parseResult.transactions;
+    let outcome;
+    
+    report({ phase: 'importing', total: transactions.length });
+    
+    try {
+        outcome = await database.transaction(async (tx) => {
+            const counts = await importService.insertTransactions(transactions, fileHash, tx, report);
+            // Rows the parser rejected are logged along with rows that failed to insert
+            const loggedErrors = [...(parseResult.errors || []), ...counts.errors];
+            
+            if (parseResult.statements) {
+                await saveStatements(parseResult.statements, fileHash, tx);
+            }
+            
+            // Update import log
+            await tx.query(
+                `UPDATE import_logs SET 
+                    file_format = ?, total_records = ?, imported_records = ?, skipped_records = ?, 
+                    error_records = ?, import_status = ?, completed_at = NOW(),
+                    error_message = ?
+                WHERE id = ?`,
+                [
+                    parseResult.format.id,
+                    transactions.length, 
+                    counts.importedCount, 
+                    counts.skippedCount, 
+                    counts.errorCount,
+                    'completed',
+                    loggedErrors.length > 0 ? JSON.stringify(loggedErrors.slice(0, LOGGED_ERROR_LIMIT)) : null,
+                    logId
+                ]
+            );
+            
+            return counts;
+        });
+    } catch (error) {
+        console.error('Import rolled back:', error.message);
+        await failImport(logId, `Import rolled back: ${error.message}`, parseResult.format.id);
+        throw error;
+    }
+    
+    const { importedCount, skippedCount, errorCount, errors } = outcome;
+    
+    console.log(`✅ Import completed: ${importedCount} imported, ${skippedCount} skipped, ${errorCount} errors`);
+    
+    // The import itself succeeded, so a failing scan only means nothing gets flagged
+    let suspectedDuplicates = 0;
+    try {
+        suspectedDuplicates = await duplicateDetector.scanFile(fileHash);
+    } catch (error) {
+        console.error('Duplicate scan failed:', error.message);
+    }
+    
+    // Likewise, transactions the rules could not categorize can be categorized later
+    let categorized = 0;
+    try {
+        categorized = await categoryRules.applyToFile(fileHash);
+    } catch (error) {
+        console.error('Categorization failed:', error.message);
+    }
+    
+    return {
+        success: true,
+        format: parseResult.format,
+        statements: parseResult.statements || [],
+        summary: {
+            totalRecords: transactions.length,
+            imported: importedCount,
+            skipped: skippedCount,
+            errors: errorCount,
+            suspectedDuplicates: suspectedDuplicates,
+            categorized: categorized
+        },
+        errors: errors.slice(0, 5) // Return first 5 errors only
+    };
+}
+
+/**
+ * Mark an import log as failed
+ * @param {number} logId - import_logs id
+ * @param {string} message - Error message shown in the import history
+ * @param {string|null} fileFormat - Detected format id, if parsing got that far
+ */
+async function failImport(logId, message, fileFormat = null) {
+    await database.query(
+        `UPDATE import_logs SET file_format = ?, import_status = ?, error_message = ?, completed_at = NOW()
+        WHERE id = ?`,
+        [fileFormat, 'failed', message, logId]
+    );
+}
+
+/**
+ * Parse a statement file, reporting a needs-mapping result instead of failing
+ * @param {string} originalName - Uploaded file name
+ * @param {Buffer} buffer - File content
+ * @returns {Object} Parse result, or {needsMapping, error, preview} for unknown CSV layouts
+ */
+async function parseForImport(originalName, buffer) {
+    const parseResult = await parseStatementFile(originalName, buffer);
+    
+    if (parseResult.needsMapping) {
+        return {
+            success: false,
+            needsMapping: true,
+            error: parseResult.error,
+            preview: csvParser.inspect(buffer.toString('utf-8'))
+        };
+    }
+    
+    return parseResult;
+}
+
+/**
+ * Parse and import a file whose import log was just created
+ * @param {string} originalName - Uploaded file name
+ * @param {Buffer} fileBuffer - File content
+ * @param {string} fileHash - Hash of the file
+ * @param {number} logId - import_logs id
+ * @param {Function} report - Import job progress callback
+ * @returns {Object} Import result, or a needs-mapping result for unknown CSV layouts
+ */
+async function runImport(originalName, fileBuffer, fileHash, logId, report) {
+    report({ phase: 'parsing' });
+    
+    let parseResult;
+    try {
+        parseResult = await parseForImport(originalName, fileBuffer);
+    } catch (error) {
+        await failImport(logId, error.message);
+        throw error;
+    }
+    
+    if (parseResult.needsMapping) {
+        // Not a failed import: drop the log so the file can be uploaded again once mapped
+        await database.query('DELETE FROM import_logs WHERE id = ?', [logId]);
+        return parseResult;
+    }
+    
+    if (!parseResult.success) {
+        await failImport(logId, parseResult.error);
+        throw new Error(parseResult.error);
+    }
+    
+    return completeImport(parseResult, fileHash, logId, report);
+}
+
+/**
+ * Expand uploaded files into statement files, unpacking ZIP archives
+ * Stops before inflating anything once the batch has too many files or too many bytes
+ * @param {Array} files - Files from multer
+ * @returns {Object} Statement files as {name, buffer}, per-file errors for skipped entries
+ *   and an error message if the whole batch is rejected
+ */
+async function collectBatchFiles(files) {
+    const statementFiles = [];
+    const skipped = [];
+    let totalSize = 0;
+    
+    // Check a file against the batch limits before it is read or inflated
+    const rejectBatch = (size) => {
+        if (statementFiles.length >= MAX_BATCH_FILES) {
+            return `A batch can contain at most ${MAX_BATCH_FILES} statement files`;
+        }
+        if (totalSize + size > MAX_BATCH_SIZE) {
+            return `A batch can contain at most ${Math.round(MAX_BATCH_SIZE / 1024 / 1024)}MB of statement files`;
+        }
+        return null;
+    };
+    
+    for (const file of files) {
+        if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+            const error = rejectBatch(file.size);
+            if (error) return { statementFiles, skipped, error };
+            
+            totalSize += file.size;
+            statementFiles.push({ name: file.originalname, buffer: await fs.readFile(file.path) });
+            continue;
+        }
+        
+        let entries;
+        try {
+            entries = new AdmZip(await fs.readFile(file.path)).getEntries();
+        } catch (error) {
+            skipped.push({ filename: file.originalname, status: 'failed', error: `Invalid ZIP archive: ${error.message}` });
+            continue;
+        }
+        
+        for (const entry of entries) {
+            const name = `${file.originalname}/${entry.entryName}`;
+            
+            // Skip folders and the resource forks macOS adds to archives
+            if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') ||
+                path.basename(entry.entryName).startsWith('.')) {
+                continue;
+            }
+            
+            if (!ALLOWED_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase())) {
+                skipped.push({ filename: name, status: 'failed', error: 'Unsupported file type' });
+                continue;
+            }
+            
+            if (entry.header.size > MAX_FILE_SIZE) {
+                skipped.push({ filename: name, status: 'failed', error: 'File too large' });
+                continue;
+            }
+            
+            const error = rejectBatch(entry.header.size);
+            if (error) return { statementFiles, skipped, error };
+            
+            // The size in the archive is only what the archive claims; the inflated data must match it
+            let buffer;
+            try {
+                buffer = entry.getData();
+            } catch (error) {
+                skipped.push({ filename: name, status: 'failed', error: `Invalid ZIP entry: ${error.message}` });
+                continue;
+            }
+            
+            if (buffer.length !== entry.header.size) {
+                skipped.push({ filename: name, status: 'failed', error: 'File size does not match the ZIP archive' });
+                continue;
+            }
+            
+            totalSize += buffer.length;
+            statementFiles.push({ name, buffer });
+        }
+    }
+    
+    return { statementFiles, skipped, error: null };
+}
+
+/**
+ * Import one file of a batch as its own import log entry
+ * @param {Object} file - Statement file as {name, buffer}
+ * @param {Function} report - Import job progress callback
+ * @returns {Object} Per-file result with status imported, duplicate, needsMapping or failed
+ */
+async function importBatchFile(file, report) {
+    const fileHash = crypto.createHash('md5').update(file.buffer).digest('hex');
+    
+    try {
+        const existingLog = await findPreviousImport(fileHash);
+        
+        if (existingLog.length > 0) {
+            return { filename: file.name, status: 'duplicate', importDate: existingLog[0].imported_at };
+        }
+        
+        await clearFailedImports(fileHash);
+        
+        const logResult = await database.query(
+            'INSERT INTO import_logs (filename, file_hash, import_status) VALUES (?, ?, ?)',
+            [file.name, fileHash, 'processing']
+        );
+        
+        const result = await runImport(file.name, file.buffer, fileHash, logResult.insertId, report);
+        
+        if (result.needsMapping) {
+            return { filename: file.name, status: 'needsMapping', error: result.error };
+        }
+        
+        return {
+            filename: file.name,
+            status: 'imported',
+            format: result.format,
+            summary: result.summary,
+            errors: result.errors
+        };
+    } catch (error) {
+        return { filename: file.name, status: 'failed', error: error.message };
+    }
+}
+
 const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+        fileSize: MAX_FILE_SIZE
+    }
+});
+
+const uploadBatch = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.zip') {
+            cb(null, true);
+        } else {
+            fileFilter(req, file, cb);
+        }
+    },
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: MAX_BATCH_FILES
     }
 });
 
-// POST /api/upload - Upload and process CSV file
+// POST /api/upload - Upload a CSV, CODA, CAMT.053 or MT940 file and start a job that imports it
 router.post('/', upload.single('csvFile'), async (req, res) => {
     let filePath = null;
     
@@ -57,10 +485,7 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
         const fileHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
         
         // Check if file was already processed
-        const existingLog = await database.query(
-            'SELECT * FROM import_logs WHERE file_hash = ?',
-            [fileHash]
-        );
+        const existingLog = await findPreviousImport(fileHash);
         
         if (existingLog.length > 0) {
             await fs.unlink(filePath); // Clean up uploaded file
@@ -70,6 +495,12 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
             });
         }
         
+        // The job works from the buffer, so the uploaded file is no longer needed
+        await fs.unlink(filePath);
+        filePath = null;
+        
+        await clearFailedImports(fileHash);
+        
         // Create import log entry
         const logResult = await database.query(
             'INSERT INTO import_logs (filename, file_hash, import_status) VALUES (?, ?, ?)',
@@ -77,114 +508,170 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
         );
         const logId = logResult.insertId;
         
-        // Parse CSV file
-        const fileContent = fileBuffer.toString('utf-8');
-        const parseResult = await csvParser.parseBelgianBankCSV(fileContent);
+        const job = importJobs.start('import', originalName, (report) =>
+            runImport(originalName, fileBuffer, fileHash, logId, report)
+        );
         
-        if (!parseResult.success) {
-            await database.query(
-                'UPDATE import_logs SET import_status = ?, error_message = ? WHERE id = ?',
-                ['failed', parseResult.error, logId]
-            );
-            await fs.unlink(filePath);
-            return res.status(400).json({ error: parseResult.error });
-        }
+        res.status(202).json({ jobId: job.id });
         
-        const transactions = parseResult.transactions;
-        let importedCount = 0;
-        let skippedCount = 0;
-        let errorCount = 0;
-        const errors = [];
+    } catch (error) {
+        console.error('Upload processing error:', error);
         
-        // Process each transaction
-        for (let i = 0; i < transactions.length; i++) {
+        // Clean up uploaded file on error
+        if (filePath) {
             try {
-                const transaction = transactions[i];
-                
-                const insertQuery = `
-                    INSERT INTO transactions (
-                        account_number, statement_number, transaction_number,
-                        booking_date, value_date, counterpart_account, counterpart_name,
-                        counterpart_address, counterpart_postal_code, counterpart_city,
-                        transaction_type, amount, currency, bic, country_code,
-                        description, reference_number, file_hash
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `;
-                
-                await database.query(insertQuery, [
-                    transaction.accountNumber,
-                    transaction.statementNumber,
-                    transaction.transactionNumber,
-                    transaction.bookingDate,
-                    transaction.valueDate,
-                    transaction.counterpartAccount,
-                    transaction.counterpartName,
-                    transaction.counterpartAddress,
-                    transaction.counterpartPostalCode,
-                    transaction.counterpartCity,
-                    transaction.transactionType,
-                    transaction.amount,
-                    transaction.currency,
-                    transaction.bic,
-                    transaction.countryCode,
-                    transaction.description,
-                    transaction.referenceNumber,
-                    fileHash
-                ]);
-                
-                importedCount++;
-            } catch (error) {
-                if (error.code === 'ER_DUP_ENTRY') {
-                    skippedCount++;
-                } else {
-                    errorCount++;
-                    errors.push({
-                        row: i + 1,
-                        error: error.message
-                    });
-                    console.error(`Error importing transaction ${i + 1}:`, error.message);
-                }
+                await fs.unlink(filePath);
+            } catch (cleanupError) {
+                console.error('Error cleaning up file:', cleanupError);
             }
         }
         
-        // Update import log
-        await database.query(
-            `UPDATE import_logs SET 
-                total_records = ?, imported_records = ?, skipped_records = ?, 
-                error_records = ?, import_status = ?, completed_at = NOW(),
-                error_message = ?
-            WHERE id = ?`,
-            [
-                transactions.length, 
-                importedCount, 
-                skippedCount, 
-                errorCount,
-                errorCount === 0 ? 'completed' : 'completed',
-                errors.length > 0 ? JSON.stringify(errors.slice(0, 10)) : null, // Store first 10 errors
-                logId
-            ]
-        );
+        res.status(500).json({ 
+            error: 'Failed to process file',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// POST /api/upload/batch - Upload several statement files or ZIP archives and import each file
+router.post('/batch', uploadBatch.array('statementFiles', MAX_BATCH_FILES), async (req, res) => {
+    const uploadedFiles = req.files || [];
+    
+    try {
+        if (uploadedFiles.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+        
+        const { statementFiles, skipped, error } = await collectBatchFiles(uploadedFiles);
+        
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
-        // Clean up uploaded file
+        console.log(`📦 Processing batch of ${statementFiles.length} files`);
+        
+        const job = importJobs.start('batch', `${statementFiles.length} files`, async (report) => {
+            const files = [...skipped];
+            
+            for (const [index, file] of statementFiles.entries()) {
+                report({
+                    file: index + 1,
+                    files: statementFiles.length,
+                    currentFile: file.name,
+                    total: 0, processed: 0, imported: 0, skipped: 0, errors: 0
+                });
+                files.push(await importBatchFile(file, report));
+            }
+            
+            const imported = files.filter(file => file.status === 'imported');
+            
+            return {
+                files,
+                summary: {
+                    files: files.length,
+                    imported: imported.length,
+                    duplicates: files.filter(file => file.status === 'duplicate').length,
+                    needsMapping: files.filter(file => file.status === 'needsMapping').length,
+                    failed: files.filter(file => file.status === 'failed').length,
+                    transactions: {
+                        imported: imported.reduce((sum, file) => sum + file.summary.imported, 0),
+                        skipped: imported.reduce((sum, file) => sum + file.summary.skipped, 0),
+                        errors: imported.reduce((sum, file) => sum + file.summary.errors, 0),
+                        suspectedDuplicates: imported.reduce((sum, file) => sum + file.summary.suspectedDuplicates, 0),
+                        categorized: imported.reduce((sum, file) => sum + file.summary.categorized, 0)
+                    }
+                }
+            };
+        });
+        
+        res.status(202).json({ jobId: job.id });
+        
+    } catch (error) {
+        console.error('Batch upload error:', error);
+        res.status(500).json({ 
+            error: 'Failed to process files',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(cleanupError => {
+            console.error('Error cleaning up file:', cleanupError);
+        })));
+    }
+});
+
+// POST /api/upload/preview - Start a job that parses a file and classifies every row without importing
+router.post('/preview', upload.single('csvFile'), async (req, res) => {
+    let filePath = null;
+    
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        filePath = req.file.path;
+        const originalName = req.file.originalname;
+        
+        const fileBuffer = await fs.readFile(filePath);
+        const fileHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
         await fs.unlink(filePath);
+        filePath = null;
         
-        console.log(`✅ Import completed: ${importedCount} imported, ${skippedCount} skipped, ${errorCount} errors`);
+        const existingLog = await findPreviousImport(fileHash);
         
-        res.json({
-            success: true,
-            summary: {
-                totalRecords: transactions.length,
-                imported: importedCount,
-                skipped: skippedCount,
-                errors: errorCount
-            },
-            errors: errors.slice(0, 5) // Return first 5 errors only
+        if (existingLog.length > 0) {
+            return res.status(409).json({ 
+                error: 'File already processed',
+                importDate: existingLog[0].imported_at
+            });
+        }
+        
+        const job = importJobs.start('preview', originalName, async (report) => {
+            report({ phase: 'parsing' });
+            
+            const parseResult = await parseForImport(originalName, fileBuffer);
+            
+            if (parseResult.needsMapping) {
+                return parseResult;
+            }
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error);
+            }
+            
+            const parseErrors = parseResult.errors || [];
+            report({ phase: 'classifying', total: parseResult.transactions.length + parseErrors.length });
+            
+            const rows = [
+                ...await importService.classify(parseResult.transactions),
+                ...parseErrors.map(error => ({
+                    row: error.row,
+                    status: 'error',
+                    error: error.error
+                }))
+            ];
+            
+            report({ processed: rows.length });
+            
+            const previewId = importService.savePreview({ originalName, fileHash, parseResult });
+            
+            return {
+                previewId,
+                filename: originalName,
+                format: parseResult.format,
+                summary: {
+                    totalRecords: rows.length,
+                    new: rows.filter(row => row.status === 'new').length,
+                    duplicates: rows.filter(row => row.status === 'duplicate').length,
+                    errors: rows.filter(row => row.status === 'error').length
+                },
+                rows
+            };
         });
         
+        res.status(202).json({ jobId: job.id });
     } catch (error) {
-        console.error('Upload processing error:', error);
+        console.error('Preview processing error:', error);
         
-        // Clean up uploaded file on error
         if (filePath) {
             try {
                 await fs.unlink(filePath);
@@ -194,31 +681,221 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
         }
         
         res.status(500).json({ 
-            error: 'Failed to process file',
+            error: 'Failed to preview file',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// POST /api/upload/preview/:previewId/commit - Start a job that imports a previewed file
+router.post('/preview/:previewId/commit', async (req, res) => {
+    try {
+        // The preview stays until the import succeeds, so a conflict or a failed job can be retried
+        const preview = importService.getPreview(req.params.previewId);
+        
+        if (!preview) {
+            return res.status(404).json({ error: 'Preview not found or expired, please upload the file again' });
+        }
+        
+        const { originalName, fileHash, parseResult } = preview;
+        
+        // Another upload of the same file may have happened since the preview
+        const existingLog = await findPreviousImport(fileHash);
+        
+        if (existingLog.length > 0) {
+            return res.status(409).json({ 
+                error: 'File already processed',
+                importDate: existingLog[0].imported_at
+            });
+        }
+        
+        console.log(`📄 Committing previewed file: ${originalName}`);
+        
+        await clearFailedImports(fileHash);
+        const logResult = await database.query(
+            'INSERT INTO import_logs (filename, file_hash, import_status) VALUES (?, ?, ?)',
+            [originalName, fileHash, 'processing']
+        );
+        
+        const job = importJobs.start('import', originalName, async (report) => {
+            const result = await completeImport(parseResult, fileHash, logResult.insertId, report);
+            importService.takePreview(req.params.previewId);
+            return result;
+        });
+        
+        res.status(202).json({ jobId: job.id });
+    } catch (error) {
+        console.error('Commit processing error:', error);
+        res.status(500).json({ 
+            error: 'Failed to import file',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
+// GET /api/upload/jobs/:jobId - Get the state of a preview or import job
+router.get('/jobs/:jobId', (req, res) => {
+    const job = importJobs.get(req.params.jobId);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    
+    res.json(job);
+});
+
+// GET /api/upload/jobs/:jobId/events - Stream job progress as Server-Sent Events
+router.get('/jobs/:jobId/events', (req, res) => {
+    const job = importJobs.get(req.params.jobId);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const stop = () => importJobs.off('update', onUpdate);
+    const onUpdate = (update) => {
+        if (update.id !== job.id) return;
+        
+        res.write(`data: ${JSON.stringify(update)}\n\n`);
+        
+        // The stream ends with the job's final state, which carries its result or error
+        if (update.status !== 'running') {
+            stop();
+            res.end();
+        }
+    };
+    
+    importJobs.on('update', onUpdate);
+    req.on('close', stop);
+    onUpdate(job);
+});
+
+// DELETE /api/upload/preview/:previewId - Discard a preview without importing
+router.delete('/preview/:previewId', (req, res) => {
+    const preview = importService.takePreview(req.params.previewId);
+    
+    if (!preview) {
+        return res.status(404).json({ error: 'Preview not found or expired' });
+    }
+    
+    res.json({ message: 'Preview discarded' });
+});
+
+// POST /api/upload/inspect - Preview the header row and first rows of a CSV file
+router.post('/inspect', upload.single('csvFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        const fileBuffer = await fs.readFile(req.file.path);
+        await fs.unlink(req.file.path);
+        
+        const fileContent = fileBuffer.toString('utf-8');
+        const preview = csvParser.inspect(fileContent, req.body.delimiter, req.body.headerRow);
+        
+        // Report whether the file would already import without a new mapping
+        const detected = csvParser.detectFormat(fileContent, [
+            ...bankFormats.list(),
+            ...await mappingProfiles.loadFormats()
+        ]);
+        
+        res.json({
+            ...preview,
+            format: detected ? { id: detected.format.id, name: detected.format.name } : null
+        });
+    } catch (error) {
+        console.error('Error inspecting file:', error);
+        res.status(500).json({ error: 'Failed to inspect file' });
+    }
+});
+
 // GET /api/upload/history - Get import history
 router.get('/history', async (req, res) => {
     try {
         const query = `
             SELECT 
-                id, filename, total_records, imported_records, 
+                id, filename, file_format, total_records, imported_records, 
                 skipped_records, error_records, import_status,
-                imported_at, completed_at
+                imported_at, completed_at,
+                TIMESTAMPDIFF(SECOND, imported_at, completed_at) as duration_seconds,
+                error_message IS NOT NULL as has_errors
             FROM import_logs 
             ORDER BY imported_at DESC 
             LIMIT 50
         `;
         
         const history = await database.query(query);
-        res.json(history);
+        res.json(history.map(log => ({ ...log, has_errors: Boolean(log.has_errors) })));
     } catch (error) {
         console.error('Error fetching import history:', error);
         res.status(500).json({ error: 'Failed to fetch import history' });
     }
 });
 
+// GET /api/upload/history/:id - Get one import with its errors and transactions
+router.get('/history/:id', async (req, res) => {
+    try {
+        const logs = await database.query(
+            `SELECT *, TIMESTAMPDIFF(SECOND, imported_at, completed_at) as duration_seconds
+            FROM import_logs WHERE id = ?`,
+            [req.params.id]
+        );
+        
+        if (logs.length === 0) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        
+        const { error_message: errorMessage, file_hash: fileHash, ...log } = logs[0];
+        
+        const transactions = await database.query(
+            `SELECT id, account_number, booking_date, counterpart_account, counterpart_name,
+                description, amount, currency, transaction_type
+            FROM transactions
+            WHERE file_hash = ?
+            ORDER BY booking_date DESC, id DESC
+            LIMIT ${HISTORY_TRANSACTION_LIMIT}`,
+            [fileHash]
+        );
+        
+        res.json({
+            ...log,
+            errors: parseLoggedErrors(errorMessage),
+            transactions: transactions
+        });
+    } catch (error) {
+        console.error('Error fetching import details:', error);
+        res.status(500).json({ error: 'Failed to fetch import details' });
+    }
+});
+
+// DELETE /api/upload/history/:id - Undo an import and remove all its transactions
+router.delete('/history/:id', async (req, res) => {
+    try {
+        const result = await importService.undoImport(req.params.id);
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        
+        res.json({
+            message: 'Import reverted successfully',
+            deletedTransactions: result.deletedTransactions
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error reverting import:', error);
+        res.status(500).json({ error: 'Failed to revert import' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
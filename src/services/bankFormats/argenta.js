@@ -0,0 +1,24 @@
+/**
+ * Argenta CSV export format
+ * Semicolon separated, DD-MM-YYYY dates, comma as decimal separator
+ */
+module.exports = {
+    id: 'argenta',
+    name: 'Argenta',
+    delimiter: ';',
+    dateFormat: 'DD-MM-YYYY',
+    decimalSeparator: ',',
+    requiredHeaders: ['Nr v/d rekening', 'Boekdatum', 'Bedrag'],
+    columns: {
+        accountNumber: 'Nr v/d rekening',
+        bookingDate: 'Boekdatum',
+        transactionNumber: 'Referentie',
+        counterpartAccount: 'Rekening tegenpartij',
+        counterpartName: 'Naam tegenpartij',
+        transactionType: 'Beschrijving',
+        valueDate: 'Valuta datum',
+        amount: 'Bedrag',
+        currency: 'Munt',
+        description: 'Mededeling'
+    }
+};
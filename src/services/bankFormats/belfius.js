@@ -0,0 +1,29 @@
+/**
+ * Belfius CSV export format
+ * Semicolon separated, DD/MM/YYYY dates, comma as decimal separator
+ */
+module.exports = {
+    id: 'belfius',
+    name: 'Belfius',
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    requiredHeaders: ['Rekening', 'Boekingsdatum', 'Rekeninguittrekselnummer', 'Bedrag'],
+    columns: {
+        accountNumber: 'Rekening',
+        bookingDate: 'Boekingsdatum',
+        statementNumber: 'Rekeninguittrekselnummer',
+        transactionNumber: 'Transactienummer',
+        counterpartAccount: 'Rekening tegenpartij',
+        counterpartName: 'Naam tegenpartij bevat',
+        counterpartAddress: 'Straat en nummer',
+        counterpartPostalCity: 'Postcode en plaats',
+        transactionType: 'Transactie',
+        valueDate: 'Valutadatum',
+        amount: 'Bedrag',
+        currency: 'Devies',
+        bic: 'BIC',
+        countryCode: 'Landcode',
+        description: 'Mededelingen'
+    }
+};
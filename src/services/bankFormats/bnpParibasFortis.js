@@ -0,0 +1,34 @@
+/**
+ * BNP Paribas Fortis CSV export format
+ * Semicolon separated, DD/MM/YYYY dates, comma as decimal separator
+ */
+module.exports = {
+    id: 'bnp-paribas-fortis',
+    name: 'BNP Paribas Fortis',
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    requiredHeaders: ['Volgnummer', 'Uitvoeringsdatum', 'Bedrag', 'Rekeningnummer'],
+    columns: {
+        accountNumber: 'Rekeningnummer',
+        bookingDate: 'Uitvoeringsdatum',
+        transactionNumber: 'Volgnummer',
+        counterpartAccount: 'Tegenpartij',
+        counterpartName: 'Naam van de tegenpartij',
+        transactionType: 'Type verrichting',
+        valueDate: 'Valutadatum',
+        amount: 'Bedrag',
+        currency: 'Valuta rekening',
+        description: ['Mededeling', 'Details']
+    },
+
+    /**
+     * Rejected payment orders are exported too but never hit the account
+     * @param {Object} row - CSV row object with headers as keys
+     * @returns {boolean} True if the row should be ignored
+     */
+    skipRow(row) {
+        const status = (row['Status'] || '').toString().trim().toLowerCase();
+        return status === 'geweigerd' || status === 'refusé';
+    }
+};
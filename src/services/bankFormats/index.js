@@ -0,0 +1,98 @@
+const belfius = require('./belfius');
+const kbc = require('./kbc');
+const ing = require('./ing');
+const bnpParibasFortis = require('./bnpParibasFortis');
+const argenta = require('./argenta');
+const crypto = require('crypto');
+
+class BankFormatRegistry {
+    constructor() {
+        this.formats = [];
+    }
+
+    /**
+     * Register a bank CSV format
+     * @param {Object} format - Format definition (id, name, delimiter, columns...)
+     */
+    register(format) {
+        if (!format.id || !format.columns || !format.requiredHeaders) {
+            throw new Error('Bank format requires an id, columns and requiredHeaders');
+        }
+        if (this.get(format.id)) {
+            throw new Error(`Bank format already registered: ${format.id}`);
+        }
+        this.formats.push(format);
+    }
+
+    /**
+     * Get a registered format by id
+     * @param {string} id - Format id
+     * @returns {Object|null} Format definition or null if unknown
+     */
+    get(id) {
+        return this.formats.find(format => format.id === id) || null;
+    }
+
+    /**
+     * List all registered formats
+     * @returns {Array} Format definitions
+     */
+    list() {
+        return [...this.formats];
+    }
+
+    /**
+     * Find the format whose required headers are all present
+     * @param {Array<string>} headers - Header row values
+     * @param {string} delimiter - Delimiter the header row was split on
+     * @param {Array} formats - Candidate formats (defaults to the registered ones)
+     * @returns {Object|null} Matching format or null if none matches
+     */
+    detect(headers, delimiter, formats = this.formats) {
+        return formats.find(format => this.matches(format, headers, delimiter)) || null;
+    }
+
+    /**
+     * Check whether a header row belongs to a format
+     * Formats with a signature (saved mapping profiles) must match the header row exactly
+     * @param {Object} format - Format definition
+     * @param {Array<string>} headers - Header row values
+     * @param {string} delimiter - Delimiter the header row was split on
+     * @returns {boolean} True if the format matches
+     */
+    matches(format, headers, delimiter) {
+        if (format.delimiter !== delimiter) return false;
+
+        if (format.signature) {
+            return this.headerSignature(headers) === format.signature;
+        }
+
+        const normalized = headers.map(header => this.normalizeHeader(header));
+        return format.requiredHeaders.every(required => normalized.includes(this.normalizeHeader(required)));
+    }
+
+    /**
+     * Hash of the normalized header row, used to recognize a known CSV layout
+     * @param {Array<string>} headers - Header row values
+     * @returns {string} SHA-1 hex digest
+     */
+    headerSignature(headers) {
+        const normalized = headers.map(header => this.normalizeHeader(header)).join('|');
+        return crypto.createHash('sha1').update(normalized).digest('hex');
+    }
+
+    /**
+     * Normalize a header for comparison (BOM, whitespace, case)
+     * @param {string} header - Raw header
+     * @returns {string} Normalized header
+     */
+    normalizeHeader(header) {
+        return (header || '').toString().replace(/^\uFEFF/, '').trim().toLowerCase();
+    }
+}
+
+// Singleton registry with the built-in Belgian bank formats
+const registry = new BankFormatRegistry();
+[belfius, kbc, ing, bnpParibasFortis, argenta].forEach(format => registry.register(format));
+
+module.exports = registry;
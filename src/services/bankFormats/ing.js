@@ -0,0 +1,23 @@
+/**
+ * ING Belgium CSV export format
+ * Semicolon separated, DD/MM/YYYY dates, comma as decimal separator
+ */
+module.exports = {
+    id: 'ing',
+    name: 'ING',
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    requiredHeaders: ['Rekeningnummer', 'Omzetnummer', 'Boekingsdatum', 'Bedrag'],
+    columns: {
+        accountNumber: 'Rekeningnummer',
+        bookingDate: 'Boekingsdatum',
+        transactionNumber: 'Omzetnummer',
+        counterpartAccount: 'Rekening tegenpartij',
+        transactionType: 'Omschrijving',
+        valueDate: 'Valutadatum',
+        amount: 'Bedrag',
+        currency: 'Munteenheid',
+        description: ['Detail van de omzet', 'Bericht']
+    }
+};
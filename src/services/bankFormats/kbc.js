@@ -0,0 +1,26 @@
+/**
+ * KBC / CBC CSV export format
+ * Semicolon separated, DD/MM/YYYY dates, comma as decimal separator
+ */
+module.exports = {
+    id: 'kbc',
+    name: 'KBC',
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    requiredHeaders: ['Rekeningnummer', 'Afschriftnummer', 'Datum', 'Bedrag', 'Saldo'],
+    columns: {
+        accountNumber: 'Rekeningnummer',
+        bookingDate: 'Datum',
+        statementNumber: 'Afschriftnummer',
+        counterpartAccount: 'rekeningnummer tegenpartij',
+        counterpartName: 'Naam tegenpartij',
+        counterpartAddress: 'Adres tegenpartij',
+        valueDate: 'Valuta',
+        amount: 'Bedrag',
+        currency: 'Munt',
+        bic: 'BIC tegenpartij',
+        description: ['Omschrijving', 'Vrije mededeling'],
+        referenceNumber: 'gestructureerde mededeling'
+    }
+};
@@ -0,0 +1,179 @@
+const database = require('../config/database');
+
+const PERIODS = ['monthly', 'yearly'];
+
+// Earlier periods looked at when carrying unused budget over
+const MAX_ROLLOVER_PERIODS = 120;
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+class Budgets {
+    /**
+     * Validate a budget submitted by the budgets editor
+     * @param {Object} budget - Budget with categoryId, accountNumber, period, amount and rollover
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(budget) {
+        const { categoryId, accountNumber, period, amount } = budget;
+
+        if (!Number.isInteger(Number(categoryId)) || Number(categoryId) <= 0) return 'Category is required';
+        if (period !== undefined && !PERIODS.includes(period)) return `Period must be one of: ${PERIODS.join(', ')}`;
+        if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) return 'Budget amount must be a positive number';
+        if (accountNumber && accountNumber.toString().length > 50) return 'Account number is too long';
+
+        return null;
+    }
+
+    /**
+     * Get the budget period containing a date
+     * @param {string} period - 'monthly' or 'yearly'
+     * @param {Date} date - Date in the period
+     * @returns {Object} {key, start, end}; key is YYYY-MM or YYYY, dates are YYYY-MM-DD
+     */
+    periodOf(period, date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        const year = date.getFullYear();
+
+        if (period === 'yearly') {
+            return { key: `${year}`, start: `${year}-01-01`, end: `${year}-12-31` };
+        }
+
+        const month = pad(date.getMonth() + 1);
+        const lastDay = new Date(year, date.getMonth() + 1, 0).getDate();
+        return { key: `${year}-${month}`, start: `${year}-${month}-01`, end: `${year}-${month}-${pad(lastDay)}` };
+    }
+
+    /**
+     * List the periods from the one containing `from` up to the one containing `to`
+     * @param {string} period - 'monthly' or 'yearly'
+     * @param {Date} from - First date
+     * @param {Date} to - Last date
+     * @returns {Array} Periods from periodOf(), oldest first
+     */
+    periodsBetween(period, from, to) {
+        const periods = [];
+        const cursor = new Date(from.getFullYear(), period === 'yearly' ? 0 : from.getMonth(), 1);
+
+        while (cursor <= to) {
+            periods.push(this.periodOf(period, cursor));
+            if (period === 'yearly') {
+                cursor.setFullYear(cursor.getFullYear() + 1);
+            } else {
+                cursor.setMonth(cursor.getMonth() + 1);
+            }
+        }
+
+        return periods.slice(-(MAX_ROLLOVER_PERIODS + 1));
+    }
+
+    /**
+     * Collect a category and all of its subcategories
+     * @param {number} categoryId - Category id
+     * @param {Array} categories - Rows with id and parent_id
+     * @returns {Set<number>} Category ids
+     */
+    subtree(categoryId, categories) {
+        const ids = new Set([categoryId]);
+        let found = true;
+
+        while (found) {
+            found = false;
+            categories.forEach(category => {
+                if (ids.has(category.parent_id) && !ids.has(category.id)) {
+                    ids.add(category.id);
+                    found = true;
+                }
+            });
+        }
+
+        return ids;
+    }
+
+    /**
+     * Compare every budget with the net spending of its current period
+     * Spending comes from category_amounts, so split transactions count with their portions;
+     * refunds in a category lower its spending
+     * @param {Date} referenceDate - Date in the periods to report on
+     * @returns {Array} Budget-vs-actual rows
+     */
+    async report(referenceDate = new Date()) {
+        const budgets = await database.query(
+            `SELECT b.*, c.name as category_name, c.color
+            FROM budgets b
+            JOIN categories c ON c.id = b.category_id
+            ORDER BY c.name, b.account_number`
+        );
+        if (budgets.length === 0) return [];
+
+        const plans = budgets.map(budget => {
+            const current = this.periodOf(budget.period, referenceDate);
+            const earlier = budget.rollover
+                ? this.periodsBetween(budget.period, new Date(budget.created_at), referenceDate)
+                    .filter(period => period.key < current.key)
+                : [];
+
+            return { budget, current, periods: [...earlier, current] };
+        });
+
+        const allPeriods = plans.flatMap(plan => plan.periods);
+        const spending = await database.query(
+            `SELECT category_id, account_number, DATE_FORMAT(booking_date, '%Y-%m') as month, SUM(amount) as total
+            FROM category_amounts
+            WHERE booking_date BETWEEN ? AND ?
+            GROUP BY category_id, account_number, month`,
+            [
+                allPeriods.map(period => period.start).sort()[0],
+                allPeriods.map(period => period.end).sort().pop()
+            ]
+        );
+        const categories = await database.query('SELECT id, parent_id FROM categories');
+
+        return plans.map(({ budget, current, periods }) => {
+            const categoryIds = this.subtree(budget.category_id, categories);
+            const limit = parseFloat(budget.amount);
+
+            const spentIn = (period) => Math.max(0, -spending
+                .filter(row => categoryIds.has(row.category_id) &&
+                    (!budget.account_number || row.account_number === budget.account_number) &&
+                    row.month.startsWith(period.key))
+                .reduce((sum, row) => sum + parseFloat(row.total), 0));
+
+            // Only unused budget carries over; overspending does not eat into the next period
+            let carriedOver = 0;
+            periods.slice(0, -1).forEach(period => {
+                carriedOver = Math.max(0, carriedOver + limit - spentIn(period));
+            });
+
+            const available = limit + carriedOver;
+            const spent = spentIn(current);
+
+            return {
+                id: budget.id,
+                categoryId: budget.category_id,
+                categoryName: budget.category_name,
+                color: budget.color,
+                accountNumber: budget.account_number,
+                period: budget.period,
+                periodStart: current.start,
+                periodEnd: current.end,
+                amount: limit,
+                rollover: Boolean(budget.rollover),
+                carriedOver: roundCents(carriedOver),
+                available: roundCents(available),
+                spent: roundCents(spent),
+                remaining: roundCents(available - spent),
+                percentUsed: Math.round(spent / available * 100),
+                overspent: roundCents(spent) > roundCents(available)
+            };
+        });
+    }
+}
+
+module.exports = new Budgets();
@@ -0,0 +1,261 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Elements that may occur more than once and must always be parsed as arrays
+const ARRAY_ELEMENTS = ['Stmt', 'Bal', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd', 'Strd', 'AdrLine'];
+
+class CAMTParser {
+    constructor() {
+        this.xmlParser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@',
+            removeNSPrefix: true,
+            parseTagValue: false,
+            trimValues: true,
+            isArray: (name) => ARRAY_ELEMENTS.includes(name)
+        });
+    }
+
+    /**
+     * Parse an ISO 20022 CAMT.053 bank-to-customer statement
+     * @param {string} xmlContent - Raw XML file content
+     * @returns {Object} Parse result with transactions, statement balances or error
+     */
+    async parseCAMT053(xmlContent) {
+        try {
+            const document = this.xmlParser.parse(xmlContent).Document;
+            const statementNodes = document?.BkToCstmrStmt?.Stmt;
+
+            if (!statementNodes) {
+                return {
+                    success: false,
+                    error: 'Invalid CAMT.053 file: no BkToCstmrStmt statements found'
+                };
+            }
+
+            const transactions = [];
+            const statements = [];
+            const errors = [];
+            // Entries are numbered across the whole file, so a row stays unambiguous with several statements
+            let entryNumber = 0;
+
+            for (const statementNode of statementNodes) {
+                const account = {
+                    accountNumber: this.text(statementNode.Acct?.Id?.IBAN) || this.text(statementNode.Acct?.Id?.Othr?.Id),
+                    currency: this.text(statementNode.Acct?.Ccy) || 'EUR',
+                    statementNumber: this.text(statementNode.LglSeqNb) || this.text(statementNode.ElctrncSeqNb) || null
+                };
+
+                statements.push(this.parseBalances(statementNode.Bal || [], account));
+
+                const entries = statementNode.Ntry || [];
+                console.log(`📄 Processing ${entries.length} entries from CAMT.053 statement ${this.text(statementNode.Id)}`);
+
+                entries.forEach((entry) => {
+                    entryNumber++;
+                    try {
+                        transactions.push(...this.parseEntry(entry, account));
+                    } catch (error) {
+                        console.error(`❌ Error parsing entry ${entryNumber}:`, error.message);
+                        errors.push({ row: entryNumber, error: error.message });
+                        // Continue with other entries instead of failing completely
+                    }
+                });
+            }
+
+            if (transactions.length === 0) {
+                return {
+                    success: false,
+                    error: 'No valid transactions found in CAMT.053 file. Please check the file format.'
+                };
+            }
+
+            console.log(`✅ Successfully parsed ${transactions.length} transactions from CAMT.053`);
+
+            return {
+                success: true,
+                format: { id: 'camt053', name: 'CAMT.053' },
+                transactions: transactions,
+                statements: statements,
+                errors: errors
+            };
+
+        } catch (error) {
+            console.error('CAMT.053 parsing error:', error);
+            return {
+                success: false,
+                error: `Failed to parse CAMT.053: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Extract opening (OPBD) and closing (CLBD) balances of a statement
+     * @param {Array} balances - Bal elements
+     * @param {Object} account - Statement account information
+     * @returns {Object} Statement with opening and closing balance
+     */
+    parseBalances(balances, account) {
+        const find = (code) => balances.find(balance => this.text(balance.Tp?.CdOrPrtry?.Cd) === code);
+        const opening = find('OPBD') || find('PRCD');
+        const closing = find('CLBD');
+
+        return {
+            accountNumber: account.accountNumber,
+            statementNumber: account.statementNumber,
+            currency: account.currency,
+            openingBalance: opening ? this.signedAmount(opening.Amt, opening.CdtDbtInd) : null,
+            openingDate: opening ? this.parseDate(opening.Dt) : null,
+            closingBalance: closing ? this.signedAmount(closing.Amt, closing.CdtDbtInd) : null,
+            closingDate: closing ? this.parseDate(closing.Dt) : null
+        };
+    }
+
+    /**
+     * Parse a statement entry (Ntry) into one transaction per batched TxDtls
+     * @param {Object} entry - Ntry element
+     * @param {Object} account - Statement account information
+     * @returns {Array} Transactions in the same shape as CSVParser.parseTransactionRow
+     */
+    parseEntry(entry, account) {
+        const status = this.text(entry.Sts?.Cd) || this.text(entry.Sts);
+        if (status && status !== 'BOOK') {
+            return [];
+        }
+
+        const bookingDate = this.parseDate(entry.BookgDt);
+        if (!bookingDate) {
+            throw new Error('Missing booking date');
+        }
+
+        const details = (entry.NtryDtls || []).flatMap(node => node.TxDtls || []);
+
+        // Batch bookings carry their own amount per TxDtls; otherwise the entry is one transaction
+        const batched = details.length > 1 && details.every(detail => detail.AmtDtls?.TxAmt?.Amt || detail.Amt);
+        const parts = batched ? details : [details[0] || {}];
+
+        return parts.map(detail => {
+            const amountNode = batched ? (detail.AmtDtls?.TxAmt?.Amt || detail.Amt) : entry.Amt;
+            const creditDebit = this.text(detail.CdtDbtInd) || this.text(entry.CdtDbtInd);
+            const amount = this.signedAmount(amountNode, creditDebit);
+
+            if (amount === null) {
+                throw new Error(`Invalid amount: ${this.text(amountNode)}`);
+            }
+
+            // The counterparty is the debtor for incoming and the creditor for outgoing payments
+            const isCredit = creditDebit === 'CRDT';
+            const party = isCredit ? detail.RltdPties?.Dbtr : detail.RltdPties?.Cdtr;
+            const partyAccount = isCredit ? detail.RltdPties?.DbtrAcct : detail.RltdPties?.CdtrAcct;
+            const agent = isCredit ? detail.RltdAgts?.DbtrAgt : detail.RltdAgts?.CdtrAgt;
+            const address = party?.PstlAdr || party?.Pty?.PstlAdr;
+
+            const counterpartAccount = this.text(partyAccount?.Id?.IBAN) || this.text(partyAccount?.Id?.Othr?.Id) || null;
+            const endToEndId = this.text(detail.Refs?.EndToEndId);
+            const structuredReference = this.structuredReference(detail.RmtInf);
+            const remittance = (detail.RmtInf?.Ustrd || []).map(text => this.text(text)).join(' ');
+
+            return {
+                accountNumber: account.accountNumber,
+                statementNumber: account.statementNumber,
+                transactionNumber: this.text(detail.Refs?.AcctSvcrRef) || this.text(entry.AcctSvcrRef) ||
+                    this.text(detail.Refs?.TxId) || null,
+                bookingDate: bookingDate,
+                valueDate: this.parseDate(entry.ValDt),
+                counterpartAccount: counterpartAccount,
+                counterpartName: this.text(party?.Nm) || this.text(party?.Pty?.Nm) || null,
+                counterpartAddress: this.formatStreet(address),
+                counterpartPostalCode: this.text(address?.PstCd) || null,
+                counterpartCity: this.text(address?.TwnNm) || null,
+                transactionType: this.describeBankTransactionCode(detail.BkTxCd || entry.BkTxCd),
+                amount: amount,
+                currency: this.text(amountNode?.['@Ccy']) || account.currency,
+                bic: this.text(agent?.FinInstnId?.BICFI) || this.text(agent?.FinInstnId?.BIC) || null,
+                countryCode: this.text(address?.Ctry) ||
+                    (counterpartAccount && /^[A-Z]{2}/.test(counterpartAccount) ? counterpartAccount.substring(0, 2) : null),
+                description: [remittance || structuredReference, this.text(detail.AddtlTxInf) || this.text(entry.AddtlNtryInf)]
+                    .filter(Boolean)
+                    .join(' ') || null,
+                referenceNumber: structuredReference ||
+                    (endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null) ||
+                    this.text(entry.AcctSvcrRef) || null,
+                endToEndId: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null
+            };
+        });
+    }
+
+    /**
+     * Get the creditor reference from structured remittance information
+     * @param {Object} remittance - RmtInf element
+     * @returns {string|null} Creditor reference or null if absent
+     */
+    structuredReference(remittance) {
+        const structured = (remittance?.Strd || []).find(item => item.CdtrRefInf?.Ref);
+        return structured ? this.text(structured.CdtrRefInf.Ref) : null;
+    }
+
+    /**
+     * Describe a bank transaction code (ISO domain/family/subfamily or proprietary)
+     * @param {Object} code - BkTxCd element
+     * @returns {string|null} Transaction type
+     */
+    describeBankTransactionCode(code) {
+        if (!code) return null;
+
+        const domain = code.Domn;
+        if (domain) {
+            return [this.text(domain.Cd), this.text(domain.Fmly?.Cd), this.text(domain.Fmly?.SubFmlyCd)]
+                .filter(Boolean)
+                .join('/');
+        }
+
+        return this.text(code.Prtry?.Cd) || null;
+    }
+
+    /**
+     * Join structured street fields or unstructured address lines
+     * @param {Object} address - PstlAdr element
+     * @returns {string|null} Street address
+     */
+    formatStreet(address) {
+        if (!address) return null;
+
+        const street = [this.text(address.StrtNm), this.text(address.BldgNb)].filter(Boolean).join(' ');
+        return street || (address.AdrLine || []).map(line => this.text(line)).join(', ') || null;
+    }
+
+    /**
+     * Apply the credit/debit indicator to an amount
+     * @param {Object|string} amountNode - Amount element (text with Ccy attribute)
+     * @param {string} creditDebit - CRDT or DBIT
+     * @returns {number|null} Signed amount or null if invalid
+     */
+    signedAmount(amountNode, creditDebit) {
+        const amount = parseFloat(this.text(amountNode));
+        if (isNaN(amount)) return null;
+
+        return this.text(creditDebit) === 'DBIT' ? -amount : amount;
+    }
+
+    /**
+     * Parse a date element (Dt or DtTm child)
+     * @param {Object} dateNode - Date element
+     * @returns {string|null} Date in YYYY-MM-DD format or null if absent
+     */
+    parseDate(dateNode) {
+        const value = this.text(dateNode?.Dt) || this.text(dateNode?.DtTm);
+        return value ? value.substring(0, 10) : null;
+    }
+
+    /**
+     * Get the text content of a parsed node
+     * @param {*} node - Parsed XML node
+     * @returns {string} Text content or empty string
+     */
+    text(node) {
+        if (node === undefined || node === null) return '';
+        if (typeof node === 'object') return (node['#text'] ?? '').toString().trim();
+        return node.toString().trim();
+    }
+}
+
+module.exports = new CAMTParser();
@@ -0,0 +1,133 @@
+const database = require('../config/database');
+const recurringDetector = require('./recurringDetector');
+
+// Days of history averaged into the daily variable spending
+const VARIABLE_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+class CashFlowForecast {
+    /**
+     * Project the upcoming occurrences of a recurring payment
+     * A missed payment is not projected again; its later occurrences are
+     * @param {Object} payment - Recurring payment from recurringDetector.detect()
+     * @param {Date} today - First day of the forecast
+     * @param {Date} until - Last day of the forecast
+     * @returns {Array} Occurrences as {date, amount, counterpartName, frequency}
+     */
+    occurrences(payment, today, until) {
+        const frequency = { name: payment.frequency, days: { weekly: 7 }[payment.frequency] };
+        const occurrences = [];
+        let date = new Date(`${payment.nextDate}T00:00:00`);
+
+        while (date < today) {
+            date = recurringDetector.nextDate(date, frequency);
+        }
+
+        while (date <= until) {
+            occurrences.push({
+                date: formatDate(date),
+                amount: payment.expectedAmount,
+                counterpartName: payment.counterpartName,
+                frequency: payment.frequency
+            });
+            date = recurringDetector.nextDate(date, frequency);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Forecast the balance of every account day by day
+     * Starts from the balance of /api/transactions/accounts, adds the projected recurring
+     * payments and income, and spreads the average non-recurring amount of the last
+     * VARIABLE_WINDOW_DAYS evenly over the days
+     * @param {number} days - Forecast horizon in days
+     * @param {Date} today - First day of the forecast
+     * @returns {Array} Per account: balance now, projection, lowest point and first negative day
+     */
+    async forecast(days, today = new Date()) {
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const until = new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+        const windowStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - VARIABLE_WINDOW_DAYS);
+
+        const accounts = await database.query(
+            `SELECT account_number, SUM(amount) as balance, MIN(booking_date) as first_transaction
+            FROM transactions
+            GROUP BY account_number
+            ORDER BY account_number`
+        );
+        const recent = await database.query(
+            'SELECT id, account_number, amount FROM transactions WHERE booking_date >= ? AND booking_date < ?',
+            [formatDate(windowStart), formatDate(start)]
+        );
+        const recurring = await recurringDetector.detect(start);
+
+        const recurringIds = new Set(recurring.flatMap(payment => payment.transactionIds));
+
+        return accounts.map(account => {
+            // Accounts with less history than the window average over the days they have
+            const firstDay = new Date(account.first_transaction);
+            const windowDays = Math.max(1, Math.min(VARIABLE_WINDOW_DAYS, Math.round((start - firstDay) / DAY_MS)));
+
+            const variableTotal = recent
+                .filter(transaction => transaction.account_number === account.account_number && !recurringIds.has(transaction.id))
+                .reduce((sum, transaction) => sum + parseFloat(transaction.amount), 0);
+            const dailyVariable = variableTotal / windowDays;
+
+            const upcoming = recurring
+                .filter(payment => payment.accountNumber === account.account_number)
+                .flatMap(payment => this.occurrences(payment, start, until))
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            const currentBalance = parseFloat(account.balance);
+            const projection = [];
+            let balance = currentBalance;
+
+            // Today only gets the recurring items still expected; its other spending is mostly booked
+            for (let day = 0; day <= days; day++) {
+                const date = formatDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + day));
+                balance += (day > 0 ? dailyVariable : 0) + upcoming
+                    .filter(occurrence => occurrence.date === date)
+                    .reduce((sum, occurrence) => sum + occurrence.amount, 0);
+                projection.push({ date, balance: roundCents(balance) });
+            }
+
+            const lowest = projection.reduce((min, point) => (point.balance < min.balance ? point : min));
+            const firstNegative = projection.find(point => point.balance < 0);
+
+            return {
+                accountNumber: account.account_number,
+                currentBalance: roundCents(currentBalance),
+                dailyVariable: roundCents(dailyVariable),
+                recurring: upcoming,
+                projection,
+                endBalance: projection[projection.length - 1].balance,
+                lowestBalance: lowest.balance,
+                lowestDate: lowest.date,
+                negativeOn: firstNegative ? firstNegative.date : null
+            };
+        });
+    }
+}
+
+module.exports = new CashFlowForecast();
@@ -0,0 +1,138 @@
+const database = require('../config/database');
+const transactionSplits = require('./transactionSplits');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Font Awesome icon class, e.g. fa-gas-pump
+const ICON_PATTERN = /^fa-[a-z0-9-]+$/;
+
+class Categories {
+    /**
+     * Validate a category submitted by the settings screen
+     * @param {Object} category - Category with name, description, color, icon and parentId
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(category) {
+        const { name, color, icon, parentId } = category;
+
+        if (!name || !name.toString().trim()) return 'Category name is required';
+        if (name.toString().trim().length > 100) return 'Category name is too long';
+        if (color && !COLOR_PATTERN.test(color)) return `Color must be a hex code like #4CAF50: ${color}`;
+        if (icon && !ICON_PATTERN.test(icon)) return `Icon must be a Font Awesome class like fa-car: ${icon}`;
+        if (parentId !== undefined && parentId !== null && parentId !== '' &&
+            (!Number.isInteger(Number(parentId)) || Number(parentId) <= 0)) {
+            return 'Invalid parent category';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether making parentId the parent of a category would create a loop
+     * @param {number} id - Category being updated
+     * @param {number} parentId - Proposed parent
+     * @param {Object} db - Database or transaction handle to read the tree with
+     * @returns {boolean} True if parentId is the category itself or one of its descendants
+     */
+    async wouldCreateCycle(id, parentId, db = database) {
+        const categories = await db.query('SELECT id, parent_id FROM categories');
+        const parents = new Map(categories.map(category => [category.id, category.parent_id]));
+
+        let current = Number(parentId);
+        const visited = new Set();
+
+        while (current && !visited.has(current)) {
+            if (current === Number(id)) return true;
+            visited.add(current);
+            current = parents.get(current);
+        }
+
+        return false;
+    }
+
+    /**
+     * Delete a category; split transactions that had a portion in it are unsplit
+     * @param {number} id - Category id
+     * @returns {boolean} False if the category does not exist
+     */
+    async remove(id) {
+        return database.transaction(async (tx) => {
+            await transactionSplits.clearForCategory(tx, id);
+            const result = await tx.query('DELETE FROM categories WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        });
+    }
+
+    /**
+     * Merge one category into another
+     * Assignments, rules, budgets and subcategories move to the target, then the source is deleted
+     * @param {number} sourceId - Category to merge away
+     * @param {number} targetId - Category that remains
+     * @returns {Object|null} Number of moved assignments and budgets, or null if either category does not exist
+     */
+    async merge(sourceId, targetId) {
+        return database.transaction(async (tx) => {
+            const categories = await tx.query(
+                'SELECT id, parent_id FROM categories WHERE id IN (?, ?) FOR UPDATE',
+                [sourceId, targetId]
+            );
+            const source = categories.find(category => category.id === Number(sourceId));
+            const target = categories.find(category => category.id === Number(targetId));
+            if (!source || !target) return null;
+
+            const assignments = await tx.query(
+                'SELECT COUNT(*) as count FROM transaction_categories WHERE category_id = ?',
+                [source.id]
+            );
+
+            // A transaction split across both categories keeps one portion with both amounts
+            await tx.query(
+                `INSERT INTO transaction_categories (transaction_id, category_id, rule_id, amount, assigned_at)
+                SELECT transaction_id, ?, rule_id, amount, assigned_at FROM transaction_categories WHERE category_id = ?
+                ON DUPLICATE KEY UPDATE amount = transaction_categories.amount + VALUES(amount)`,
+                [target.id, source.id]
+            );
+
+            await tx.query('UPDATE category_rules SET category_id = ? WHERE category_id = ?', [target.id, source.id]);
+
+            // The target now covers the spending of both, so a budget both have for the same account
+            // and period becomes one with both limits added up
+            const budgets = await tx.query('SELECT COUNT(*) as count FROM budgets WHERE category_id = ?', [source.id]);
+            await tx.query(
+                `UPDATE budgets target_budget
+                JOIN budgets source_budget ON source_budget.category_id = ?
+                    AND source_budget.period = target_budget.period
+                    AND source_budget.account_number <=> target_budget.account_number
+                SET target_budget.amount = target_budget.amount + source_budget.amount,
+                    target_budget.rollover = target_budget.rollover OR source_budget.rollover
+                WHERE target_budget.category_id = ?`,
+                [source.id, target.id]
+            );
+            await tx.query(
+                `DELETE source_budget FROM budgets source_budget
+                JOIN budgets target_budget ON target_budget.category_id = ?
+                    AND target_budget.period = source_budget.period
+                    AND target_budget.account_number <=> source_budget.account_number
+                WHERE source_budget.category_id = ?`,
+                [target.id, source.id]
+            );
+            await tx.query('UPDATE budgets SET category_id = ? WHERE category_id = ?', [target.id, source.id]);
+
+            // A target anywhere below the source takes the source's place in the tree, otherwise the
+            // source's children would end up in a loop with the target
+            if (await this.wouldCreateCycle(source.id, target.parent_id, tx)) {
+                await tx.query('UPDATE categories SET parent_id = ? WHERE id = ?', [source.parent_id, target.id]);
+            }
+            await tx.query(
+                'UPDATE categories SET parent_id = ? WHERE parent_id = ? AND id <> ?',
+                [target.id, source.id, target.id]
+            );
+
+            await tx.query('DELETE FROM categories WHERE id = ?', [source.id]);
+
+            return { movedAssignments: assignments[0].count, movedBudgets: budgets[0].count };
+        });
+    }
+}
+
+module.exports = new Categories();
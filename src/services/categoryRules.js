@@ -0,0 +1,207 @@
+const database = require('../config/database');
+
+// Transaction columns a rule condition can test
+const RULE_FIELDS = [
+    'counterpart_name', 'counterpart_account', 'description', 'transaction_type',
+    'reference_number', 'account_number', 'currency', 'amount'
+];
+
+// Operators per kind of field; text comparisons ignore case
+const TEXT_OPERATORS = ['contains', 'not_contains', 'equals', 'starts_with', 'ends_with'];
+const NUMBER_OPERATORS = ['equals', 'gt', 'gte', 'lt', 'lte'];
+
+// Account numbers are compared without the spaces some banks export
+const ACCOUNT_FIELDS = ['counterpart_account', 'account_number'];
+
+class CategoryRules {
+    /**
+     * Validate a rule submitted by the rules editor
+     * @param {Object} rule - Rule with name, categoryId, priority and conditions
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(rule) {
+        const { name, categoryId, priority, conditions } = rule;
+
+        if (!name || !name.toString().trim()) return 'Rule name is required';
+        if (!Number.isInteger(Number(categoryId)) || Number(categoryId) <= 0) return 'Category is required';
+        if (priority !== undefined && !Number.isInteger(Number(priority))) return 'Priority must be a whole number';
+        if (!Array.isArray(conditions) || conditions.length === 0) return 'At least one condition is required';
+
+        for (const condition of conditions) {
+            const { field, operator, value } = condition || {};
+
+            if (!RULE_FIELDS.includes(field)) return `Unknown field: ${field}`;
+
+            const operators = field === 'amount' ? NUMBER_OPERATORS : TEXT_OPERATORS;
+            if (!operators.includes(operator)) return `Operator ${operator} cannot be used with ${field}`;
+
+            if (value === undefined || value === null || value.toString().trim() === '') {
+                return `A value is required for ${field}`;
+            }
+            if (field === 'amount' && isNaN(parseFloat(value))) return `Amount must be a number: ${value}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Load active rules, highest priority first
+     * @returns {Array} Rules with parsed conditions
+     */
+    async loadRules() {
+        const rules = await database.query(
+            'SELECT * FROM category_rules WHERE is_active = TRUE ORDER BY priority DESC, id'
+        );
+
+        return rules.map(rule => ({ ...rule, conditions: JSON.parse(rule.conditions) }));
+    }
+
+    /**
+     * Find the rule that categorizes a transaction
+     * @param {Object} transaction - Transaction row
+     * @param {Array} rules - Rules from loadRules()
+     * @returns {Object|null} First matching rule by priority or null
+     */
+    findRule(transaction, rules) {
+        return rules.find(rule => rule.conditions.every(condition => this.matches(condition, transaction))) || null;
+    }
+
+    /**
+     * Test a single condition against a transaction
+     * @param {Object} condition - {field, operator, value}
+     * @param {Object} transaction - Transaction row
+     * @returns {boolean} True if the condition holds
+     */
+    matches(condition, transaction) {
+        const { field, operator, value } = condition;
+        const actual = transaction[field];
+
+        if (field === 'amount') {
+            const amount = parseFloat(actual);
+            const expected = parseFloat(value);
+
+            switch (operator) {
+            case 'equals': return amount.toFixed(2) === expected.toFixed(2);
+            case 'gt': return amount > expected;
+            case 'gte': return amount >= expected;
+            case 'lt': return amount < expected;
+            case 'lte': return amount <= expected;
+            default: return false;
+            }
+        }
+
+        const normalize = (text) => {
+            const lower = (text ?? '').toString().toLowerCase();
+            return ACCOUNT_FIELDS.includes(field) ? lower.replace(/\s/g, '') : lower.trim();
+        };
+        const text = normalize(actual);
+        const expected = normalize(value);
+
+        switch (operator) {
+        case 'contains': return text.includes(expected);
+        case 'not_contains': return !text.includes(expected);
+        case 'equals': return text === expected;
+        case 'starts_with': return text.startsWith(expected);
+        case 'ends_with': return text.endsWith(expected);
+        default: return false;
+        }
+    }
+
+    /**
+     * Work out which rule-based categories would change
+     * Transactions with a manually assigned category are never touched; categories
+     * assigned by rules follow the current rules, so they change or disappear with them
+     * @param {string|null} fileHash - Limit to the transactions of one imported file
+     * @returns {Array} Changes as {transactionId, action ('add', 'change' or 'remove'), fromCategoryId, toCategoryId, ruleId}
+     */
+    async planChanges(fileHash = null) {
+        const rules = await this.loadRules();
+        const transactions = await database.query(
+            `SELECT id, ${RULE_FIELDS.join(', ')} FROM transactions
+            ${fileHash ? 'WHERE file_hash = ?' : ''}`,
+            fileHash ? [fileHash] : []
+        );
+        const assignments = await database.query(
+            `SELECT tc.transaction_id, tc.category_id, tc.rule_id
+            FROM transaction_categories tc
+            ${fileHash ? 'JOIN transactions t ON t.id = tc.transaction_id WHERE t.file_hash = ?' : ''}`,
+            fileHash ? [fileHash] : []
+        );
+
+        const manual = new Set();
+        const byRule = new Map();
+        assignments.forEach(assignment => {
+            if (assignment.rule_id === null) {
+                manual.add(assignment.transaction_id);
+            } else {
+                byRule.set(assignment.transaction_id, assignment.category_id);
+            }
+        });
+
+        const changes = [];
+
+        for (const transaction of transactions) {
+            if (manual.has(transaction.id)) continue;
+
+            const rule = this.findRule(transaction, rules);
+            const current = byRule.has(transaction.id) ? byRule.get(transaction.id) : null;
+            const target = rule ? rule.category_id : null;
+
+            if (current === target) continue;
+
+            changes.push({
+                transactionId: transaction.id,
+                action: current === null ? 'add' : target === null ? 'remove' : 'change',
+                fromCategoryId: current,
+                toCategoryId: target,
+                ruleId: rule ? rule.id : null
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Write planned changes in one database transaction
+     * @param {Array} changes - Changes from planChanges()
+     * @returns {number} Number of transactions changed
+     */
+    async applyChanges(changes) {
+        if (changes.length === 0) return 0;
+
+        await database.transaction(async (tx) => {
+            for (const change of changes) {
+                if (change.fromCategoryId !== null) {
+                    await tx.query(
+                        'DELETE FROM transaction_categories WHERE transaction_id = ? AND rule_id IS NOT NULL',
+                        [change.transactionId]
+                    );
+                }
+                if (change.toCategoryId !== null) {
+                    await tx.query(
+                        'INSERT IGNORE INTO transaction_categories (transaction_id, category_id, rule_id) VALUES (?, ?, ?)',
+                        [change.transactionId, change.toCategoryId, change.ruleId]
+                    );
+                }
+            }
+        });
+
+        return changes.length;
+    }
+
+    /**
+     * Categorize the transactions of a freshly imported file
+     * @param {string} fileHash - Hash of the imported file
+     * @returns {number} Number of categorized transactions
+     */
+    async applyToFile(fileHash) {
+        const categorized = await this.applyChanges(await this.planChanges(fileHash));
+
+        if (categorized > 0) {
+            console.log(`🏷️  Categorized ${categorized} transaction(s) by rules`);
+        }
+        return categorized;
+    }
+}
+
+module.exports = new CategoryRules();
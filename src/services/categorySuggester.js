@@ -0,0 +1,216 @@
+const database = require('../config/database');
+
+// The model is rebuilt from transaction_categories when older than this
+const MODEL_TTL_MS = 5 * 60 * 1000;
+
+// Below this many labeled transactions suggestions are too random to show
+const MIN_TRAINING_EXAMPLES = 10;
+
+// With fewer categories there is nothing to choose between and every suggestion would be certain
+const MIN_TRAINED_CATEGORIES = 2;
+
+// Suggestions returned per transaction
+const MAX_SUGGESTIONS = 3;
+
+// Common words in Belgian bank descriptions that say nothing about the category
+const STOP_WORDS = new Set([
+    'van', 'het', 'een', 'voor', 'met', 'aan', 'naar', 'les', 'des', 'pour', 'avec', 'the', 'and',
+    'betaling', 'paiement', 'payment', 'overschrijving', 'virement', 'transfer', 'bancontact',
+    'maestro', 'kaart', 'carte', 'card', 'datum', 'date', 'uur', 'heure', 'mededeling', 'communication',
+    'ref', 'referentie', 'reference', 'valuta', 'eur'
+]);
+
+class CategorySuggester {
+    constructor() {
+        this.model = null;
+    }
+
+    /**
+     * Turn a transaction into the features the model counts
+     * Words are prefixed with their source so "shell" in a name and in a description differ
+     * @param {Object} transaction - Transaction row
+     * @returns {Array<string>} Features
+     */
+    features(transaction) {
+        const features = [];
+        const words = (text) => (text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 3 && !/^\d+$/.test(word) && !STOP_WORDS.has(word));
+
+        words(transaction.counterpart_name).forEach(word => features.push(`name:${word}`));
+        words(transaction.description).forEach(word => features.push(`desc:${word}`));
+
+        if (transaction.counterpart_account) {
+            features.push(`iban:${transaction.counterpart_account.replace(/\s/g, '').toUpperCase()}`);
+        }
+        if (transaction.transaction_type) {
+            features.push(`type:${transaction.transaction_type.trim().toLowerCase()}`);
+        }
+        features.push(`sign:${parseFloat(transaction.amount) >= 0 ? 'in' : 'out'}`);
+
+        return features;
+    }
+
+    /**
+     * Train a multinomial naive Bayes model on all categorized transactions
+     * @returns {Object} Model with per-category document and feature counts
+     */
+    async train() {
+        const examples = await database.query(
+            `SELECT t.counterpart_name, t.counterpart_account, t.transaction_type, t.description, t.amount,
+                tc.category_id, c.name as category_name
+            FROM transaction_categories tc
+            JOIN transactions t ON t.id = tc.transaction_id
+            JOIN categories c ON c.id = tc.category_id`
+        );
+
+        const categories = new Map();
+        const vocabulary = new Set();
+
+        for (const example of examples) {
+            if (!categories.has(example.category_id)) {
+                categories.set(example.category_id, {
+                    id: example.category_id,
+                    name: example.category_name,
+                    documents: 0,
+                    featureTotal: 0,
+                    features: new Map()
+                });
+            }
+
+            const category = categories.get(example.category_id);
+            category.documents++;
+
+            for (const feature of this.features(example)) {
+                category.features.set(feature, (category.features.get(feature) || 0) + 1);
+                category.featureTotal++;
+                vocabulary.add(feature);
+            }
+        }
+
+        this.model = {
+            categories: [...categories.values()],
+            documents: examples.length,
+            vocabularySize: vocabulary.size,
+            trainedAt: Date.now()
+        };
+
+        console.log(`🧠 Trained category suggestions on ${examples.length} labeled transactions`);
+        return this.model;
+    }
+
+    /**
+     * Get the current model, retraining it when stale
+     * @returns {Object} Model
+     */
+    async getModel() {
+        if (!this.model || Date.now() - this.model.trainedAt > MODEL_TTL_MS) {
+            await this.train();
+        }
+        return this.model;
+    }
+
+    /**
+     * Forget the model so the next suggestion retrains on the latest assignments
+     */
+    invalidate() {
+        this.model = null;
+    }
+
+    /**
+     * Rank categories for a transaction
+     * @param {Object} transaction - Transaction row
+     * @param {Object} model - Model from getModel()
+     * @returns {Array} Up to MAX_SUGGESTIONS of {categoryId, categoryName, confidence}, confidence from 0 to 1
+     */
+    rank(transaction, model) {
+        if (model.documents < MIN_TRAINING_EXAMPLES || model.categories.length < MIN_TRAINED_CATEGORIES) return [];
+
+        const features = this.features(transaction);
+
+        // Log probabilities with Laplace smoothing, so unseen features do not zero a category out
+        const scores = model.categories.map(category => {
+            let score = Math.log(category.documents / model.documents);
+            const denominator = category.featureTotal + model.vocabularySize + 1;
+
+            for (const feature of features) {
+                score += Math.log(((category.features.get(feature) || 0) + 1) / denominator);
+            }
+            return { category, score };
+        });
+
+        // "None of these": a category that knows no features, spreading its likelihood evenly over the
+        // vocabulary. It wins for transactions unlike anything trained, keeping their confidences low
+        const baseline = Math.log(1 / model.categories.length) +
+            features.length * Math.log(1 / (model.vocabularySize + 1));
+
+        // Softmax turns the log probabilities into confidences adding up to 1 together with the baseline
+        const best = Math.max(baseline, ...scores.map(entry => entry.score));
+        const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - best), Math.exp(baseline - best));
+
+        return scores
+            .map(entry => ({
+                categoryId: entry.category.id,
+                categoryName: entry.category.name,
+                confidence: Math.exp(entry.score - best) / total
+            }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Suggest categories for one transaction
+     * @param {Object} transaction - Transaction row
+     * @returns {Array} Ranked suggestions
+     */
+    async suggest(transaction) {
+        return this.rank(transaction, await this.getModel());
+    }
+
+    /**
+     * Top suggestion for every uncategorized transaction at or above a confidence
+     * @param {number} minConfidence - Confidence from 0 to 1
+     * @returns {Array} {transaction, suggestion} pairs, most confident first
+     */
+    async suggestUncategorized(minConfidence) {
+        const model = await this.getModel();
+        const transactions = await database.query(
+            `SELECT t.id, t.booking_date, t.counterpart_name, t.counterpart_account, t.transaction_type,
+                t.description, t.amount, t.currency
+            FROM transactions t
+            LEFT JOIN transaction_categories tc ON tc.transaction_id = t.id
+            WHERE tc.transaction_id IS NULL`
+        );
+
+        return transactions
+            .map(transaction => ({ transaction, suggestion: this.rank(transaction, model)[0] }))
+            .filter(entry => entry.suggestion && entry.suggestion.confidence >= minConfidence)
+            .sort((a, b) => b.suggestion.confidence - a.suggestion.confidence);
+    }
+
+    /**
+     * Assign the top suggestion to every uncategorized transaction at or above a confidence
+     * Accepted suggestions count as assigned by hand, so rules leave them alone
+     * @param {number} minConfidence - Confidence from 0 to 1
+     * @returns {number} Number of categorized transactions
+     */
+    async acceptAbove(minConfidence) {
+        const accepted = await this.suggestUncategorized(minConfidence);
+        if (accepted.length === 0) return 0;
+
+        await database.transaction(async (tx) => {
+            await tx.query(
+                'INSERT IGNORE INTO transaction_categories (transaction_id, category_id) VALUES ?',
+                [accepted.map(({ transaction, suggestion }) => [transaction.id, suggestion.categoryId])]
+            );
+        });
+
+        this.invalidate();
+        return accepted.length;
+    }
+}
+
+module.exports = new CategorySuggester();
@@ -0,0 +1,346 @@
+// CODA transaction families (positions 55-56 of record 2.1) mapped to readable types
+const TRANSACTION_FAMILIES = {
+    '01': 'Domestic or SEPA credit transfer',
+    '02': 'Instant SEPA credit transfer',
+    '03': 'Cheque',
+    '04': 'Card payment',
+    '05': 'Direct debit',
+    '07': 'Domestic commercial paper',
+    '09': 'Counter transaction',
+    '11': 'Securities',
+    '13': 'Loan',
+    '30': 'Various transactions',
+    '35': 'Closing',
+    '41': 'International credit transfer',
+    '43': 'Foreign cheque',
+    '47': 'Foreign commercial paper',
+    '80': 'Separately charged costs'
+};
+
+// CODA records are fixed-width lines of 128 characters
+const RECORD_LENGTH = 128;
+
+class CODAParser {
+    /**
+     * Parse a CODA (Belgian coded statement) file
+     * @param {string} codaContent - Raw CODA file content
+     * @returns {Object} Parse result with transactions, statement balances or error
+     */
+    async parseCODA(codaContent) {
+        try {
+            const lines = codaContent
+                .replace(/^\uFEFF/, '')
+                .split(/\r?\n/)
+                .filter(line => line.trim())
+                .map(line => line.padEnd(RECORD_LENGTH));
+
+            if (lines.length === 0 || lines[0][0] !== '0') {
+                return {
+                    success: false,
+                    error: 'Invalid CODA file: missing header record'
+                };
+            }
+
+            console.log(`📄 Processing ${lines.length} records from CODA file`);
+
+            const movements = [];
+            const statements = [];
+            const errors = [];
+            let statement = null;
+            let movement = null;
+
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i];
+                const recordType = line[0];
+                const articleCode = line[1];
+
+                try {
+                    if (recordType === '1') {
+                        statement = this.parseOldBalanceRecord(line);
+                    } else if (recordType === '2' && statement) {
+                        if (articleCode === '1') {
+                            movement = this.parseMovementRecord(line, statement);
+
+                            // Detail records of a globalised movement would double count it
+                            if (movement.detailNumber === '0000') {
+                                movements.push(movement);
+                            }
+                        } else if (movement) {
+                            this.parseMovementContinuation(line, articleCode, movement);
+                        }
+                    } else if (recordType === '3' && movement) {
+                        this.parseInformationRecord(line, articleCode, movement);
+                    } else if (recordType === '8' && statement) {
+                        statements.push(this.parseNewBalanceRecord(line, statement));
+                        statement = null;
+                        movement = null;
+                    }
+                } catch (error) {
+                    console.error(`❌ Error parsing CODA record ${i + 1}:`, error.message);
+                    errors.push({ row: i + 1, error: error.message });
+
+                    // The records following a movement that failed to parse must not extend the previous one
+                    if (recordType === '2' && articleCode === '1') {
+                        movement = null;
+                    }
+                    // Continue with other records instead of failing completely
+                }
+            }
+
+            const transactions = movements.map(item => this.buildTransaction(item));
+
+            if (transactions.length === 0) {
+                return {
+                    success: false,
+                    error: 'No valid transactions found in CODA file. Please check the file format.'
+                };
+            }
+
+            console.log(`✅ Successfully parsed ${transactions.length} transactions from ${statements.length} CODA statement(s)`);
+
+            return {
+                success: true,
+                format: { id: 'coda', name: 'CODA' },
+                transactions: transactions,
+                statements: statements,
+                errors: errors
+            };
+
+        } catch (error) {
+            console.error('CODA parsing error:', error);
+            return {
+                success: false,
+                error: `Failed to parse CODA: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Parse record 1 (old balance) which opens a statement
+     * @param {string} line - 128 character record
+     * @returns {Object} Statement with account, currency and opening balance
+     */
+    parseOldBalanceRecord(line) {
+        const { accountNumber, currency } = this.parseAccount(line[1], line.substring(5, 42));
+
+        return {
+            accountNumber: accountNumber,
+            currency: currency,
+            statementNumber: line.substring(2, 5).trim() || null,
+            openingBalance: this.parseAmount(line[42], line.substring(43, 58)),
+            openingDate: this.parseDate(line.substring(58, 64)),
+            accountHolder: line.substring(64, 90).trim() || null
+        };
+    }
+
+    /**
+     * Parse record 8 (new balance) which closes a statement
+     * @param {string} line - 128 character record
+     * @param {Object} statement - Statement opened by record 1
+     * @returns {Object} Statement with closing balance
+     */
+    parseNewBalanceRecord(line, statement) {
+        return {
+            accountNumber: statement.accountNumber,
+            statementNumber: statement.statementNumber,
+            currency: statement.currency,
+            openingBalance: statement.openingBalance,
+            openingDate: statement.openingDate,
+            closingBalance: this.parseAmount(line[41], line.substring(42, 57)),
+            closingDate: this.parseDate(line.substring(57, 63))
+        };
+    }
+
+    /**
+     * Parse record 2.1 (movement)
+     * @param {string} line - 128 character record
+     * @param {Object} statement - Statement the movement belongs to
+     * @returns {Object} Movement state with the transaction being built
+     */
+    parseMovementRecord(line, statement) {
+        const sequenceNumber = line.substring(2, 6);
+        const transactionCode = line.substring(53, 61);
+        const bookingDate = this.parseDate(line.substring(115, 121));
+
+        if (!bookingDate) {
+            throw new Error(`Invalid booking date: ${line.substring(115, 121)}`);
+        }
+
+        const amount = this.parseAmount(line[31], line.substring(32, 47));
+        if (amount === null) {
+            throw new Error(`Invalid amount: ${line.substring(32, 47)}`);
+        }
+
+        return {
+            detailNumber: line.substring(6, 10),
+            structured: line[61] === '1',
+            communication: [line.substring(62, 115)],
+            information: [],
+            bankReference: line.substring(10, 31).trim() || null,
+            transaction: {
+                accountNumber: statement.accountNumber,
+                statementNumber: statement.statementNumber,
+                transactionNumber: String(parseInt(sequenceNumber, 10)),
+                bookingDate: bookingDate,
+                valueDate: this.parseDate(line.substring(47, 53)),
+                counterpartAccount: null,
+                counterpartName: null,
+                counterpartAddress: null,
+                counterpartPostalCode: null,
+                counterpartCity: null,
+                transactionType: this.describeTransactionCode(transactionCode),
+                amount: amount,
+                currency: statement.currency,
+                bic: null,
+                countryCode: null,
+                description: null,
+                referenceNumber: null,
+                endToEndId: null
+            }
+        };
+    }
+
+    /**
+     * Parse records 2.2 and 2.3 (movement continuation)
+     * @param {string} line - 128 character record
+     * @param {string} articleCode - '2' or '3'
+     * @param {Object} movement - Movement state from record 2.1
+     */
+    parseMovementContinuation(line, articleCode, movement) {
+        const transaction = movement.transaction;
+
+        if (articleCode === '2') {
+            movement.communication.push(line.substring(10, 63));
+            movement.customerReference = line.substring(63, 98).trim() || null;
+            transaction.bic = line.substring(98, 109).trim() || null;
+        } else if (articleCode === '3') {
+            const { accountNumber } = this.parseCounterpartAccount(line.substring(10, 47));
+            transaction.counterpartAccount = accountNumber;
+            transaction.counterpartName = line.substring(47, 82).trim() || null;
+            movement.communication.push(line.substring(82, 125));
+        }
+    }
+
+    /**
+     * Parse records 3.x (information linked to the last movement)
+     * @param {string} line - 128 character record
+     * @param {string} articleCode - '1', '2' or '3'
+     * @param {Object} movement - Movement state from record 2.1
+     */
+    parseInformationRecord(line, articleCode, movement) {
+        if (articleCode === '1') {
+            movement.information.push(line.substring(40, 113));
+        } else if (articleCode === '2') {
+            movement.information.push(line.substring(10, 115));
+        } else if (articleCode === '3') {
+            movement.information.push(line.substring(10, 100));
+        }
+    }
+
+    /**
+     * Build description and reference once all records of a movement are read
+     * @param {Object} movement - Movement state from records 2.x and 3.x
+     * @returns {Object} Transaction in the same shape as CSVParser.parseTransactionRow
+     */
+    buildTransaction(movement) {
+        const transaction = movement.transaction;
+        const communication = movement.communication.join('').trim();
+        const information = movement.information.map(text => text.trim()).filter(Boolean).join(' ');
+        const structuredReference = movement.structured ? this.formatStructuredCommunication(communication) : null;
+
+        transaction.description = [structuredReference || communication, information]
+            .filter(Boolean)
+            .join(' ') || null;
+        transaction.endToEndId = movement.customerReference && movement.customerReference !== 'NOTPROVIDED' ?
+            movement.customerReference : null;
+        transaction.referenceNumber = structuredReference || movement.customerReference ||
+            movement.bankReference || transaction.transactionNumber;
+
+        if (transaction.counterpartAccount && /^[A-Z]{2}/.test(transaction.counterpartAccount)) {
+            transaction.countryCode = transaction.counterpartAccount.substring(0, 2);
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Split the account field of record 1 according to its account structure
+     * @param {string} structure - 0/1 = Belgian/foreign BBAN, 2/3 = Belgian/foreign IBAN
+     * @param {string} field - 37 character account and currency field
+     * @returns {Object} Object with accountNumber and currency
+     */
+    parseAccount(structure, field) {
+        switch (structure) {
+        case '0':
+            return { accountNumber: field.substring(0, 12).trim(), currency: field.substring(13, 16).trim() || 'EUR' };
+        case '2':
+            return { accountNumber: field.substring(0, 16).trim(), currency: field.substring(34, 37).trim() || 'EUR' };
+        default:
+            return { accountNumber: field.substring(0, 34).trim(), currency: field.substring(34, 37).trim() || 'EUR' };
+        }
+    }
+
+    /**
+     * Parse the counterparty account field of record 2.3
+     * @param {string} field - 37 character account field (IBAN followed by currency)
+     * @returns {Object} Object with accountNumber
+     */
+    parseCounterpartAccount(field) {
+        const account = field.substring(0, 34).trim();
+        return { accountNumber: account && !/^0+$/.test(account) ? account : null };
+    }
+
+    /**
+     * Parse a CODA amount (12 integer digits + 3 decimals, separate sign)
+     * @param {string} sign - '0' credit, '1' debit
+     * @param {string} digits - 15 digit amount
+     * @returns {number|null} Parsed amount or null if invalid
+     */
+    parseAmount(sign, digits) {
+        if (!/^\d{15}$/.test(digits)) return null;
+
+        const amount = parseInt(digits, 10) / 1000;
+        return sign === '1' ? -amount : amount;
+    }
+
+    /**
+     * Parse date in DDMMYY format
+     * @param {string} dateStr - Date string
+     * @returns {string|null} Date in YYYY-MM-DD format or null if invalid or unknown
+     */
+    parseDate(dateStr) {
+        if (!/^\d{6}$/.test(dateStr) || dateStr === '000000') return null;
+
+        const day = parseInt(dateStr.substring(0, 2), 10);
+        const month = parseInt(dateStr.substring(2, 4), 10);
+        const year = 2000 + parseInt(dateStr.substring(4, 6), 10);
+
+        if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+
+        return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a Belgian structured communication (type 101) as +++123/4567/89012+++
+     * @param {string} communication - Structured communication field
+     * @returns {string|null} Formatted communication or null if not type 101
+     */
+    formatStructuredCommunication(communication) {
+        const match = communication.match(/^101(\d{12})/);
+        if (!match) return null;
+
+        const digits = match[1];
+        return `+++${digits.substring(0, 3)}/${digits.substring(3, 7)}/${digits.substring(7)}+++`;
+    }
+
+    /**
+     * Describe an 8 digit CODA transaction code by its family
+     * @param {string} code - Transaction code (type, family, transaction, category)
+     * @returns {string} Readable transaction type
+     */
+    describeTransactionCode(code) {
+        return TRANSACTION_FAMILIES[code.substring(1, 3)] || `CODA ${code}`;
+    }
+}
+
+module.exports = new CODAParser();
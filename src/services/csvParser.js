@@ -1,16 +1,43 @@
 const Papa = require('papaparse');
+const bankFormats = require('./bankFormats');
+
+// Number of leading lines searched for a known header row
+const HEADER_SCAN_LINES = 20;
+
+// Delimiters tried when sniffing an unknown CSV layout
+const CANDIDATE_DELIMITERS = [';', ',', '\t', '|'];
+
+// Number of data rows returned by inspect() for the column-mapping preview
+const PREVIEW_ROWS = 10;
 
 class CSVParser {
     /**
-     * Parse Belgian bank CSV file (Belfius format)
+     * Parse Belgian bank CSV file, auto-detecting the bank format from the header row
      * @param {string} csvContent - Raw CSV file content
-     * @returns {Object} Parse result with transactions or error
+     * @param {Array} customFormats - Extra formats to try, such as saved mapping profiles
+     * @returns {Object} Parse result with transactions and matched format, or error
      */
-    async parseBelgianBankCSV(csvContent) {
+    async parseBelgianBankCSV(csvContent, customFormats = []) {
         try {
-            // Belgian CSV files use semicolon as delimiter and comma as decimal separator
+            const detected = this.detectFormat(csvContent, [...bankFormats.list(), ...customFormats]);
+            
+            if (!detected) {
+                const supported = bankFormats.list().map(format => format.name).join(', ');
+                return {
+                    success: false,
+                    needsMapping: true,
+                    error: `Unrecognized CSV format. Supported banks: ${supported}. Map the columns to import it.`
+                };
+            }
+            
+            const { format, headerIndex } = detected;
+            console.log(`🏦 Detected bank format: ${format.name}`);
+            
+            // Drop any preamble lines above the header row
+            const content = csvContent.replace(/^\uFEFF/, '').split(/\r?\n/).slice(headerIndex).join('\n');
+            
             const parseConfig = {
-                delimiter: ';',
+                delimiter: format.delimiter,
                 header: true,
                 skipEmptyLines: true,
                 encoding: 'UTF-8',
@@ -20,7 +47,7 @@ class CSVParser {
                 }
             };
             
-            const parsed = Papa.parse(csvContent, parseConfig);
+            const parsed = Papa.parse(content, parseConfig);
             
             if (parsed.errors && parsed.errors.length > 0) {
                 console.error('CSV parsing errors:', parsed.errors);
@@ -32,6 +59,7 @@ class CSVParser {
             
             const rows = parsed.data;
             const transactions = [];
+            const errors = [];
             
             console.log(`📄 Processing ${rows.length} rows from CSV`);
             console.log(`🔍 Headers found:`, Object.keys(rows[0] || {}));
@@ -45,20 +73,26 @@ class CSVParser {
                     continue;
                 }
                 
-                // Check if this looks like a valid transaction row (has account number)
-                const accountNumber = row['Rekening'] || Object.values(row)[0];
-                if (!accountNumber || !accountNumber.toString().startsWith('BE')) {
+                if (format.skipRow && format.skipRow(row)) {
+                    console.log(`⚠️  Skipping row ${i + 1}: Excluded by ${format.name} format`);
+                    continue;
+                }
+                
+                // Check if this looks like a valid transaction row (has an IBAN account number)
+                const accountNumber = this.getColumn(row, format.columns.accountNumber);
+                if (!accountNumber || !/^[A-Z]{2}\d{2}/.test(accountNumber.replace(/\s/g, ''))) {
                     console.log(`⚠️  Skipping row ${i + 1}: No valid account number found`);
                     continue;
                 }
                 
                 try {
-                    const transaction = this.parseTransactionRow(row);
+                    const transaction = this.parseTransactionRow(row, format);
                     if (transaction) {
                         transactions.push(transaction);
                     }
                 } catch (error) {
                     console.error(`❌ Error parsing row ${i + 1}:`, error.message);
+                    errors.push({ row: i + 1, error: error.message });
                     // Continue with other rows instead of failing completely
                 }
             }
@@ -74,7 +108,9 @@ class CSVParser {
             
             return {
                 success: true,
-                transactions: transactions
+                format: { id: format.id, name: format.name },
+                transactions: transactions,
+                errors: errors
             };
             
         } catch (error) {
@@ -87,53 +123,174 @@ class CSVParser {
     }
     
     /**
-     * Parse a single transaction row using proper column mapping
+     * Detect the bank format by scanning the first lines for a known header row
+     * @param {string} csvContent - Raw CSV file content
+     * @param {Array} formats - Candidate formats (defaults to the built-in bank formats)
+     * @returns {Object|null} Matched format and header line index, or null if unknown
+     */
+    detectFormat(csvContent, formats = bankFormats.list()) {
+        const lines = csvContent.replace(/^\uFEFF/, '').split(/\r?\n/).slice(0, HEADER_SCAN_LINES);
+        const delimiters = [...new Set(formats.map(format => format.delimiter))];
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            
+            for (const delimiter of delimiters) {
+                const headers = Papa.parse(lines[i], { delimiter }).data[0] || [];
+                const format = bankFormats.detect(headers, delimiter, formats);
+                if (format) {
+                    return { format, headerIndex: i };
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Preview an unknown CSV layout: header row, first data rows and header signature
+     * @param {string} csvContent - Raw CSV file content
+     * @param {string} delimiter - Delimiter to split on, sniffed from the first lines if omitted
+     * @param {number} headerRow - 1-based line number of the header row, searched for if omitted
+     * @returns {Object} Preview with delimiter, header row, headers, rows and signature
+     */
+    inspect(csvContent, delimiter, headerRow) {
+        const lines = csvContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const scanned = lines.slice(0, HEADER_SCAN_LINES);
+        const usedDelimiter = CANDIDATE_DELIMITERS.includes(delimiter) ? delimiter : this.sniffDelimiter(scanned.join('\n'));
+        
+        const requested = parseInt(headerRow) - 1;
+        const headerIndex = requested >= 0 && requested < lines.length && lines[requested].trim()
+            ? requested
+            : this.findHeaderRow(scanned, usedDelimiter);
+        
+        const parsed = Papa.parse(lines.slice(headerIndex).join('\n'), {
+            delimiter: usedDelimiter,
+            skipEmptyLines: true,
+            preview: PREVIEW_ROWS + 1
+        });
+        const [headerRowValues = [], ...rows] = parsed.data;
+        const headers = headerRowValues.map(header => header.toString().trim());
+        
+        return {
+            delimiter: usedDelimiter,
+            headerRow: headerIndex + 1,
+            headers: headers,
+            rows: rows,
+            signature: bankFormats.headerSignature(headers)
+        };
+    }
+    
+    /**
+     * Find the header row of an unknown layout among the first lines, as detectFormat() does for
+     * known ones: preamble lines such as "Account: BE.." have fewer columns than the header,
+     * so the first line with the most columns is taken
+     * @param {Array<string>} lines - First lines of the file
+     * @param {string} delimiter - Delimiter to split on
+     * @returns {number} Index of the header line
+     */
+    findHeaderRow(lines, delimiter) {
+        const widths = lines.map(line => {
+            if (!line.trim()) return 0;
+            
+            // A trailing delimiter on data rows does not make them wider than the header
+            const values = Papa.parse(line, { delimiter }).data[0] || [];
+            while (values.length > 0 && !values[values.length - 1].trim()) values.pop();
+            return values.length;
+        });
+        
+        const widest = Math.max(...widths);
+        return widest > 0 ? widths.indexOf(widest) : 0;
+    }
+    
+    /**
+     * Guess the delimiter of the first lines by the most frequent candidate
+     * @param {string} line - First lines of the file
+     * @returns {string} Delimiter
+     */
+    sniffDelimiter(line = '') {
+        const counts = CANDIDATE_DELIMITERS.map(delimiter => line.split(delimiter).length - 1);
+        return CANDIDATE_DELIMITERS[counts.indexOf(Math.max(...counts))];
+    }
+    
+    /**
+     * Read a mapped column from a row, matching headers case-insensitively
+     * @param {Object} row - CSV row object with headers as keys
+     * @param {string|Array<string>} column - Header name, or several to join with a space
+     * @returns {string|undefined} Trimmed value or undefined if empty
+     */
+    getColumn(row, column) {
+        if (!column) return undefined;
+        
+        if (Array.isArray(column)) {
+            const joined = column
+                .map(name => this.getColumn(row, name))
+                .filter(Boolean)
+                .join(' ');
+            return joined || undefined;
+        }
+        
+        let value = row[column];
+        if (value === undefined) {
+            const key = Object.keys(row).find(header => header.toLowerCase() === column.toLowerCase());
+            value = key !== undefined ? row[key] : undefined;
+        }
+        
+        const trimmed = value?.toString().trim();
+        return trimmed || undefined;
+    }
+    
+    /**
+     * Parse a single transaction row using the column mapping of a bank format
      * @param {Object} row - CSV row object with headers as keys
+     * @param {Object} format - Bank format definition (defaults to Belfius)
      * @returns {Object|null} Parsed transaction or null if invalid
      */
-    parseTransactionRow(row) {
-        // Map CSV columns to our expected fields based on Belfius format
-        const accountNumber = row['Rekening']?.toString().trim();
-        const bookingDateStr = row['Boekingsdatum']?.toString().trim();
-        const statementNumber = row['Rekeninguittrekselnummer']?.toString().trim();
-        const transactionNumber = row['Transactienummer']?.toString().trim();
-        const counterpartAccount = row['Rekening tegenpartij']?.toString().trim();
-        const counterpartName = row['Naam tegenpartij bevat']?.toString().trim();
-        const counterpartAddress = row['Straat en nummer']?.toString().trim();
-        const counterpartPostalCode = row['Postcode en plaats']?.toString().trim();
-        const transactionType = row['Transactie']?.toString().trim();
-        const valueDateStr = row['Valutadatum']?.toString().trim();
-        const amountStr = row['Bedrag']?.toString().trim();
-        const currency = row['Devies']?.toString().trim() || 'EUR';
-        const bic = row['BIC']?.toString().trim();
-        const countryCode = row['Landcode']?.toString().trim();
-        const description = row['Mededelingen']?.toString().trim();
+    parseTransactionRow(row, format = bankFormats.get('belfius')) {
+        const columns = format.columns;
+        
+        const accountNumber = this.getColumn(row, columns.accountNumber);
+        const bookingDateStr = this.getColumn(row, columns.bookingDate);
+        const statementNumber = this.getColumn(row, columns.statementNumber);
+        const transactionNumber = this.getColumn(row, columns.transactionNumber);
+        const counterpartAccount = this.getColumn(row, columns.counterpartAccount);
+        const counterpartName = this.getColumn(row, columns.counterpartName);
+        const counterpartAddress = this.getColumn(row, columns.counterpartAddress);
+        const counterpartPostalCity = this.getColumn(row, columns.counterpartPostalCity);
+        const transactionType = this.getColumn(row, columns.transactionType);
+        const valueDateStr = this.getColumn(row, columns.valueDate);
+        const amountStr = this.getColumn(row, columns.amount);
+        const currency = this.getColumn(row, columns.currency) || 'EUR';
+        const bic = this.getColumn(row, columns.bic);
+        const countryCode = this.getColumn(row, columns.countryCode);
+        const description = this.getColumn(row, columns.description);
+        const reference = this.getColumn(row, columns.referenceNumber);
         
         // Skip rows without essential data
         if (!accountNumber || !bookingDateStr || !amountStr) {
             return null;
         }
         
-        // Parse dates (DD/MM/YYYY format)
-        const bookingDate = this.parseDate(bookingDateStr);
-        const valueDate = this.parseDate(valueDateStr);
+        // Parse dates using the bank's date convention
+        const bookingDate = this.parseDate(bookingDateStr, format.dateFormat);
+        const valueDate = this.parseDate(valueDateStr, format.dateFormat);
         
         if (!bookingDate) {
             throw new Error(`Invalid booking date: ${bookingDateStr}`);
         }
         
-        // Parse amount (Belgian format: comma as decimal separator)
-        const amount = this.parseAmount(amountStr);
+        // Parse amount using the bank's decimal separator
+        const amount = this.parseAmount(amountStr, format.decimalSeparator);
         
         if (amount === null) {
             throw new Error(`Invalid amount: ${amountStr}`);
         }
         
         // Extract postal code and city from counterpart address
-        const { postalCode, city } = this.parsePostalCodeCity(counterpartPostalCode);
+        const { postalCode, city } = this.parsePostalCodeCity(counterpartPostalCity);
         
         // Generate reference number from description if not provided
-        const referenceNumber = this.extractReference(description) || transactionNumber;
+        const referenceNumber = reference || this.extractReference(description) || transactionNumber || null;
         
         return {
             accountNumber: accountNumber,
@@ -152,46 +309,55 @@ class CSVParser {
             bic: bic || null,
             countryCode: countryCode || null,
             description: description || null,
-            referenceNumber: referenceNumber
+            referenceNumber: referenceNumber,
+            endToEndId: null
         };
     }
     
     /**
-     * Parse date in DD/MM/YYYY format
+     * Parse date according to a day/month/year pattern
      * @param {string} dateStr - Date string
+     * @param {string} dateFormat - Pattern such as DD/MM/YYYY, DD-MM-YYYY or YYYY-MM-DD
      * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
      */
-    parseDate(dateStr) {
+    parseDate(dateStr, dateFormat = 'DD/MM/YYYY') {
         if (!dateStr || dateStr.trim() === '') return null;
         
-        const parts = dateStr.split('/');
-        if (parts.length !== 3) return null;
+        const order = dateFormat.split(/[^A-Z]+/);
+        const parts = dateStr.trim().split(/[^\d]+/);
+        if (parts.length !== 3 || order.length !== 3) return null;
         
-        const day = parseInt(parts[0]);
-        const month = parseInt(parts[1]);
-        const year = parseInt(parts[2]);
+        const value = (token) => parseInt(parts[order.findIndex(part => part.startsWith(token))]);
+        const day = value('D');
+        const month = value('M');
+        let year = value('Y');
         
         if (isNaN(day) || isNaN(month) || isNaN(year)) return null;
         if (day < 1 || day > 31 || month < 1 || month > 12) return null;
         
+        // Two-digit years (DD/MM/YY) are always in this century for bank exports
+        if (year < 100) year += 2000;
+        
         // Convert to YYYY-MM-DD format
         return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
     }
     
     /**
-     * Parse amount in Belgian format (comma as decimal separator)
+     * Parse amount (Belgian format uses comma as decimal separator)
      * @param {string} amountStr - Amount string
+     * @param {string} decimalSeparator - Decimal separator, ',' or '.'
      * @returns {number|null} Parsed amount or null if invalid
      */
-    parseAmount(amountStr) {
+    parseAmount(amountStr, decimalSeparator = ',') {
         if (!amountStr || amountStr.trim() === '') return null;
         
         // Remove any currency symbols and whitespace
-        let cleaned = amountStr.replace(/[^\d,.-]/g, '');
+        let cleaned = amountStr.replace(/[^\d,.+-]/g, '');
         
-        // Handle Belgian format: comma as decimal separator
-        // Replace comma with dot for parsing
-        cleaned = cleaned.replace(',', '.');
+        // Drop thousands separators and normalize the decimal separator to a dot
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        cleaned = cleaned.split(thousandsSeparator).join('');
+        cleaned = cleaned.replace(decimalSeparator, '.');
         
         const amount = parseFloat(cleaned);
         return isNaN(amount) ? null : amount;
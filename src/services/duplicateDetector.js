@@ -0,0 +1,262 @@
+const database = require('../config/database');
+const transactionSplits = require('./transactionSplits');
+
+// Pairs scoring at least this much (out of 100) are flagged for review
+const SUSPECT_THRESHOLD = 50;
+
+// Booking dates of the same payment can differ this much between banks and formats
+const DATE_WINDOW_DAYS = 3;
+
+// Score weights adding up to 100; only pairs with an equal amount are scored at all
+const WEIGHTS = {
+    transactionNumber: 30,
+    valueDate: 25,
+    description: 35,
+    counterpartAccount: 10
+};
+
+// Empty fields of the kept transaction are filled from the merged copy
+// Columns of the unique_transaction key are left alone so a merge can never collide
+const MERGE_FIELDS = [
+    'transaction_number', 'value_date', 'counterpart_name', 'counterpart_address',
+    'counterpart_postal_code', 'counterpart_city', 'transaction_type', 'bic',
+    'country_code', 'description', 'end_to_end_id'
+];
+
+const PAIR_COLUMNS = [
+    'id', 'account_number', 'transaction_number', 'booking_date', 'value_date', 'amount',
+    'currency', 'counterpart_account', 'counterpart_name', 'description', 'reference_number', 'file_hash'
+];
+
+class DuplicateDetector {
+    /**
+     * Flag transactions of an imported file that look like transactions from other files
+     * @param {string} fileHash - Hash of the imported file
+     * @returns {number} Number of newly flagged pairs
+     */
+    async scanFile(fileHash) {
+        return this.scan('t.file_hash = ?', [fileHash]);
+    }
+
+    /**
+     * Flag suspected duplicates across all stored transactions
+     * @returns {number} Number of newly flagged pairs
+     */
+    async scanAll() {
+        return this.scan('o.id < t.id', []);
+    }
+
+    /**
+     * Score candidate pairs and store the suspicious ones
+     * Candidates share account and amount, are booked within DATE_WINDOW_DAYS and come
+     * from different files: a statement never lists the same payment twice, so two
+     * identical rows in one file are always separate payments
+     * @param {string} condition - SQL condition on t (the later transaction) and o (the earlier one)
+     * @param {Array} params - Parameters of the condition
+     * @returns {number} Number of newly flagged pairs
+     */
+    async scan(condition, params) {
+        const pairs = await database.query(
+            `SELECT ${PAIR_COLUMNS.map(column => `t.${column} as t_${column}, o.${column} as o_${column}`).join(', ')}
+            FROM transactions t
+            JOIN transactions o ON o.amount = t.amount
+                AND o.id <> t.id
+                AND REPLACE(o.account_number, ' ', '') = REPLACE(t.account_number, ' ', '')
+                AND o.booking_date BETWEEN DATE_SUB(t.booking_date, INTERVAL ${DATE_WINDOW_DAYS} DAY)
+                    AND DATE_ADD(t.booking_date, INTERVAL ${DATE_WINDOW_DAYS} DAY)
+                AND NOT (o.file_hash <=> t.file_hash)
+            WHERE ${condition}`,
+            params
+        );
+
+        let flagged = 0;
+
+        for (const pair of pairs) {
+            const transaction = this.pick(pair, 't_');
+            const original = this.pick(pair, 'o_');
+            const score = this.score(transaction, original);
+
+            if (score < SUSPECT_THRESHOLD) continue;
+
+            // Pairs already reviewed keep their decision
+            const result = await database.query(
+                'INSERT IGNORE INTO duplicate_candidates (transaction_id, duplicate_of_id, score) VALUES (?, ?, ?)',
+                [transaction.id, original.id, score]
+            );
+            flagged += result.affectedRows;
+        }
+
+        if (flagged > 0) {
+            console.log(`🔁 Flagged ${flagged} suspected duplicate(s) for review`);
+        }
+
+        return flagged;
+    }
+
+    /**
+     * Score how likely two transactions are the same payment
+     * @param {Object} a - Transaction row
+     * @param {Object} b - Transaction row
+     * @returns {number} Score from 0 to 100
+     */
+    score(a, b) {
+        if (Number(a.amount).toFixed(2) !== Number(b.amount).toFixed(2)) return 0;
+
+        let score = 0;
+
+        if (a.transaction_number && b.transaction_number &&
+            this.normalizeReference(a.transaction_number) === this.normalizeReference(b.transaction_number)) {
+            score += WEIGHTS.transactionNumber;
+        }
+
+        const days = this.dayDifference(a.value_date || a.booking_date, b.value_date || b.booking_date);
+        if (days === 0) {
+            score += WEIGHTS.valueDate;
+        } else if (days === 1) {
+            score += WEIGHTS.valueDate * 0.6;
+        } else if (days <= DATE_WINDOW_DAYS) {
+            score += WEIGHTS.valueDate * 0.2;
+        }
+
+        score += WEIGHTS.description * this.descriptionSimilarity(a.description, b.description);
+
+        if (a.counterpart_account && b.counterpart_account &&
+            this.normalizeReference(a.counterpart_account) === this.normalizeReference(b.counterpart_account)) {
+            score += WEIGHTS.counterpartAccount;
+        }
+
+        return Math.round(score);
+    }
+
+    /**
+     * Compare descriptions by their words, ignoring case, punctuation and ordering
+     * Uses the overlap coefficient, as formats often add text to the same description
+     * @param {string} a - Description
+     * @param {string} b - Description
+     * @returns {number} Similarity from 0 to 1
+     */
+    descriptionSimilarity(a, b) {
+        const wordsA = this.descriptionWords(a);
+        const wordsB = this.descriptionWords(b);
+        if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+        const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+        return shared / Math.min(wordsA.size, wordsB.size);
+    }
+
+    descriptionWords(description) {
+        const normalized = (description || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ');
+
+        return new Set(normalized.split(' ').filter(word => word.length >= 3));
+    }
+
+    normalizeReference(value) {
+        return value.toString().replace(/[\s/+.-]/g, '').replace(/^0+/, '').toUpperCase();
+    }
+
+    dayDifference(a, b) {
+        const toDay = (date) => Math.floor(new Date(date).getTime() / 86400000);
+        return Math.abs(toDay(a) - toDay(b));
+    }
+
+    /**
+     * Get the columns of one side of a candidate pair
+     * @param {Object} row - Joined row with t_ and o_ prefixed columns
+     * @param {string} prefix - 't_' or 'o_'
+     * @returns {Object} Transaction row
+     */
+    pick(row, prefix) {
+        return Object.fromEntries(PAIR_COLUMNS.map(column => [column, row[prefix + column]]));
+    }
+
+    /**
+     * List suspected duplicates waiting for review
+     * @returns {Array} Candidates with both transactions and the files they came from
+     */
+    async listPending() {
+        const columns = [...PAIR_COLUMNS.filter(column => column !== 'file_hash'), 'imported_at'];
+        const rows = await database.query(
+            `SELECT dc.id, dc.score, dc.created_at,
+                ${columns.map(column => `t.${column} as t_${column}, o.${column} as o_${column}`).join(', ')},
+                tl.filename as t_filename, ol.filename as o_filename
+            FROM duplicate_candidates dc
+            JOIN transactions t ON t.id = dc.transaction_id
+            JOIN transactions o ON o.id = dc.duplicate_of_id
+            LEFT JOIN import_logs tl ON tl.file_hash = t.file_hash
+            LEFT JOIN import_logs ol ON ol.file_hash = o.file_hash
+            WHERE dc.review_status = 'pending'
+            ORDER BY dc.score DESC, dc.id`
+        );
+
+        const side = (row, prefix) => Object.fromEntries(
+            [...columns, 'filename'].map(column => [column, row[prefix + column]])
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            score: row.score,
+            createdAt: row.created_at,
+            transaction: side(row, 't_'),
+            duplicateOf: side(row, 'o_')
+        }));
+    }
+
+    /**
+     * Merge a suspected duplicate into the transaction it repeats
+     * The earlier transaction is kept, gains the categories of the copy and has its
+     * empty fields filled from it; the copy is deleted
+     * @param {number} candidateId - duplicate_candidates id
+     * @returns {Object|null} Kept and removed transaction ids, or null if not pending
+     */
+    async merge(candidateId) {
+        return database.transaction(async (tx) => {
+            const candidates = await tx.query(
+                'SELECT * FROM duplicate_candidates WHERE id = ? AND review_status = ? FOR UPDATE',
+                [candidateId, 'pending']
+            );
+            if (candidates.length === 0) return null;
+
+            const { transaction_id: removedId, duplicate_of_id: keptId } = candidates[0];
+            const copies = await tx.query('SELECT * FROM transactions WHERE id = ?', [removedId]);
+            const copy = copies[0];
+
+            await tx.query(
+                `INSERT IGNORE INTO transaction_categories (transaction_id, category_id, rule_id, amount, assigned_at)
+                SELECT ?, category_id, rule_id, amount, assigned_at FROM transaction_categories WHERE transaction_id = ?`,
+                [keptId, removedId]
+            );
+
+            // Deleting the copy also drops every candidate pair it was part of
+            await tx.query('DELETE FROM transactions WHERE id = ?', [removedId]);
+            await transactionSplits.clearIfUnbalanced(tx, keptId);
+
+            await tx.query(
+                `UPDATE transactions SET ${MERGE_FIELDS.map(field => `${field} = COALESCE(${field}, ?)`).join(', ')}
+                WHERE id = ?`,
+                [...MERGE_FIELDS.map(field => copy[field]), keptId]
+            );
+
+            return { keptId, removedId };
+        });
+    }
+
+    /**
+     * Mark a suspected duplicate as two separate payments
+     * @param {number} candidateId - duplicate_candidates id
+     * @returns {boolean} False if the candidate is not pending
+     */
+    async keepBoth(candidateId) {
+        const result = await database.query(
+            `UPDATE duplicate_candidates SET review_status = 'kept', reviewed_at = NOW()
+            WHERE id = ? AND review_status = 'pending'`,
+            [candidateId]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = new DuplicateDetector();
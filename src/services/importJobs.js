@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Finished jobs stay available this long so clients can fetch their result
+const JOB_TTL_MS = 30 * 60 * 1000;
+
+class ImportJobs extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+        // Every open progress stream subscribes to updates
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Run import work in the background and track its progress
+     * @param {string} type - Job type ('preview' or 'import')
+     * @param {string} filename - Original file name
+     * @param {Function} work - async (report) => result; report(progress) publishes an update
+     * @returns {Object} Job snapshot with its id
+     */
+    start(type, filename, work) {
+        this.purgeExpiredJobs();
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            filename,
+            status: 'running',
+            phase: 'queued',
+            progress: { total: 0, processed: 0, imported: 0, skipped: 0, errors: 0 },
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        this.jobs.set(job.id, job);
+
+        const report = ({ phase, ...progress }) => {
+            if (phase) job.phase = phase;
+            Object.assign(job.progress, progress);
+            this.publish(job);
+        };
+
+        // Let the request that started the job respond before any work happens
+        setImmediate(async () => {
+            try {
+                job.result = await work(report);
+                job.status = 'completed';
+                job.phase = 'done';
+            } catch (error) {
+                console.error(`Import job ${job.id} failed:`, error.message);
+                job.status = 'failed';
+                job.error = error.message;
+            }
+            this.publish(job);
+        });
+
+        return this.snapshot(job);
+    }
+
+    /**
+     * Get the current state of a job
+     * @param {string} id - Job id
+     * @returns {Object|null} Job snapshot or null if unknown or expired
+     */
+    get(id) {
+        this.purgeExpiredJobs();
+
+        const job = this.jobs.get(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    publish(job) {
+        job.updatedAt = Date.now();
+        this.emit('update', this.snapshot(job));
+    }
+
+    snapshot(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            filename: job.filename,
+            status: job.status,
+            phase: job.phase,
+            progress: { ...job.progress },
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    purgeExpiredJobs() {
+        const now = Date.now();
+        for (const [id, job] of this.jobs) {
+            if (job.status !== 'running' && now - job.updatedAt > JOB_TTL_MS) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = new ImportJobs();
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+// Import previews are kept in memory until committed, cancelled or expired
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+
+// Previews and parsed transactions kept at most; the oldest previews are dropped beyond these
+const MAX_PREVIEWS = 20;
+const MAX_PREVIEW_TRANSACTIONS = 100000;
+
+// Rows per multi-row INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+// Errors caused by the data of a single row; a statement failing with one of these leaves the
+// database transaction intact, anything else (deadlocks, lost connections) aborts the import
+const ROW_ERROR_CODES = [
+    'ER_DUP_ENTRY', 'ER_DATA_TOO_LONG', 'ER_TRUNCATED_WRONG_VALUE', 'ER_TRUNCATED_WRONG_VALUE_FOR_FIELD',
+    'ER_WARN_DATA_OUT_OF_RANGE', 'ER_BAD_NULL_ERROR'
+];
+
+const INSERT_COLUMNS = [
+    'account_number', 'statement_number', 'transaction_number',
+    'booking_date', 'value_date', 'counterpart_account', 'counterpart_name',
+    'counterpart_address', 'counterpart_postal_code', 'counterpart_city',
+    'transaction_type', 'amount', 'currency', 'bic', 'country_code',
+    'description', 'reference_number', 'end_to_end_id', 'file_hash'
+];
+
+class ImportService {
+    constructor() {
+        this.previews = new Map();
+    }
+
+    /**
+     * Insert parsed transactions with multi-row batches, skipping duplicates
+     * Meant to run inside database.transaction() so a fatal error rolls back the whole file
+     * @param {Array} transactions - Transactions from one of the statement parsers
+     * @param {string} fileHash - Hash of the imported file
+     * @param {Object} tx - Transaction handle from database.transaction()
+     * @param {Function} onProgress - Called with processed, imported, skipped and error counts after each batch
+     * @returns {Object} Imported, skipped and error counts with error details
+     */
+    async insertTransactions(transactions, fileHash, tx, onProgress = () => {}) {
+        const rows = await this.classify(transactions, tx);
+        const newRows = rows.filter(row => row.status === 'new');
+
+        let importedCount = 0;
+        let skippedCount = rows.length - newRows.length;
+        let errorCount = 0;
+        const errors = [];
+
+        const reportProgress = (processed) => onProgress({
+            total: rows.length,
+            processed: processed,
+            imported: importedCount,
+            skipped: skippedCount,
+            errors: errorCount
+        });
+        reportProgress(skippedCount);
+
+        for (let i = 0; i < newRows.length; i += INSERT_BATCH_SIZE) {
+            const batch = newRows.slice(i, i + INSERT_BATCH_SIZE);
+
+            try {
+                const result = await tx.query(
+                    `INSERT INTO transactions (${INSERT_COLUMNS.join(', ')}) VALUES ?`,
+                    [batch.map(row => this.toInsertValues(row.transaction, fileHash))]
+                );
+                importedCount += result.affectedRows;
+            } catch (batchError) {
+                // A deadlock or a lost connection has already ended the transaction; rows retried
+                // now would commit on their own, so let database.transaction() roll the file back
+                if (!ROW_ERROR_CODES.includes(batchError.code)) throw batchError;
+
+                // A statement failing on bad data is undone on its own, so retry the batch row by row
+                // to import the valid rows and report the ones that fail
+                for (const row of batch) {
+                    try {
+                        await tx.query(
+                            `INSERT INTO transactions (${INSERT_COLUMNS.join(', ')}) VALUES ?`,
+                            [[this.toInsertValues(row.transaction, fileHash)]]
+                        );
+                        importedCount++;
+                    } catch (error) {
+                        if (!ROW_ERROR_CODES.includes(error.code)) throw error;
+
+                        if (error.code === 'ER_DUP_ENTRY') {
+                            skippedCount++;
+                        } else {
+                            errorCount++;
+                            errors.push({
+                                row: row.row,
+                                error: error.message
+                            });
+                            console.error(`Error importing transaction ${row.row}:`, error.message);
+                        }
+                    }
+                }
+            }
+
+            reportProgress(rows.length - newRows.length + i + batch.length);
+        }
+
+        return { importedCount, skippedCount, errorCount, errors };
+    }
+
+    /**
+     * Column values of a transaction in INSERT_COLUMNS order
+     * @param {Object} transaction - Parsed transaction
+     * @param {string} fileHash - Hash of the imported file
+     * @returns {Array} Values
+     */
+    toInsertValues(transaction, fileHash) {
+        return [
+            transaction.accountNumber,
+            transaction.statementNumber,
+            transaction.transactionNumber,
+            transaction.bookingDate,
+            transaction.valueDate,
+            transaction.counterpartAccount,
+            transaction.counterpartName,
+            transaction.counterpartAddress,
+            transaction.counterpartPostalCode,
+            transaction.counterpartCity,
+            transaction.transactionType,
+            transaction.amount,
+            transaction.currency,
+            transaction.bic,
+            transaction.countryCode,
+            transaction.description,
+            transaction.referenceNumber,
+            transaction.endToEndId || null,
+            fileHash
+        ];
+    }
+
+    /**
+     * Undo an import: delete its transactions, their category links and statement balances
+     * The log is kept as 'reverted' and dropped when the same file is uploaded again
+     * @param {number} logId - import_logs id
+     * @returns {Object|null} Deleted transaction count, or null if the import does not exist
+     */
+    async undoImport(logId) {
+        return database.transaction(async (tx) => {
+            const logs = await tx.query('SELECT * FROM import_logs WHERE id = ? FOR UPDATE', [logId]);
+            if (logs.length === 0) return null;
+
+            const log = logs[0];
+            if (log.import_status === 'processing') {
+                const error = new Error('Import is still processing');
+                error.status = 409;
+                throw error;
+            }
+
+            await tx.query(
+                `DELETE tc FROM transaction_categories tc
+                JOIN transactions t ON t.id = tc.transaction_id
+                WHERE t.file_hash = ?`,
+                [log.file_hash]
+            );
+            const deleted = await tx.query('DELETE FROM transactions WHERE file_hash = ?', [log.file_hash]);
+            await tx.query('DELETE FROM account_statements WHERE file_hash = ?', [log.file_hash]);
+
+            await tx.query('UPDATE import_logs SET import_status = ? WHERE id = ?', ['reverted', logId]);
+
+            console.log(`↩️  Reverted import ${logId} (${log.filename}): ${deleted.affectedRows} transactions deleted`);
+
+            return { deletedTransactions: deleted.affectedRows };
+        });
+    }
+
+    /**
+     * Mark imports left in 'processing' by a crash as failed
+     * Their rows were never committed, so the file can simply be uploaded again
+     * @returns {number} Number of recovered import logs
+     */
+    async recoverInterruptedImports() {
+        const result = await database.query(
+            `UPDATE import_logs SET import_status = 'failed', completed_at = NOW(),
+                error_message = 'Import interrupted before completion, no transactions were saved'
+            WHERE import_status = 'processing'`
+        );
+
+        if (result.affectedRows > 0) {
+            console.log(`⚠️  Marked ${result.affectedRows} interrupted import(s) as failed`);
+        }
+        return result.affectedRows;
+    }
+
+    /**
+     * Classify parsed transactions as new or duplicate without writing anything
+     * Mirrors the unique_transaction key: rows with a NULL counterpart account or
+     * reference number never collide, exactly as in MySQL
+     * @param {Array} transactions - Parsed transactions
+     * @param {Object} executor - database or a transaction handle to read through
+     * @returns {Array} Rows with row number, status ('new' or 'duplicate') and transaction
+     */
+    async classify(transactions, executor = database) {
+        const existingKeys = await this.loadExistingKeys(transactions, executor);
+        const fileKeys = new Set();
+
+        return transactions.map((transaction, index) => {
+            const key = this.uniqueKey(transaction);
+            const isDuplicate = key !== null && (existingKeys.has(key) || fileKeys.has(key));
+
+            if (key !== null) fileKeys.add(key);
+
+            return {
+                row: index + 1,
+                status: isDuplicate ? 'duplicate' : 'new',
+                transaction
+            };
+        });
+    }
+
+    /**
+     * Load unique keys of stored transactions overlapping the parsed accounts and dates
+     * @param {Array} transactions - Parsed transactions
+     * @param {Object} executor - database or a transaction handle to read through
+     * @returns {Set<string>} Unique keys
+     */
+    async loadExistingKeys(transactions, executor = database) {
+        const keys = new Set();
+        if (transactions.length === 0) return keys;
+
+        const accounts = [...new Set(transactions.map(transaction => transaction.accountNumber))];
+        const dates = transactions.map(transaction => transaction.bookingDate).sort();
+
+        const rows = await executor.query(
+            `SELECT account_number, booking_date, amount, counterpart_account, reference_number
+            FROM transactions
+            WHERE account_number IN (${accounts.map(() => '?').join(', ')})
+                AND booking_date BETWEEN ? AND ?
+                AND counterpart_account IS NOT NULL
+                AND reference_number IS NOT NULL`,
+            [...accounts, dates[0], dates[dates.length - 1]]
+        );
+
+        rows.forEach(row => keys.add(this.uniqueKey({
+            accountNumber: row.account_number,
+            bookingDate: this.formatDate(row.booking_date),
+            amount: row.amount,
+            counterpartAccount: row.counterpart_account,
+            referenceNumber: row.reference_number
+        })));
+
+        return keys;
+    }
+
+    /**
+     * Build the unique_transaction key of a transaction
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string|null} Key (case-insensitive like the column collation) or null if it cannot collide
+     */
+    uniqueKey(transaction) {
+        if (!transaction.counterpartAccount || !transaction.referenceNumber) return null;
+
+        return [
+            transaction.accountNumber,
+            transaction.bookingDate,
+            Number(transaction.amount).toFixed(2),
+            transaction.counterpartAccount,
+            transaction.referenceNumber
+        ].map(value => value.toString().trim().toLowerCase()).join('|');
+    }
+
+    /**
+     * Format a DATE column value as YYYY-MM-DD
+     * @param {Date|string} date - Date from the database
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    formatDate(date) {
+        return date instanceof Date ? date.toISOString().substring(0, 10) : date.toString().substring(0, 10);
+    }
+
+    /**
+     * Keep a parsed file until the user commits or cancels its preview
+     * @param {Object} preview - Original name, file hash and parse result
+     * @returns {string} Preview id
+     */
+    savePreview(preview) {
+        this.purgeExpiredPreviews();
+
+        const id = crypto.randomUUID();
+        this.previews.set(id, { ...preview, createdAt: Date.now() });
+
+        // Maps keep insertion order, so the first entries are the oldest previews
+        const size = (entry) => entry.parseResult.transactions.length;
+        let transactions = [...this.previews.values()].reduce((sum, entry) => sum + size(entry), 0);
+
+        for (const [oldId, oldPreview] of this.previews) {
+            if (oldId === id || (this.previews.size <= MAX_PREVIEWS && transactions <= MAX_PREVIEW_TRANSACTIONS)) break;
+
+            transactions -= size(oldPreview);
+            this.previews.delete(oldId);
+        }
+
+        return id;
+    }
+
+    /**
+     * Look up a preview without removing it, so a failed commit can be retried
+     * @param {string} id - Preview id
+     * @returns {Object|null} Preview or null if unknown or expired
+     */
+    getPreview(id) {
+        this.purgeExpiredPreviews();
+
+        return this.previews.get(id) || null;
+    }
+
+    /**
+     * Remove a preview and return it
+     * @param {string} id - Preview id
+     * @returns {Object|null} Preview or null if unknown or expired
+     */
+    takePreview(id) {
+        const preview = this.getPreview(id);
+        this.previews.delete(id);
+        return preview;
+    }
+
+    purgeExpiredPreviews() {
+        const now = Date.now();
+        for (const [id, preview] of this.previews) {
+            if (now - preview.createdAt > PREVIEW_TTL_MS) {
+                this.previews.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = new ImportService();
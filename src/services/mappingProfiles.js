@@ -0,0 +1,76 @@
+const database = require('../config/database');
+
+// Transaction fields a CSV column can be mapped to
+const MAPPABLE_FIELDS = [
+    'accountNumber', 'bookingDate', 'valueDate', 'amount', 'currency',
+    'counterpartAccount', 'counterpartName', 'counterpartAddress', 'counterpartPostalCity',
+    'transactionType', 'description', 'referenceNumber', 'transactionNumber',
+    'statementNumber', 'bic', 'countryCode'
+];
+
+// Fields without which a row cannot become a transaction
+const REQUIRED_FIELDS = ['accountNumber', 'bookingDate', 'amount'];
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'];
+const DELIMITERS = [';', ',', '\t', '|'];
+const DECIMAL_SEPARATORS = [',', '.'];
+
+class MappingProfiles {
+    /**
+     * Load all saved mapping profiles as CSV formats
+     * @returns {Array} Format definitions usable by CSVParser
+     */
+    async loadFormats() {
+        const profiles = await database.query('SELECT * FROM csv_mapping_profiles');
+        return profiles.map(profile => this.toFormat(profile));
+    }
+
+    /**
+     * Convert a csv_mapping_profiles row into a format definition
+     * @param {Object} profile - Database row
+     * @returns {Object} Format definition matched by header signature
+     */
+    toFormat(profile) {
+        return {
+            id: `profile-${profile.id}`,
+            name: profile.name,
+            delimiter: profile.field_delimiter,
+            dateFormat: profile.date_format,
+            decimalSeparator: profile.decimal_separator,
+            signature: profile.header_signature,
+            requiredHeaders: JSON.parse(profile.headers),
+            columns: JSON.parse(profile.column_mapping)
+        };
+    }
+
+    /**
+     * Validate a profile submitted by the column-mapping wizard
+     * @param {Object} profile - Profile with name, headers, delimiter, dateFormat, decimalSeparator, columns
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(profile) {
+        const { name, headers, delimiter, dateFormat, decimalSeparator, columns } = profile;
+
+        if (!name || !name.toString().trim()) return 'Profile name is required';
+        if (!Array.isArray(headers) || headers.length === 0) return 'Header row is required';
+        if (!DELIMITERS.includes(delimiter)) return `Unsupported delimiter: ${delimiter}`;
+        if (!DATE_FORMATS.includes(dateFormat)) return `Unsupported date format: ${dateFormat}`;
+        if (!DECIMAL_SEPARATORS.includes(decimalSeparator)) return `Unsupported decimal separator: ${decimalSeparator}`;
+        if (!columns || typeof columns !== 'object') return 'Column mapping is required';
+
+        for (const [field, column] of Object.entries(columns)) {
+            if (!MAPPABLE_FIELDS.includes(field)) return `Unknown transaction field: ${field}`;
+
+            const mapped = Array.isArray(column) ? column : [column];
+            const unknown = mapped.find(header => !headers.includes(header));
+            if (unknown !== undefined) return `Column not in header row: ${unknown}`;
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => !columns[field]);
+        if (missing.length > 0) return `Required fields not mapped: ${missing.join(', ')}`;
+
+        return null;
+    }
+}
+
+module.exports = new MappingProfiles();
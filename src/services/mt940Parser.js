@@ -0,0 +1,319 @@
+// :61: statement line - value date, optional entry date, D/C mark, amount, type, references
+const STATEMENT_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([A-Z]\w{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// Keyed subfields used in :86: by Belgian and Dutch banks (/EREF/.../REMI/...)
+const SLASH_SUBFIELDS = ['EREF', 'REMI', 'IBAN', 'BIC', 'NAME', 'TRTP', 'CSID', 'MARF', 'ORDP', 'BENM', 'ADDR', 'PURP', 'CNTP', 'ULTC', 'ULTD'];
+
+class MT940Parser {
+    /**
+     * Parse a SWIFT MT940 customer statement file
+     * @param {string} mt940Content - Raw MT940 file content
+     * @returns {Object} Parse result with transactions, statement balances or error
+     */
+    async parseMT940(mt940Content) {
+        try {
+            const messages = this.splitMessages(mt940Content);
+
+            if (messages.length === 0) {
+                return {
+                    success: false,
+                    error: 'Invalid MT940 file: no :20: statement found'
+                };
+            }
+
+            const transactions = [];
+            const statements = [];
+            const errors = [];
+            // Lines are numbered across the whole file, so a row stays unambiguous with several statements
+            let lineNumber = 0;
+
+            for (const fields of messages) {
+                const statement = this.parseStatement(fields);
+                statements.push(statement.balances);
+
+                console.log(`📄 Processing ${statement.lines.length} lines from MT940 statement ${statement.balances.statementNumber || ''}`);
+
+                statement.lines.forEach(({ line, information }) => {
+                    lineNumber++;
+                    try {
+                        transactions.push(this.parseStatementLine(line, information, statement.balances));
+                    } catch (error) {
+                        console.error(`❌ Error parsing statement line ${lineNumber}:`, error.message);
+                        errors.push({ row: lineNumber, error: error.message });
+                        // Continue with other lines instead of failing completely
+                    }
+                });
+            }
+
+            if (transactions.length === 0) {
+                return {
+                    success: false,
+                    error: 'No valid transactions found in MT940 file. Please check the file format.'
+                };
+            }
+
+            console.log(`✅ Successfully parsed ${transactions.length} transactions from MT940`);
+
+            return {
+                success: true,
+                format: { id: 'mt940', name: 'MT940' },
+                transactions: transactions,
+                statements: statements,
+                errors: errors
+            };
+
+        } catch (error) {
+            console.error('MT940 parsing error:', error);
+            return {
+                success: false,
+                error: `Failed to parse MT940: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Split file content into messages, each a list of { tag, value } fields
+     * @param {string} content - Raw MT940 content, with or without SWIFT block headers
+     * @returns {Array<Array>} Messages
+     */
+    splitMessages(content) {
+        const messages = [];
+        let fields = null;
+
+        for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            // Strip SWIFT envelope blocks such as {1:...}{2:...}{4:
+            const line = rawLine.replace(/^(\{\d:[^}]*\})*\{4:/, '').replace(/^\{\d:.*$/, '');
+            const tagMatch = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+
+            if (tagMatch) {
+                if (tagMatch[1] === '20') {
+                    fields = [];
+                    messages.push(fields);
+                }
+                if (fields) {
+                    fields.push({ tag: tagMatch[1], value: tagMatch[2] });
+                }
+            } else if (line.trim() === '-' || line.startsWith('-}')) {
+                fields = null;
+            } else if (fields && fields.length > 0 && line.trim()) {
+                fields[fields.length - 1].value += '\n' + line;
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Group a message's fields into account, balances and statement lines
+     * @param {Array} fields - Message fields
+     * @returns {Object} Balances and :61:/:86: pairs
+     */
+    parseStatement(fields) {
+        const balances = {
+            accountNumber: null,
+            statementNumber: null,
+            currency: 'EUR',
+            openingBalance: null,
+            openingDate: null,
+            closingBalance: null,
+            closingDate: null
+        };
+        const lines = [];
+
+        for (const { tag, value } of fields) {
+            if (tag === '25') {
+                // Account identification, optionally followed by the currency
+                const [account, currency] = value.trim().split(/[\s/]+/);
+                balances.accountNumber = account;
+                if (currency && /^[A-Z]{3}$/.test(currency)) balances.currency = currency;
+            } else if (tag === '28C' || tag === '28') {
+                balances.statementNumber = value.trim().split('/')[0] || null;
+            } else if (tag === '60F' || tag === '60M') {
+                const balance = this.parseBalance(value);
+                balances.openingBalance = balance.amount;
+                balances.openingDate = balance.date;
+                balances.currency = balance.currency || balances.currency;
+            } else if (tag === '62F' || tag === '62M') {
+                const balance = this.parseBalance(value);
+                balances.closingBalance = balance.amount;
+                balances.closingDate = balance.date;
+            } else if (tag === '61') {
+                lines.push({ line: value, information: '' });
+            } else if (tag === '86' && lines.length > 0) {
+                lines[lines.length - 1].information = value;
+            }
+        }
+
+        return { balances, lines };
+    }
+
+    /**
+     * Parse a balance field (:60F:, :62F:) such as C240131EUR1234,56
+     * @param {string} value - Field value
+     * @returns {Object} Signed amount, date and currency
+     */
+    parseBalance(value) {
+        const match = value.trim().match(/^([CD])(\d{6})([A-Z]{3})(\d+,\d*)/);
+        if (!match) return { amount: null, date: null, currency: null };
+
+        const amount = this.parseAmount(match[4]);
+        return {
+            amount: match[1] === 'D' ? -amount : amount,
+            date: this.parseDate(match[2]),
+            currency: match[3]
+        };
+    }
+
+    /**
+     * Parse a :61: statement line and its :86: information
+     * @param {string} line - :61: field value
+     * @param {string} information - :86: field value
+     * @param {Object} statement - Statement account and currency
+     * @returns {Object} Transaction in the same shape as CSVParser.parseTransactionRow
+     */
+    parseStatementLine(line, information, statement) {
+        const match = line.match(STATEMENT_LINE);
+        if (!match) {
+            throw new Error(`Invalid statement line: ${line.split('\n')[0]}`);
+        }
+
+        const [, valueDateStr, entryDateStr, mark, , amountStr, typeCode, customerRef, bankRef] = match;
+        const valueDate = this.parseDate(valueDateStr);
+        const bookingDate = entryDateStr ? this.parseEntryDate(entryDateStr, valueDateStr) : valueDate;
+
+        if (!bookingDate) {
+            throw new Error(`Invalid booking date: ${valueDateStr}`);
+        }
+
+        // RD (reversal of debit) is a credit, RC (reversal of credit) a debit
+        const amount = this.parseAmount(amountStr);
+        const isDebit = mark === 'D' || mark === 'RC';
+
+        const details = this.parseInformation(information);
+        const reference = customerRef.trim() !== 'NONREF' ? customerRef.trim() : '';
+        const counterpartAccount = details.iban || null;
+
+        return {
+            accountNumber: statement.accountNumber,
+            statementNumber: statement.statementNumber,
+            transactionNumber: bankRef?.trim() || reference || null,
+            bookingDate: bookingDate,
+            valueDate: valueDate,
+            counterpartAccount: counterpartAccount,
+            counterpartName: details.name || null,
+            counterpartAddress: details.address || null,
+            counterpartPostalCode: null,
+            counterpartCity: null,
+            transactionType: details.type || typeCode,
+            amount: isDebit ? -amount : amount,
+            currency: statement.currency,
+            bic: details.bic || null,
+            countryCode: counterpartAccount && /^[A-Z]{2}/.test(counterpartAccount) ? counterpartAccount.substring(0, 2) : null,
+            description: details.remittance || null,
+            referenceNumber: details.endToEndId || reference || bankRef?.trim() || null,
+            endToEndId: details.endToEndId || null
+        };
+    }
+
+    /**
+     * Parse :86: information to account owner
+     * Supports /KEY/value subfields and German-style ?NN subfields, else free text
+     * @param {string} information - :86: field value
+     * @returns {Object} Counterparty, remittance and reference details
+     */
+    parseInformation(information) {
+        const text = (information || '').replace(/\n/g, '');
+
+        if (/\?\d{2}/.test(text)) {
+            const subfields = {};
+            text.split('?').slice(1).forEach(part => {
+                const code = part.substring(0, 2);
+                subfields[code] = (subfields[code] || '') + part.substring(2);
+            });
+            const remittance = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29']
+                .map(code => subfields[code])
+                .filter(Boolean)
+                .join('');
+            const endToEnd = remittance.match(/EREF\+(\S+)/);
+
+            return {
+                type: subfields['00'] || null,
+                remittance: remittance.replace(/\s+/g, ' ').trim() || null,
+                bic: subfields['30'] || null,
+                iban: subfields['31'] || null,
+                name: [subfields['32'], subfields['33']].filter(Boolean).join('') || null,
+                endToEndId: endToEnd ? endToEnd[1] : null
+            };
+        }
+
+        const keyPattern = new RegExp(`/(${SLASH_SUBFIELDS.join('|')})/`, 'g');
+        if (keyPattern.test(text)) {
+            const subfields = {};
+            const parts = text.split(new RegExp(`/(${SLASH_SUBFIELDS.join('|')})/`));
+            for (let i = 1; i < parts.length; i += 2) {
+                subfields[parts[i]] = parts[i + 1].replace(/\/$/, '').trim();
+            }
+            // Counterparty details are nested as /CNTP/IBAN/BIC/NAME/CITY/ by some banks
+            const counterparty = subfields.CNTP ? subfields.CNTP.split('/') : [];
+            const endToEndId = subfields.EREF && subfields.EREF !== 'NOTPROVIDED' ? subfields.EREF : null;
+
+            return {
+                type: subfields.TRTP || null,
+                remittance: subfields.REMI ? subfields.REMI.replace(/^(USTD|STRD\/CUR)\/\/?/, '') : null,
+                bic: subfields.BIC || counterparty[1] || null,
+                iban: subfields.IBAN || counterparty[0] || null,
+                name: subfields.NAME || counterparty[2] || null,
+                address: subfields.ADDR || null,
+                endToEndId: endToEndId
+            };
+        }
+
+        return { remittance: text.trim() || null };
+    }
+
+    /**
+     * Parse amount with comma as decimal separator (SWIFT format)
+     * @param {string} amountStr - Amount string
+     * @returns {number} Parsed amount
+     */
+    parseAmount(amountStr) {
+        return parseFloat(amountStr.replace(',', '.'));
+    }
+
+    /**
+     * Parse date in YYMMDD format
+     * @param {string} dateStr - Date string
+     * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
+     */
+    parseDate(dateStr) {
+        if (!/^\d{6}$/.test(dateStr)) return null;
+
+        const year = 2000 + parseInt(dateStr.substring(0, 2), 10);
+        const month = parseInt(dateStr.substring(2, 4), 10);
+        const day = parseInt(dateStr.substring(4, 6), 10);
+
+        if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+
+        return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse the MMDD entry date, taking the year from the value date
+     * @param {string} entryDateStr - Entry date in MMDD format
+     * @param {string} valueDateStr - Value date in YYMMDD format
+     * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
+     */
+    parseEntryDate(entryDateStr, valueDateStr) {
+        let year = parseInt(valueDateStr.substring(0, 2), 10);
+        const valueMonth = parseInt(valueDateStr.substring(2, 4), 10);
+        const entryMonth = parseInt(entryDateStr.substring(0, 2), 10);
+
+        // Entry booked across a year boundary from the value date
+        if (valueMonth === 12 && entryMonth === 1) year += 1;
+        if (valueMonth === 1 && entryMonth === 12) year -= 1;
+
+        return this.parseDate(year.toString().padStart(2, '0') + entryDateStr);
+    }
+}
+
+module.exports = new MT940Parser();
@@ -0,0 +1,277 @@
+const database = require('../config/database');
+
+// Intervals a recurring payment can follow, with the deviation in days still counted as on time
+const FREQUENCIES = [
+    { name: 'weekly', days: 7, tolerance: 2, minOccurrences: 4 },
+    { name: 'monthly', days: 30.44, tolerance: 5, minOccurrences: 3 },
+    { name: 'quarterly', days: 91.31, tolerance: 10, minOccurrences: 3 },
+    { name: 'yearly', days: 365.25, tolerance: 20, minOccurrences: 2 }
+];
+
+// Share of intervals that must match the frequency for a series to count as recurring
+const REGULARITY = 0.75;
+
+// Amounts within this fraction of a series' smallest amount belong to the same series
+const AMOUNT_TOLERANCE = 0.25;
+
+// Earlier amounts within this fraction of each other make a fixed-amount series
+const FIXED_AMOUNT_TOLERANCE = 0.01;
+
+// A series more than this many periods overdue is taken to have ended, e.g. a cancelled subscription
+const ENDED_AFTER_PERIODS = 2;
+
+// Only the last years are scanned, older payments say little about the current schedule
+const LOOKBACK_YEARS = 3;
+
+// Words in the transaction type or description that tell how a payment recurs (Dutch, French, English)
+const KIND_KEYWORDS = {
+    direct_debit: ['domicili', 'direct debit', 'sepa dd'],
+    standing_order: ['doorlopende opdracht', 'ordre permanent', 'standing order']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+class RecurringDetector {
+    /**
+     * Key that groups transactions of the same counterpart and direction
+     * The IBAN is preferred; names are stripped of digits so "NETFLIX 12345" and "NETFLIX 67890" match
+     * @param {Object} transaction - Transaction row
+     * @returns {string|null} Group key or null when the counterpart is unknown
+     */
+    counterpartKey(transaction) {
+        const direction = parseFloat(transaction.amount) < 0 ? 'out' : 'in';
+        const account = (transaction.counterpart_account || '').replace(/\s/g, '').toUpperCase();
+        if (account) return `${direction}:iban:${account}`;
+
+        const name = (transaction.counterpart_name || '')
+            .toLowerCase()
+            .replace(/[^a-z]+/g, ' ')
+            .trim();
+        return name ? `${direction}:name:${name}` : null;
+    }
+
+    /**
+     * Split a counterpart's transactions into series of similar amounts
+     * Each amount is compared with the smallest of its series, so small steps cannot chain into one series
+     * @param {Array} transactions - Transactions of one counterpart
+     * @returns {Array<Array>} Series, each sorted by booking date
+     */
+    amountSeries(transactions) {
+        const byAmount = [...transactions].sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+        const series = [];
+
+        for (const transaction of byAmount) {
+            const last = series[series.length - 1];
+            const smallest = last ? Math.abs(last[0].amount) : null;
+
+            if (last && Math.abs(transaction.amount) - smallest <= smallest * AMOUNT_TOLERANCE) {
+                last.push(transaction);
+            } else {
+                series.push([transaction]);
+            }
+        }
+
+        return series.map(items => items.sort((a, b) => a.booking_date - b.booking_date));
+    }
+
+    /**
+     * Join series that take over from each other, e.g. a subscription whose price went up
+     * A series continues an earlier one when it starts after that one ends and keeps its rhythm
+     * @param {Array<Array>} series - Result of amountSeries()
+     * @returns {Array<Array>} Series, each sorted by booking date
+     */
+    joinReplacedSeries(series) {
+        const byStart = [...series].sort((a, b) => a[0].booking_date - b[0].booking_date);
+        const joined = [];
+
+        for (const items of byStart) {
+            const replaced = joined.find(earlier =>
+                earlier[earlier.length - 1].booking_date < items[0].booking_date &&
+                this.frequencyOf([...earlier, ...items])
+            );
+
+            if (replaced) {
+                replaced.push(...items);
+            } else {
+                joined.push([...items]);
+            }
+        }
+
+        return joined;
+    }
+
+    /**
+     * Split a counterpart's transactions into the series that recur
+     * The whole group is tried first so amount changes stay in one series; only a counterpart
+     * with several schedules is split by amount
+     * @param {Array} transactions - Transactions of one counterpart, sorted by booking date
+     * @returns {Array<Array>} Series, each sorted by booking date
+     */
+    seriesOf(transactions) {
+        if (this.frequencyOf(transactions)) return [transactions];
+        return this.joinReplacedSeries(this.amountSeries(transactions));
+    }
+
+    /**
+     * Find the frequency a series of payments follows
+     * @param {Array} series - Transactions sorted by booking date
+     * @returns {Object|null} Matching entry of FREQUENCIES or null if irregular
+     */
+    frequencyOf(series) {
+        if (series.length < 2) return null;
+
+        const intervals = series.slice(1).map((transaction, index) =>
+            (transaction.booking_date - series[index].booking_date) / DAY_MS
+        );
+        const typical = median(intervals);
+
+        const frequency = FREQUENCIES.find(candidate => Math.abs(typical - candidate.days) <= candidate.tolerance);
+        if (!frequency || series.length < frequency.minOccurrences) return null;
+
+        const regular = intervals.filter(interval => Math.abs(interval - frequency.days) <= frequency.tolerance);
+        return regular.length / intervals.length >= REGULARITY ? frequency : null;
+    }
+
+    /**
+     * Date one period after a payment; monthly and longer keep the day of the month
+     * @param {Date} date - Last payment date
+     * @param {Object} frequency - Entry of FREQUENCIES
+     * @returns {Date} Expected next date
+     */
+    nextDate(date, frequency) {
+        const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency.name];
+
+        if (!months) {
+            next.setDate(next.getDate() + frequency.days);
+            return next;
+        }
+
+        // Clamp to the last day so 31 January is followed by 28 or 29 February
+        const day = next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + months);
+        next.setDate(Math.min(day, new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()));
+        return next;
+    }
+
+    /**
+     * Tell direct debits and standing orders apart from other recurring payments
+     * @param {Object} transaction - Transaction row
+     * @returns {string} 'direct_debit', 'standing_order' or 'other'
+     */
+    kindOf(transaction) {
+        const text = `${transaction.transaction_type || ''} ${transaction.description || ''}`.toLowerCase();
+        const kind = Object.keys(KIND_KEYWORDS).find(key => KIND_KEYWORDS[key].some(keyword => text.includes(keyword)));
+        return kind || 'other';
+    }
+
+    /**
+     * Describe a recurring series
+     * @param {Array} series - Transactions sorted by booking date
+     * @param {Object} frequency - Entry of FREQUENCIES
+     * @param {Date} today - Reference date for missed payments
+     * @returns {Object} Recurring payment
+     */
+    describe(series, frequency, today) {
+        const last = series[series.length - 1];
+        const lastAmount = parseFloat(last.amount);
+        const earlierAmounts = series.slice(0, -1).map(transaction => parseFloat(transaction.amount));
+        const usualAmount = median(earlierAmounts);
+
+        // Only a fixed amount can change; bills that vary every period are not flagged
+        const fixedAmount = earlierAmounts.every(amount =>
+            Math.abs(amount - usualAmount) <= Math.abs(usualAmount) * FIXED_AMOUNT_TOLERANCE
+        );
+        const amountChanged = fixedAmount &&
+            Math.abs(lastAmount - usualAmount) > Math.abs(usualAmount) * FIXED_AMOUNT_TOLERANCE;
+
+        const nextDate = this.nextDate(last.booking_date, frequency);
+        const overdueDays = Math.floor((today - nextDate) / DAY_MS);
+
+        return {
+            counterpartName: last.counterpart_name,
+            counterpartAccount: last.counterpart_account,
+            accountNumber: last.account_number,
+            kind: this.kindOf(last),
+            frequency: frequency.name,
+            occurrences: series.length,
+            currency: last.currency,
+            typicalAmount: Math.round(median(series.map(transaction => parseFloat(transaction.amount))) * 100) / 100,
+            lastAmount,
+            lastDate: formatDate(last.booking_date),
+            nextDate: formatDate(nextDate),
+            expectedAmount: lastAmount,
+            missed: overdueDays > frequency.tolerance,
+            amountChanged,
+            previousAmount: amountChanged ? usualAmount : null,
+            transactionIds: series.map(transaction => transaction.id)
+        };
+    }
+
+    /**
+     * Detect recurring payments and income
+     * @param {Date} today - Reference date for missed payments
+     * @returns {Array} Recurring payments, the ones needing attention first
+     */
+    async detect(today = new Date()) {
+        const since = new Date(today.getFullYear() - LOOKBACK_YEARS, today.getMonth(), today.getDate());
+        const transactions = await database.query(
+            `SELECT id, account_number, booking_date, counterpart_name, counterpart_account,
+                transaction_type, description, amount, currency
+            FROM transactions
+            WHERE booking_date >= ?
+            ORDER BY booking_date`,
+            [formatDate(since)]
+        );
+
+        const groups = new Map();
+        for (const transaction of transactions) {
+            const key = this.counterpartKey(transaction);
+            if (!key) continue;
+
+            const group = `${transaction.account_number}|${transaction.currency}|${key}`;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push({ ...transaction, booking_date: new Date(transaction.booking_date) });
+        }
+
+        const recurring = [];
+        for (const group of groups.values()) {
+            for (const series of this.seriesOf(group)) {
+                const frequency = this.frequencyOf(series);
+                if (!frequency) continue;
+
+                const lastDate = series[series.length - 1].booking_date;
+                if ((today - lastDate) / DAY_MS > frequency.days * (ENDED_AFTER_PERIODS + 1)) continue;
+
+                recurring.push(this.describe(series, frequency, today));
+            }
+        }
+
+        const attention = (payment) => (payment.missed || payment.amountChanged ? 0 : 1);
+        return recurring.sort((a, b) => attention(a) - attention(b) || a.nextDate.localeCompare(b.nextDate));
+    }
+}
+
+module.exports = new RecurringDetector();
@@ -0,0 +1,36 @@
+const transactionFilters = require('./transactionFilters');
+
+const NAME_MAX_LENGTH = 100;
+
+class SavedViews {
+    /**
+     * Validate a saved view submitted by the filters panel
+     * @param {Object} view - View with name and filters
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(view) {
+        const { name, filters } = view;
+
+        if (!name || !name.toString().trim()) return 'View name is required';
+        if (name.toString().trim().length > NAME_MAX_LENGTH) return `View name must be at most ${NAME_MAX_LENGTH} characters`;
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return 'Filters must be an object';
+
+        return transactionFilters.validate(transactionFilters.pick(filters));
+    }
+
+    /**
+     * Convert a saved_views row for the API
+     * @param {Object} view - Database row
+     * @returns {Object} View with parsed filters
+     */
+    toView(view) {
+        return {
+            id: view.id,
+            name: view.name,
+            filters: JSON.parse(view.filters),
+            updatedAt: view.updated_at
+        };
+    }
+}
+
+module.exports = new SavedViews();
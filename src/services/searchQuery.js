@@ -0,0 +1,188 @@
+// Columns covered by the ft_search FULLTEXT index, in index order
+const SEARCH_COLUMNS = ['description', 'counterpart_name', 'counterpart_account', 'reference_number'];
+
+// Field prefixes understood in a search, e.g. counterparty:proximus
+const FIELDS = ['counterparty', 'amount', 'category'];
+
+// Shortest word InnoDB indexes by default (innodb_ft_min_token_size); shorter words are matched with LIKE
+const MIN_FULLTEXT_LENGTH = 3;
+
+// amount:>100, amount:<=25.50, amount:12,99 or amount:100..200; amounts compare by size, ignoring the sign
+const AMOUNT_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:[.,]\d{1,2})?)$/;
+const AMOUNT_RANGE_PATTERN = /^(\d+(?:[.,]\d{1,2})?)\.\.(\d+(?:[.,]\d{1,2})?)$/;
+
+// Optional "-", optional "field:", then a quoted phrase or a single word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ * @param {string} value - Search value
+ * @returns {string} Escaped value
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+class SearchQuery {
+    /**
+     * Parse a search such as: shell "monthly fee" -refund counterparty:proximus amount:>100 category:Groceries
+     * @param {string} text - Search text from the filter bar
+     * @returns {Object} {words, phrases, counterparties, categories, amounts, error}; words, phrases,
+     *   counterparties and categories are {value, exclude}, amounts are {operator, value} or {min, max}
+     */
+    parse(text) {
+        const parsed = { words: [], phrases: [], counterparties: [], categories: [], amounts: [], error: null };
+
+        for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+            const exclude = match[1] === '-';
+            const field = match[2] ? match[2].toLowerCase() : null;
+            const quoted = match[3] !== undefined;
+            const value = (quoted ? match[3] : match[4] || '').trim();
+
+            if (!value) continue;
+
+            if (field === 'counterparty') {
+                parsed.counterparties.push({ value, exclude });
+            } else if (field === 'category') {
+                parsed.categories.push({ value, exclude });
+            } else if (field === 'amount') {
+                const amount = this.parseAmount(value);
+                if (!amount) {
+                    parsed.error = `Invalid amount filter: ${value}. Use e.g. amount:>100 or amount:50..100`;
+                    return parsed;
+                }
+                parsed.amounts.push(amount);
+            } else {
+                // Unknown prefixes such as "ref:" are searched as text
+                const fullText = field && !FIELDS.includes(field) ? `${match[2]}:${value}` : value;
+
+                if (quoted) {
+                    parsed.phrases.push({ value: fullText, exclude });
+                } else {
+                    // The FULLTEXT parser splits on punctuation too, so words are searched piece by piece
+                    fullText.split(/[^\p{L}\p{N}]+/u)
+                        .filter(Boolean)
+                        .forEach(word => parsed.words.push({ value: word, exclude }));
+                }
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Parse the value of an amount: filter
+     * @param {string} value - Value after "amount:"
+     * @returns {Object|null} {operator, value} or {min, max}, or null if invalid
+     */
+    parseAmount(value) {
+        const range = value.match(AMOUNT_RANGE_PATTERN);
+        if (range) {
+            const [min, max] = [range[1], range[2]].map(bound => parseFloat(bound.replace(',', '.'))).sort((a, b) => a - b);
+            return { min, max };
+        }
+
+        const comparison = value.match(AMOUNT_PATTERN);
+        if (!comparison) return null;
+
+        return { operator: comparison[1] || '=', value: parseFloat(comparison[2].replace(',', '.')) };
+    }
+
+    /**
+     * Turn a parsed search into SQL conditions on the transactions table
+     * @param {Object} parsed - Result of parse()
+     * @param {string} alias - Alias of the transactions table
+     * @returns {Object} {conditions: ' AND ...' string, params}
+     */
+    toSql(parsed, alias) {
+        const column = (name) => `${alias}.${name}`;
+        const match = `MATCH(${SEARCH_COLUMNS.map(column).join(', ')})`;
+        const searchable = `CONCAT_WS(' ', ${SEARCH_COLUMNS.map(column).join(', ')})`;
+
+        let conditions = '';
+        const params = [];
+
+        // Words below the FULLTEXT minimum length are not indexed, LIKE finds them instead
+        const indexed = (word) => word.value.length >= MIN_FULLTEXT_LENGTH;
+        const included = [
+            ...parsed.words.filter(word => !word.exclude && indexed(word)).map(word => `+${word.value}*`),
+            ...parsed.phrases.filter(phrase => !phrase.exclude).map(phrase => `+"${phrase.value.replace(/"/g, '')}"`)
+        ];
+        const excluded = [
+            ...parsed.words.filter(word => word.exclude && indexed(word)).map(word => word.value),
+            ...parsed.phrases.filter(phrase => phrase.exclude).map(phrase => `"${phrase.value.replace(/"/g, '')}"`)
+        ];
+
+        if (included.length > 0) {
+            conditions += ` AND ${match} AGAINST (? IN BOOLEAN MODE)`;
+            params.push(included.join(' '));
+        }
+
+        if (excluded.length > 0) {
+            conditions += ` AND NOT ${match} AGAINST (? IN BOOLEAN MODE)`;
+            params.push(excluded.join(' '));
+        }
+
+        parsed.words.filter(word => !indexed(word)).forEach(word => {
+            conditions += ` AND ${searchable} ${word.exclude ? 'NOT ' : ''}LIKE ?`;
+            params.push(`%${escapeLike(word.value)}%`);
+        });
+
+        parsed.counterparties.forEach(counterparty => {
+            const counterpartySql = this.counterpartyCondition(counterparty.value, alias);
+            conditions += ` AND ${counterparty.exclude ? 'NOT ' : ''}${counterpartySql.condition}`;
+            params.push(...counterpartySql.params);
+        });
+
+        // A category also matches the transactions in its subcategories
+        parsed.categories.forEach(category => {
+            conditions += ` AND ${category.exclude ? 'NOT ' : ''}EXISTS (
+                SELECT 1 FROM transaction_categories search_tc
+                JOIN categories search_c ON search_c.id = search_tc.category_id
+                LEFT JOIN categories search_parent ON search_parent.id = search_c.parent_id
+                WHERE search_tc.transaction_id = ${column('id')} AND (search_c.name = ? OR search_parent.name = ?))`;
+            params.push(category.value, category.value);
+        });
+
+        parsed.amounts.forEach(amount => {
+            if (amount.min !== undefined) {
+                conditions += ` AND ABS(${column('amount')}) BETWEEN ? AND ?`;
+                params.push(amount.min, amount.max);
+            } else {
+                conditions += ` AND ABS(${column('amount')}) ${amount.operator} ?`;
+                params.push(amount.value);
+            }
+        });
+
+        return { conditions, params };
+    }
+
+    /**
+     * Condition matching a counterparty by name or by account number, ignoring spaces in the IBAN
+     * @param {string} value - Part of the counterparty name or account
+     * @param {string} alias - Alias of the transactions table
+     * @returns {Object} {condition, params}
+     */
+    counterpartyCondition(value, alias) {
+        return {
+            condition: `(COALESCE(${alias}.counterpart_name, '') LIKE ?
+                OR REPLACE(COALESCE(${alias}.counterpart_account, ''), ' ', '') LIKE ?)`,
+            params: [`%${escapeLike(value)}%`, `%${escapeLike(value.replace(/\s/g, ''))}%`]
+        };
+    }
+
+    /**
+     * Text the table should highlight for a parsed search
+     * @param {Object} parsed - Result of parse()
+     * @returns {Array<string>} Words, phrases and counterparties that are searched for
+     */
+    highlightTerms(parsed) {
+        return [
+            ...parsed.words.filter(word => !word.exclude).map(word => word.value),
+            ...parsed.phrases.filter(phrase => !phrase.exclude).map(phrase => phrase.value),
+            ...parsed.counterparties.filter(counterparty => !counterparty.exclude).map(counterparty => counterparty.value)
+        ];
+    }
+}
+
+module.exports = new SearchQuery();
@@ -0,0 +1,429 @@
+const database = require('../config/database');
+const transactionFilters = require('./transactionFilters');
+const transactionSort = require('./transactionSort');
+const xlsxWriter = require('./xlsxWriter');
+
+// Transactions read per query, so a large export is written in parts instead of held in memory
+const BATCH_SIZE = 1000;
+
+// Export formats with their content type and file extension
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+    qif: { contentType: 'application/qif', extension: 'qif' }
+};
+
+// CSV conventions: Belgian Excel expects ";" and a decimal comma
+const CSV_STYLES = {
+    be: { delimiter: ';', decimalSeparator: ',', dateFormat: 'DD/MM/YYYY' },
+    intl: { delimiter: ',', decimalSeparator: '.', dateFormat: 'YYYY-MM-DD' }
+};
+
+// Transactions have no notes column, so categories and splits are the only annotations exported
+const COLUMNS = [
+    'Booking date', 'Value date', 'Account', 'Counterparty', 'Counterparty account', 'Type',
+    'Description', 'Reference', 'Amount', 'Currency', 'Categories', 'Splits'
+];
+
+// OFX limits the payee name and memo lengths
+const OFX_NAME_LENGTH = 32;
+const OFX_MEMO_LENGTH = 255;
+
+/**
+ * Format a date
+ * @param {Date|null} date - Date
+ * @param {string} format - 'DD/MM/YYYY', 'YYYY-MM-DD' or 'YYYYMMDD'
+ * @returns {string} Formatted date, empty without a date
+ */
+function formatDate(date, format) {
+    if (!date) return '';
+
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    const [year, month, day] = [value.getFullYear(), pad(value.getMonth() + 1), pad(value.getDate())];
+
+    if (format === 'DD/MM/YYYY') return `${day}/${month}/${year}`;
+    if (format === 'YYYYMMDD') return `${year}${month}${day}`;
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Format an amount with two decimals
+ * @param {number|string} amount - Amount
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {string} Formatted amount without thousands separators
+ */
+function formatAmount(amount, decimalSeparator = '.') {
+    return parseFloat(amount).toFixed(2).replace('.', decimalSeparator);
+}
+
+/**
+ * Round an amount to cents
+ * @param {number|string} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(amount) {
+    return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+/**
+ * Keep spreadsheet programs from reading text as a formula, e.g. the CODA structured
+ * communication +++123/4567/89012+++
+ * @param {string} text - Cell text
+ * @returns {string} Text, prefixed with ' when it starts like a formula
+ */
+function guardFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Escape text for OFX XML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Write to a response, waiting when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {string|Buffer} chunk - Data
+ */
+async function write(stream, chunk) {
+    if (stream.destroyed || stream.write(chunk) || stream.destroyed) return;
+
+    // An aborted download never drains, so the response closing or failing also ends the wait
+    await new Promise(resolve => {
+        const done = () => {
+            ['drain', 'close', 'error'].forEach(event => stream.off(event, done));
+            resolve();
+        };
+        ['drain', 'close', 'error'].forEach(event => stream.on(event, done));
+    });
+}
+
+class TransactionExport {
+    /**
+     * Check the export parameters
+     * @param {Object} query - Request query with format and style
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(query) {
+        if (!FORMATS[query.format]) {
+            return `format must be one of: ${Object.keys(FORMATS).join(', ')}`;
+        }
+
+        if (query.style && !CSV_STYLES[query.style]) {
+            return `style must be one of: ${Object.keys(CSV_STYLES).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Content type and extension of a format
+     * @param {string} format - Key of FORMATS
+     * @returns {Object} {contentType, extension}
+     */
+    formatOf(format) {
+        return FORMATS[format];
+    }
+
+    /**
+     * Full path of every category, e.g. "Housing > Energy"
+     * @returns {Map} Category id -> array of names from the top level down
+     */
+    async categoryPaths() {
+        const categories = await database.query('SELECT id, name, parent_id FROM categories');
+        const byId = new Map(categories.map(category => [category.id, category]));
+        const paths = new Map();
+
+        for (const category of categories) {
+            const names = [category.name];
+            let parent = byId.get(category.parent_id);
+
+            while (parent && names.length < categories.length) {
+                names.unshift(parent.name);
+                parent = byId.get(parent.parent_id);
+            }
+
+            paths.set(category.id, names);
+        }
+
+        return paths;
+    }
+
+    /**
+     * Read the filtered transactions in batches, in the list's sort order
+     * Batches follow each other by keyset, so rows are neither skipped nor repeated
+     * @param {Object} query - Request query with filters, sort and order
+     * @param {Map} paths - Result of categoryPaths()
+     * @param {Object} stream - Response the export goes to; reading stops once it is closed
+     * @yields {Array} Transactions with categories as [{path, amount}], amount set for split portions
+     */
+    async *batches(query, paths, stream) {
+        const { conditions, params } = transactionFilters.build(query, 't');
+        let cursor = null;
+
+        while (!stream.destroyed) {
+            const after = transactionSort.keysetCondition({ ...query, cursor }, 't');
+            const rows = await database.query(
+                `SELECT t.*, ${transactionSort.sortKey(query, 't')} as sort_key FROM transactions t
+                WHERE 1=1 ${conditions}${after.conditions}
+                ${transactionSort.orderBy(query, 't')}
+                LIMIT ${BATCH_SIZE}`,
+                [...params, ...after.params]
+            );
+            if (rows.length === 0) return;
+
+            const assignments = await database.query(
+                `SELECT transaction_id, category_id, amount FROM transaction_categories
+                WHERE transaction_id IN (${rows.map(() => '?').join(', ')})`,
+                rows.map(row => row.id)
+            );
+
+            yield rows.map(row => ({
+                ...row,
+                categories: assignments
+                    .filter(assignment => assignment.transaction_id === row.id)
+                    .map(assignment => ({
+                        path: paths.get(assignment.category_id) || [],
+                        amount: assignment.amount !== null ? parseFloat(assignment.amount) : null
+                    }))
+            }));
+
+            if (rows.length < BATCH_SIZE) return;
+            cursor = transactionSort.encodeCursor(rows[rows.length - 1]);
+        }
+    }
+
+    /**
+     * Values of a transaction in COLUMNS order
+     * @param {Object} transaction - Transaction with categories
+     * @param {Function} date - Formats a date
+     * @param {Function} amount - Formats an amount
+     * @param {string} decimalSeparator - Decimal separator of the split amounts
+     * @returns {Array} Row values
+     */
+    row(transaction, date, amount, decimalSeparator = '.') {
+        const categories = transaction.categories.map(category => category.path.join(' > '));
+        const splits = transaction.categories
+            .filter(category => category.amount !== null)
+            .map(category => `${category.path.join(' > ')}: ${formatAmount(category.amount, decimalSeparator)}`);
+
+        return [
+            date(transaction.booking_date),
+            date(transaction.value_date),
+            transaction.account_number,
+            transaction.counterpart_name,
+            transaction.counterpart_account,
+            transaction.transaction_type,
+            transaction.description,
+            transaction.reference_number,
+            amount(transaction.amount),
+            transaction.currency,
+            categories.join(', '),
+            splits.join(' | ')
+        ];
+    }
+
+    /**
+     * Stream the export to a response
+     * @param {Object} query - Request query with format, style, filters, sort and order
+     * @param {Object} stream - Writable response
+     */
+    async write(query, stream) {
+        const paths = await this.categoryPaths();
+
+        if (query.format === 'csv') return this.writeCsv(query, stream, paths);
+        if (query.format === 'xlsx') return write(stream, await this.buildXlsx(query, paths, stream));
+        if (query.format === 'ofx') return this.writeOfx(query, stream, paths);
+        return this.writeQif(query, stream, paths);
+    }
+
+    /**
+     * Write CSV with a byte order mark so Excel reads the accents as UTF-8
+     * @param {Object} query - Request query; style 'be' (default) or 'intl'
+     * @param {Object} stream - Writable response
+     * @param {Map} paths - Result of categoryPaths()
+     */
+    async writeCsv(query, stream, paths) {
+        const style = CSV_STYLES[query.style] || CSV_STYLES.be;
+        const amountColumn = COLUMNS.indexOf('Amount');
+        const quote = (value, index) => {
+            const raw = value === null || value === undefined ? '' : String(value);
+            // Negative amounts start with "-" but are numbers, not formulas
+            const text = index === amountColumn ? raw : guardFormula(raw);
+            return /["\r\n]/.test(text) || text.includes(style.delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const line = (values) => `${values.map(quote).join(style.delimiter)}\r\n`;
+
+        await write(stream, `\uFEFF${line(COLUMNS)}`);
+
+        for await (const batch of this.batches(query, paths, stream)) {
+            await write(stream, batch.map(transaction => line(this.row(
+                transaction,
+                date => formatDate(date, style.dateFormat),
+                amount => formatAmount(amount, style.decimalSeparator),
+                style.decimalSeparator
+            ))).join(''));
+        }
+    }
+
+    /**
+     * Build an XLSX workbook; the zip is written at once, so it is assembled in memory
+     * @param {Object} query - Request query
+     * @param {Map} paths - Result of categoryPaths()
+     * @param {Object} stream - Response the workbook is for
+     * @returns {Buffer} XLSX file
+     */
+    async buildXlsx(query, paths, stream) {
+        const rows = [];
+
+        for await (const batch of this.batches(query, paths, stream)) {
+            batch.forEach(transaction => rows.push(this.row(
+                transaction,
+                date => (date ? new Date(date) : null),
+                amount => roundCents(amount)
+            )));
+        }
+
+        return xlsxWriter.build('Transactions', COLUMNS, rows);
+    }
+
+    /**
+     * Accounts in the export with their first and last booking date and currency
+     * @param {Object} query - Request query with filters
+     * @returns {Array} Rows with account_number, first_date, last_date and currency
+     */
+    async accounts(query) {
+        const { conditions, params } = transactionFilters.build(query, 't');
+        return database.query(
+            `SELECT t.account_number, MIN(t.booking_date) as first_date, MAX(t.booking_date) as last_date,
+                MIN(t.currency) as currency
+            FROM transactions t
+            WHERE 1=1 ${conditions}
+            GROUP BY t.account_number
+            ORDER BY t.account_number`,
+            params
+        );
+    }
+
+    /**
+     * Write OFX 2.1.1 with one bank statement per account, oldest transaction first
+     * Categories have no OFX field and are added to the memo
+     * @param {Object} query - Request query with filters
+     * @param {Object} stream - Writable response
+     * @param {Map} paths - Result of categoryPaths()
+     */
+    async writeOfx(query, stream, paths) {
+        const now = new Date();
+        const timestamp = `${formatDate(now, 'YYYYMMDD')}${[now.getHours(), now.getMinutes(), now.getSeconds()]
+            .map(number => String(number).padStart(2, '0')).join('')}`;
+
+        await write(stream, `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${timestamp}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+`);
+
+        const accounts = await this.accounts(query);
+        for (const [index, account] of accounts.entries()) {
+            if (stream.destroyed) return;
+
+            const accountQuery = { ...query, account: account.account_number, sort: 'date', order: 'asc' };
+
+            // The ledger balance covers every transaction up to the end of the statement, not only the filtered ones
+            const balances = await database.query(
+                'SELECT COALESCE(SUM(amount), 0) as balance FROM transactions WHERE account_number = ? AND booking_date <= ?',
+                [account.account_number, formatDate(account.last_date, 'YYYY-MM-DD')]
+            );
+
+            await write(stream, `<STMTTRNRS><TRNUID>${index + 1}</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS><CURDEF>${escapeXml(account.currency || 'EUR')}</CURDEF>
+<BANKACCTFROM><BANKID>${escapeXml(this.bankId(account.account_number))}</BANKID><ACCTID>${escapeXml(account.account_number)}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>
+<BANKTRANLIST><DTSTART>${formatDate(account.first_date, 'YYYYMMDD')}</DTSTART><DTEND>${formatDate(account.last_date, 'YYYYMMDD')}</DTEND>
+`);
+
+            for await (const batch of this.batches(accountQuery, paths, stream)) {
+                await write(stream, batch.map(transaction => {
+                    const categories = transaction.categories.map(category => category.path.join(' > ')).join(', ');
+                    const memo = [transaction.description, categories && `[${categories}]`].filter(Boolean).join(' ');
+
+                    return `<STMTTRN><TRNTYPE>${parseFloat(transaction.amount) < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>` +
+                        `<DTPOSTED>${formatDate(transaction.booking_date, 'YYYYMMDD')}</DTPOSTED>` +
+                        `<TRNAMT>${formatAmount(transaction.amount)}</TRNAMT>` +
+                        `<FITID>${transaction.id}</FITID>` +
+                        (transaction.counterpart_name ? `<NAME>${escapeXml(transaction.counterpart_name.substring(0, OFX_NAME_LENGTH))}</NAME>` : '') +
+                        (memo ? `<MEMO>${escapeXml(memo.substring(0, OFX_MEMO_LENGTH))}</MEMO>` : '') +
+                        '</STMTTRN>\n';
+                }).join(''));
+            }
+
+            await write(stream, `</BANKTRANLIST>
+<LEDGERBAL><BALAMT>${formatAmount(balances[0].balance)}</BALAMT><DTASOF>${formatDate(account.last_date, 'YYYYMMDD')}</DTASOF></LEDGERBAL>
+</STMTRS></STMTTRNRS>
+`);
+        }
+
+        await write(stream, '</BANKMSGSRSV1>\n</OFX>\n');
+    }
+
+    /**
+     * Bank identifier for OFX, taken from the IBAN where possible
+     * @param {string} accountNumber - Own account number
+     * @returns {string} Bank code
+     */
+    bankId(accountNumber) {
+        const iban = (accountNumber || '').replace(/\s/g, '').toUpperCase();
+        if (/^BE\d{14}$/.test(iban)) return iban.substring(4, 7);
+        return /^[A-Z]{2}\d{2}[A-Z0-9]{4}/.test(iban) ? iban.substring(4, 8) : '0';
+    }
+
+    /**
+     * Write QIF with one bank account section per account, oldest transaction first
+     * Split transactions use QIF split lines; subcategories are written as Parent:Child
+     * @param {Object} query - Request query with filters
+     * @param {Object} stream - Writable response
+     * @param {Map} paths - Result of categoryPaths()
+     */
+    async writeQif(query, stream, paths) {
+        // QIF lines start with a code letter, so values must stay on one line
+        const text = (value) => String(value || '').replace(/[\r\n]+/g, ' ');
+        const category = (path) => path.map(name => name.replace(/[:/]/g, ' ')).join(':');
+
+        for (const account of await this.accounts(query)) {
+            if (stream.destroyed) return;
+
+            const accountQuery = { ...query, account: account.account_number, sort: 'date', order: 'asc' };
+
+            await write(stream, `!Account\nN${text(account.account_number)}\nTBank\n^\n!Type:Bank\n`);
+
+            for await (const batch of this.batches(accountQuery, paths, stream)) {
+                await write(stream, batch.map(transaction => {
+                    const lines = [
+                        `D${formatDate(transaction.booking_date, 'DD/MM/YYYY')}`,
+                        `T${formatAmount(transaction.amount)}`
+                    ];
+
+                    if (transaction.counterpart_name) lines.push(`P${text(transaction.counterpart_name)}`);
+                    if (transaction.description) lines.push(`M${text(transaction.description)}`);
+
+                    const portions = transaction.categories.filter(assigned => assigned.amount !== null);
+                    if (portions.length > 0) {
+                        portions.forEach(portion => lines.push(`S${category(portion.path)}`, `$${formatAmount(portion.amount)}`));
+                    } else if (transaction.categories.length > 0) {
+                        lines.push(`L${category(transaction.categories[0].path)}`);
+                    }
+
+                    return `${lines.join('\n')}\n^\n`;
+                }).join(''));
+            }
+        }
+    }
+}
+
+module.exports = new TransactionExport();
@@ -0,0 +1,165 @@
+const searchQuery = require('./searchQuery');
+
+// Query parameters that filter transactions
+const FILTER_KEYS = [
+    'account', 'startDate', 'endDate', 'minAmount', 'maxAmount', 'direction',
+    'categories', 'transactionType', 'counterparty', 'currency', 'search'
+];
+
+// Values of the direction filter and the amounts they keep
+const DIRECTIONS = { income: '> 0', expense: '< 0' };
+
+// Category filter value for transactions without any category
+const UNCATEGORIZED = 'uncategorized';
+
+/**
+ * Read a list filter sent as "1,2,3" or as a repeated query parameter
+ * @param {string|Array} value - Query value
+ * @returns {Array<string>} Non-empty values
+ */
+function listOf(value) {
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+class TransactionFilters {
+    /**
+     * Keep only the filter parameters that are set
+     * @param {Object} query - Request query or stored filters
+     * @returns {Object} Filter name -> string value
+     */
+    pick(query) {
+        return FILTER_KEYS.reduce((filters, key) => {
+            if (query[key] !== undefined && query[key] !== null && String(query[key]).trim() !== '') {
+                filters[key] = String(query[key]);
+            }
+            return filters;
+        }, {});
+    }
+
+    /**
+     * Check the filters before building them
+     * @param {Object} query - Request query
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(query) {
+        for (const key of ['minAmount', 'maxAmount']) {
+            if (query[key] && (isNaN(parseFloat(query[key])) || parseFloat(query[key]) < 0)) {
+                return `${key} must be a positive number`;
+            }
+        }
+
+        if (query.direction && !DIRECTIONS[query.direction]) {
+            return `direction must be one of: ${Object.keys(DIRECTIONS).join(', ')}`;
+        }
+
+        if (query.categories && listOf(query.categories).some(id => id !== UNCATEGORIZED && !/^\d+$/.test(id))) {
+            return `categories must be category ids or "${UNCATEGORIZED}"`;
+        }
+
+        return query.search ? searchQuery.parse(query.search).error : null;
+    }
+
+    /**
+     * Build SQL conditions from the dashboard filters
+     * @param {Object} query - Request query with account, startDate, endDate, minAmount, maxAmount,
+     *   direction, categories, transactionType, counterparty, currency and search
+     * @param {string} alias - Table alias the columns belong to, e.g. 't'
+     * @returns {Object} {conditions: ' AND ...' string (empty without filters), params}
+     */
+    build(query, alias = '') {
+        const column = (name) => (alias ? `${alias}.${name}` : name);
+        // Correlated subqueries need a qualifier for the transaction id even without an alias
+        const table = alias || 'transactions';
+        const {
+            account, startDate, endDate, minAmount, maxAmount, direction,
+            categories, transactionType, counterparty, currency, search
+        } = query;
+
+        let conditions = '';
+        const params = [];
+
+        if (account) {
+            conditions += ` AND ${column('account_number')} = ?`;
+            params.push(account);
+        }
+
+        if (startDate) {
+            conditions += ` AND ${column('booking_date')} >= ?`;
+            params.push(startDate);
+        }
+
+        if (endDate) {
+            conditions += ` AND ${column('booking_date')} <= ?`;
+            params.push(endDate);
+        }
+
+        // Amount bounds apply to the size of the amount; direction picks income or expenses
+        if (minAmount) {
+            conditions += ` AND ABS(${column('amount')}) >= ?`;
+            params.push(parseFloat(minAmount));
+        }
+
+        if (maxAmount) {
+            conditions += ` AND ABS(${column('amount')}) <= ?`;
+            params.push(parseFloat(maxAmount));
+        }
+
+        if (DIRECTIONS[direction]) {
+            conditions += ` AND ${column('amount')} ${DIRECTIONS[direction]}`;
+        }
+
+        if (categories) {
+            const values = listOf(categories);
+            const ids = values.filter(id => id !== UNCATEGORIZED).map(id => parseInt(id));
+            const alternatives = [];
+
+            // A category also matches the transactions in its subcategories
+            if (ids.length > 0) {
+                const placeholders = ids.map(() => '?').join(', ');
+                alternatives.push(`EXISTS (
+                    SELECT 1 FROM transaction_categories filter_tc
+                    JOIN categories filter_c ON filter_c.id = filter_tc.category_id
+                    WHERE filter_tc.transaction_id = ${table}.id
+                        AND (filter_c.id IN (${placeholders}) OR filter_c.parent_id IN (${placeholders})))`);
+                params.push(...ids, ...ids);
+            }
+
+            if (values.includes(UNCATEGORIZED)) {
+                alternatives.push(`NOT EXISTS (
+                    SELECT 1 FROM transaction_categories filter_tc WHERE filter_tc.transaction_id = ${table}.id)`);
+            }
+
+            if (alternatives.length > 0) {
+                conditions += ` AND (${alternatives.join(' OR ')})`;
+            }
+        }
+
+        if (transactionType) {
+            conditions += ` AND ${column('transaction_type')} = ?`;
+            params.push(transactionType);
+        }
+
+        if (counterparty) {
+            const counterpartySql = searchQuery.counterpartyCondition(counterparty, table);
+            conditions += ` AND ${counterpartySql.condition}`;
+            params.push(...counterpartySql.params);
+        }
+
+        if (currency) {
+            conditions += ` AND ${column('currency')} = ?`;
+            params.push(currency);
+        }
+
+        if (search) {
+            const searchSql = searchQuery.toSql(searchQuery.parse(search), table);
+            conditions += searchSql.conditions;
+            params.push(...searchSql.params);
+        }
+
+        return { conditions, params };
+    }
+}
+
+module.exports = new TransactionFilters();
@@ -0,0 +1,128 @@
+// Columns the transaction list can be sorted on, each indexed together with the id so keyset pages
+// seek the index; nullable columns sort NULL first ascending and last descending, as MySQL does
+const SORT_COLUMNS = {
+    date: { column: 'booking_date', nullable: false },
+    amount: { column: 'amount', nullable: false },
+    counterparty: { column: 'counterpart_name', nullable: true },
+    type: { column: 'transaction_type', nullable: true }
+};
+
+const ORDERS = ['asc', 'desc'];
+
+class TransactionSort {
+    /**
+     * Check the sort and cursor parameters
+     * @param {Object} query - Request query with sort, order and cursor
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(query) {
+        if (query.sort && !SORT_COLUMNS[query.sort]) {
+            return `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`;
+        }
+
+        if (query.order && !ORDERS.includes(query.order)) {
+            return `order must be one of: ${ORDERS.join(', ')}`;
+        }
+
+        if (query.cursor && !this.decodeCursor(query.cursor)) {
+            return 'Invalid cursor';
+        }
+
+        return null;
+    }
+
+    /**
+     * Sort column and direction, newest first by default
+     * @param {Object} query - Request query
+     * @param {string} alias - Alias of the transactions table
+     * @returns {Object} {expression, nullable, direction: 'ASC' or 'DESC'}
+     */
+    resolve(query, alias = 't') {
+        const sort = SORT_COLUMNS[query.sort] ? query.sort : 'date';
+        const order = ORDERS.includes(query.order) ? query.order : 'desc';
+        const { column, nullable } = SORT_COLUMNS[sort];
+
+        return { expression: `${alias}.${column}`, nullable, direction: order.toUpperCase() };
+    }
+
+    /**
+     * ORDER BY clause; the id breaks ties so every row has a stable position
+     * @param {Object} query - Request query
+     * @param {string} alias - Alias of the transactions table
+     * @returns {string} ORDER BY clause
+     */
+    orderBy(query, alias = 't') {
+        const { expression, direction } = this.resolve(query, alias);
+        return `ORDER BY ${expression} ${direction}, ${alias}.id ${direction}`;
+    }
+
+    /**
+     * Select expression giving the sort value of a row as text, for building cursors
+     * @param {Object} query - Request query
+     * @param {string} alias - Alias of the transactions table
+     * @returns {string} SQL expression
+     */
+    sortKey(query, alias = 't') {
+        return `CAST(${this.resolve(query, alias).expression} AS CHAR)`;
+    }
+
+    /**
+     * Cursor pointing after a row
+     * @param {Object} row - Last row of a page, selected with sortKey() as sort_key
+     * @returns {string} Opaque cursor
+     */
+    encodeCursor(row) {
+        return Buffer.from(JSON.stringify([row.sort_key, row.id])).toString('base64url');
+    }
+
+    /**
+     * Read a cursor from encodeCursor()
+     * @param {string} cursor - Opaque cursor
+     * @returns {Array|null} [sortKey, id] or null if invalid; sortKey is null for a row without a value
+     */
+    decodeCursor(cursor) {
+        try {
+            const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            const [sortKey, id] = Array.isArray(value) && value.length === 2 ? value : [];
+            return (typeof sortKey === 'string' || sortKey === null) && Number.isInteger(id) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Condition selecting the rows after a cursor in the sort order
+     * Seeks with a row comparison on the indexed (column, id) pair instead of skipping rows,
+     * so deep pages stay as fast as the first
+     * @param {Object} query - Request query with cursor
+     * @param {string} alias - Alias of the transactions table
+     * @returns {Object} {conditions: ' AND ...' string (empty without cursor), params}
+     */
+    keysetCondition(query, alias = 't') {
+        const cursor = query.cursor ? this.decodeCursor(query.cursor) : null;
+        if (!cursor) return { conditions: '', params: [] };
+
+        const { expression, nullable, direction } = this.resolve(query, alias);
+        const operator = direction === 'DESC' ? '<' : '>';
+        const [sortKey, id] = cursor;
+        const after = `(${expression}, ${alias}.id) ${operator} (?, ?)`;
+
+        if (!nullable) {
+            return { conditions: ` AND ${after}`, params: [sortKey, id] };
+        }
+
+        // A row comparison with NULL is never true, so the NULL rows at the start (ascending)
+        // or the end (descending) are selected separately
+        if (sortKey === null) {
+            return direction === 'DESC'
+                ? { conditions: ` AND ${expression} IS NULL AND ${alias}.id < ?`, params: [id] }
+                : { conditions: ` AND ((${expression} IS NULL AND ${alias}.id > ?) OR ${expression} IS NOT NULL)`, params: [id] };
+        }
+
+        return direction === 'DESC'
+            ? { conditions: ` AND (${after} OR ${expression} IS NULL)`, params: [sortKey, id] }
+            : { conditions: ` AND ${after}`, params: [sortKey, id] };
+    }
+}
+
+module.exports = new TransactionSort();
@@ -0,0 +1,127 @@
+const database = require('../config/database');
+
+/**
+ * Convert an amount to whole cents so sums compare exactly
+ * @param {*} amount - Amount as number or decimal string
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+    return Math.round(parseFloat(amount) * 100);
+}
+
+class TransactionSplits {
+    /**
+     * Validate category portions against the transaction they split
+     * @param {Array} splits - Portions as {categoryId, amount}
+     * @param {number|string} transactionAmount - Amount of the transaction
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(splits, transactionAmount) {
+        if (!Array.isArray(splits) || splits.length < 2) return 'A split needs at least two categories';
+
+        const total = toCents(transactionAmount);
+        const categoryIds = new Set();
+        let sum = 0;
+
+        for (const split of splits) {
+            const { categoryId, amount } = split || {};
+
+            if (!Number.isInteger(Number(categoryId)) || Number(categoryId) <= 0) return 'Category is required';
+            if (categoryIds.has(Number(categoryId))) return 'Each category can only appear once in a split';
+            categoryIds.add(Number(categoryId));
+
+            const cents = toCents(amount);
+            if (isNaN(cents) || cents === 0) return `Split amount must be a non-zero number: ${amount}`;
+            if (Math.sign(cents) !== Math.sign(total)) return 'Split amounts must have the same sign as the transaction';
+            sum += cents;
+        }
+
+        if (sum !== total) {
+            return `Split amounts add up to ${(sum / 100).toFixed(2)}, the transaction amount is ${(total / 100).toFixed(2)}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a transaction is split
+     * @param {number} transactionId - Transaction id
+     * @returns {boolean} True if its categories carry amounts
+     */
+    async isSplit(transactionId) {
+        const rows = await database.query(
+            'SELECT 1 FROM transaction_categories WHERE transaction_id = ? AND amount IS NOT NULL LIMIT 1',
+            [transactionId]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Replace the categories of a transaction with validated portions
+     * Split portions count as assigned by hand, so rules leave the transaction alone
+     * @param {number} transactionId - Transaction id
+     * @param {Array} splits - Portions as {categoryId, amount}
+     */
+    async save(transactionId, splits) {
+        await database.transaction(async (tx) => {
+            await tx.query('DELETE FROM transaction_categories WHERE transaction_id = ?', [transactionId]);
+            await tx.query(
+                'INSERT INTO transaction_categories (transaction_id, category_id, amount) VALUES ?',
+                [splits.map(split => [transactionId, Number(split.categoryId), (toCents(split.amount) / 100).toFixed(2)])]
+            );
+        });
+    }
+
+    /**
+     * Turn a split transaction back into plain category assignments
+     * @param {number} transactionId - Transaction id
+     * @returns {number} Number of assignments that lost their amount
+     */
+    async clear(transactionId) {
+        const result = await database.query(
+            'UPDATE transaction_categories SET amount = NULL WHERE transaction_id = ? AND amount IS NOT NULL',
+            [transactionId]
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Unsplit the transactions that would lose a portion when a category is deleted
+     * @param {Object} tx - Database transaction from database.transaction()
+     * @param {number} categoryId - Category about to be deleted
+     */
+    async clearForCategory(tx, categoryId) {
+        await tx.query(
+            `UPDATE transaction_categories tc
+            JOIN transaction_categories removed ON removed.transaction_id = tc.transaction_id
+            SET tc.amount = NULL
+            WHERE removed.category_id = ? AND removed.amount IS NOT NULL`,
+            [categoryId]
+        );
+    }
+
+    /**
+     * Unsplit a transaction whose portions no longer add up, e.g. after merging duplicates
+     * @param {Object} tx - Database transaction from database.transaction()
+     * @param {number} transactionId - Transaction id
+     */
+    async clearIfUnbalanced(tx, transactionId) {
+        const rows = await tx.query(
+            `SELECT tc.amount, t.amount as transaction_amount
+            FROM transaction_categories tc
+            JOIN transactions t ON t.id = tc.transaction_id
+            WHERE tc.transaction_id = ?`,
+            [transactionId]
+        );
+        if (!rows.some(row => row.amount !== null)) return;
+
+        const balanced = rows.every(row => row.amount !== null) &&
+            rows.reduce((sum, row) => sum + toCents(row.amount), 0) === toCents(rows[0].transaction_amount);
+
+        if (!balanced) {
+            await tx.query('UPDATE transaction_categories SET amount = NULL WHERE transaction_id = ?', [transactionId]);
+        }
+    }
+}
+
+module.exports = new TransactionSplits();
@@ -0,0 +1,136 @@
+const AdmZip = require('adm-zip');
+
+// Excel counts days from 30 December 1899
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cell styles defined in styles.xml: 0 default, 1 date, 2 amount with two decimals, 3 bold header
+const STYLE_DATE = 1;
+const STYLE_AMOUNT = 2;
+const STYLE_HEADER = 3;
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} value - Text
+ * @returns {string} Escaped text without characters XML does not allow
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters of a zero-based column index, e.g. 0 -> A, 27 -> AB
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+</styleSheet>`;
+
+class XlsxWriter {
+    /**
+     * XML of one cell; numbers are amounts, Dates become Excel dates, anything else text
+     * @param {*} value - Cell value
+     * @param {string} reference - Cell reference, e.g. B2
+     * @param {boolean} header - Whether the cell is in the header row
+     * @returns {string} Cell XML, empty for empty values
+     */
+    cell(value, reference, header = false) {
+        if (value === null || value === undefined || value === '') return '';
+
+        if (value instanceof Date) {
+            // Dates are calendar days; the local date is what the bank booked
+            const days = (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - EXCEL_EPOCH) / DAY_MS;
+            return `<c r="${reference}" s="${STYLE_DATE}"><v>${days}</v></c>`;
+        }
+
+        if (typeof value === 'number') {
+            return `<c r="${reference}" s="${STYLE_AMOUNT}"><v>${value}</v></c>`;
+        }
+
+        const style = header ? ` s="${STYLE_HEADER}"` : '';
+        return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * Build a workbook with a single sheet
+     * @param {string} sheetName - Name of the sheet (at most 31 characters)
+     * @param {Array<string>} header - Column titles
+     * @param {Array<Array>} rows - Cell values per row
+     * @returns {Buffer} XLSX file
+     */
+    build(sheetName, header, rows) {
+        const sheetRows = [header, ...rows].map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) =>
+                this.cell(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0)
+            ).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        });
+
+        const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>${sheetRows.join('')}</sheetData>
+</worksheet>`;
+
+        const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName.substring(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+        const zip = new AdmZip();
+        zip.addFile('[Content_Types].xml', Buffer.from(CONTENT_TYPES));
+        zip.addFile('_rels/.rels', Buffer.from(ROOT_RELS));
+        zip.addFile('xl/workbook.xml', Buffer.from(workbook));
+        zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from(WORKBOOK_RELS));
+        zip.addFile('xl/styles.xml', Buffer.from(STYLES));
+        zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(sheet));
+
+        return zip.toBuffer();
+    }
+}
+
+module.exports = new XlsxWriter();